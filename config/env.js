@@ -0,0 +1,7 @@
+// /config/env.js
+// Non-negative number from an environment variable. Unlike `parseFloat(...) || fallback`, an
+// explicit 0 is kept (e.g. TRASH_RETENTION_DAYS=0 purges immediately, a 0 weight disables it).
+export const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
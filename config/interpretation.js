@@ -0,0 +1,28 @@
+// /config/interpretation.js
+import { envNumber } from './env.js';
+
+// Weights for the panel interpretation heuristic (helpers/panelHelper.js). Metric values are
+// the parsed percentages scaled to 0-1; a missing metric counts as `unknownMetric`.
+export const interpretationConfig = {
+  // Evidence from a positive result for an antibody linked to the disease
+  positive: {
+    base: envNumber('PANEL_POSITIVE_BASE', 1),
+    sensitivity: envNumber('PANEL_POSITIVE_SENSITIVITY', 1),
+    ppv: envNumber('PANEL_POSITIVE_PPV', 2),
+    diagnosticMarker: envNumber('PANEL_POSITIVE_DIAGNOSTIC_MARKER', 1.5),
+    diseaseActivity: envNumber('PANEL_POSITIVE_DISEASE_ACTIVITY', 0.25),
+  },
+  // Evidence against from a negative result: a sensitive marker with a high NPV being absent
+  negative: {
+    sensitivity: envNumber('PANEL_NEGATIVE_SENSITIVITY', 1.5),
+    npv: envNumber('PANEL_NEGATIVE_NPV', 1),
+    diagnosticMarker: envNumber('PANEL_NEGATIVE_DIAGNOSTIC_MARKER', 0.5),
+  },
+  // Equivocal results count as this fraction of a positive
+  equivocalFactor: envNumber('PANEL_EQUIVOCAL_FACTOR', 0.5),
+  unknownMetric: envNumber('PANEL_UNKNOWN_METRIC', 0.5),
+  // Candidates returned
+  maxCandidates: parseInt(process.env.PANEL_MAX_CANDIDATES) || 20,
+  // Results accepted per panel
+  maxResults: parseInt(process.env.PANEL_MAX_RESULTS) || 50,
+};
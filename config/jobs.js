@@ -0,0 +1,9 @@
+// /config/jobs.js
+export const jobsConfig = {
+  // How often the in-process runner checks the queue for new jobs
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  // Rows written per batch; progress is reported after each batch
+  batchSize: parseInt(process.env.JOB_BATCH_SIZE) || 500,
+  // Per-row errors kept on a job document (the total is always counted)
+  maxStoredErrors: parseInt(process.env.JOB_MAX_STORED_ERRORS) || 1000,
+};
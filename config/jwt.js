@@ -2,5 +2,7 @@
 export const jwtConfig = {
     secret: process.env.JWT_SECRET || 'your_jwt_secret_key', // Should come from env variable
     expiresIn: '1h',
+    // Lifetime of the single-resource tokens stream endpoints accept in ?token=
+    streamTokenExpiresIn: '60s',
   };
   
\ No newline at end of file
@@ -0,0 +1,87 @@
+// /config/rdf.js
+import fs from 'fs';
+
+const baseUri = process.env.RDF_BASE_URI || 'https://autoabdb.org/';
+
+// Vocabulary used by the Turtle / JSON-LD export. Terms are CURIEs over `prefixes`.
+// RDF_VOCABULARY_FILE may point to a JSON file overriding any of these sections.
+const defaults = {
+  // Resource IRIs are minted under this base (disease/…, autoantibody/…, association/<id>)
+  baseUri,
+  uniprotBaseUri: 'http://purl.uniprot.org/uniprot/',
+  prefixes: {
+    autoab: `${baseUri}vocab#`,
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    skos: 'http://www.w3.org/2004/02/skos/core#',
+    dct: 'http://purl.org/dc/terms/',
+    prov: 'http://www.w3.org/ns/prov#'
+  },
+  classes: {
+    disease: 'autoab:Disease',
+    autoantibody: 'autoab:Autoantibody',
+    autoantigen: 'autoab:Autoantigen',
+    epitope: 'autoab:Epitope',
+    association: 'autoab:DiseaseAutoantibodyAssociation'
+  },
+  properties: {
+    label: 'rdfs:label',
+    synonym: 'skos:altLabel',
+    sameAs: 'skos:exactMatch',
+    accession: 'autoab:databaseAccession',
+    targets: 'autoab:targetsAntigen',
+    epitopeOf: 'autoab:epitopeOf',
+    disease: 'autoab:disease',
+    autoantibody: 'autoab:autoantibody',
+    autoantigen: 'autoab:autoantigen',
+    epitope: 'autoab:epitope',
+    source: 'dct:source',
+    citation: 'dct:bibliographicCitation',
+    derivedFrom: 'prov:wasDerivedFrom',
+    modified: 'dct:modified',
+    verified: 'autoab:verified'
+  },
+  // Entry fields written as literals on the association resource
+  associationFields: {
+    diseaseAssociation: 'autoab:diseaseAssociation',
+    epitopePrevalence: 'autoab:epitopePrevalence',
+    sensitivity: 'autoab:sensitivity',
+    positivePredictiveValues: 'autoab:positivePredictiveValue',
+    negativePredictiveValues: 'autoab:negativePredictiveValue',
+    diagnosticMarker: 'autoab:diagnosticMarker',
+    associationWithDiseaseActivity: 'autoab:associationWithDiseaseActivity',
+    pathogenesisInvolvement: 'autoab:pathogenesisInvolvement',
+    affinity: 'autoab:affinity',
+    avidity: 'autoab:avidity',
+    mechanism: 'autoab:mechanism',
+    isotypeSubclasses: 'autoab:isotypeSubclasses',
+    crossReactivityPatterns: 'autoab:crossReactivityPatterns',
+    referenceRangesAndCutoffValues: 'autoab:referenceRangesAndCutoffValues',
+    screening: 'autoab:screening',
+    confirmation: 'autoab:confirmation',
+    monitoring: 'autoab:monitoring',
+    type: 'autoab:type',
+    priority: 'autoab:priority'
+  }
+};
+
+const loadOverrides = () => {
+  const file = process.env.RDF_VOCABULARY_FILE;
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`Could not load RDF vocabulary from ${file}:`, error.message);
+    return {};
+  }
+};
+
+const overrides = loadOverrides();
+
+export const rdfConfig = Object.fromEntries(
+  Object.entries(defaults).map(([section, value]) => [
+    section,
+    typeof value === 'object' ? { ...value, ...(overrides[section] || {}) } : (overrides[section] ?? value)
+  ])
+);
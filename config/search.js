@@ -0,0 +1,15 @@
+// /config/search.js
+export const searchConfig = {
+  // Searches returning fewer results than this include "did you mean" suggestions
+  suggestionThreshold: parseInt(process.env.SEARCH_SUGGESTION_THRESHOLD) || 3,
+  // Suggestions returned per search
+  maxSuggestions: parseInt(process.env.SEARCH_MAX_SUGGESTIONS) || 5,
+  // Minimum similarity (0-1) for a value to be suggested
+  minSuggestionScore: parseFloat(process.env.SEARCH_MIN_SUGGESTION_SCORE) || 0.5,
+  // Entry changes are batched for this long before the in-memory search indexes are rebuilt
+  indexRefreshDelayMs: parseInt(process.env.SEARCH_INDEX_REFRESH_DELAY_MS) || 5000,
+  // Characters of context in highlighted search snippets
+  snippetLength: parseInt(process.env.SEARCH_SNIPPET_LENGTH) || 160,
+  // Biomarkers and articles don't signal changes, so the autocomplete index is also rebuilt on this interval
+  autocompleteRefreshMinutes: parseInt(process.env.AUTOCOMPLETE_REFRESH_MINUTES) || 10,
+};
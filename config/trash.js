@@ -0,0 +1,9 @@
+// /config/trash.js
+import { envNumber } from './env.js';
+
+export const trashConfig = {
+  // Trashed disease entries older than this are purged automatically
+  retentionDays: envNumber('TRASH_RETENTION_DAYS', 30),
+  // How often the purge check runs
+  purgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60,
+};
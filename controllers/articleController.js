@@ -1,5 +1,46 @@
 import Article from '../models/articleModel.js';
 import mongoose from 'mongoose';
+import { textSearchPatterns, explainMatch } from '../helpers/highlightHelper.js';
+import { wantsCursor, withIdTieBreaker, parseCursorParam, cursorPage, streamNdjson } from '../helpers/paginationHelper.js';
+
+// Sort keys cursor pagination accepts (a cursor must resume on a real, stable field)
+const CURSOR_SORT_FIELDS = ['createdAt', 'updatedAt', 'publishedAt', 'publicationDate', 'title', 'views', 'likes'];
+
+// Cursor or NDJSON variants of an article listing; returns false when neither was requested
+const sendArticleStream = async (req, res, { filter, sortBy, sortOrder, limit, prepare }) => {
+  if (req.query.format !== 'ndjson' && !wantsCursor(req.query)) return false;
+
+  if (!CURSOR_SORT_FIELDS.includes(sortBy)) {
+    res.status(400).json({
+      success: false,
+      message: `sortBy must be one of ${CURSOR_SORT_FIELDS.join(', ')} when paging with a cursor`
+    });
+    return true;
+  }
+  const sort = withIdTieBreaker({ [sortBy]: sortOrder === 'desc' ? -1 : 1 });
+
+  if (req.query.format === 'ndjson') {
+    await streamNdjson(res, prepare(Article.find(filter)).sort(sort).cursor({ batchSize: 200 }));
+    return true;
+  }
+
+  const { condition, error } = parseCursorParam(req.query.cursor, sort);
+  if (error) {
+    res.status(400).json({ success: false, message: error });
+    return true;
+  }
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 10));
+  const docs = await prepare(Article.find(condition ? { $and: [filter, condition] } : filter))
+    .sort(sort)
+    .limit(pageSize + 1);
+  const { page: articles, pagination } = cursorPage(docs, sort, pageSize);
+  res.status(200).json({
+    success: true,
+    message: 'Articles retrieved successfully',
+    data: { articles, pagination }
+  });
+  return true;
+};
 
 // Get all articles with pagination and filtering
 export const getAllArticles = async (req, res) => {
@@ -55,6 +96,15 @@ export const getAllArticles = async (req, res) => {
       ];
     }
 
+    const streamed = await sendArticleStream(req, res, {
+      filter,
+      sortBy,
+      sortOrder,
+      limit,
+      prepare: (query) => query.populate('publishedBy', 'name username email')
+    });
+    if (streamed) return;
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const sortOptions = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
@@ -551,6 +601,15 @@ export const getPublishedArticles = async (req, res) => {
       ];
     }
 
+    const streamed = await sendArticleStream(req, res, {
+      filter,
+      sortBy,
+      sortOrder,
+      limit,
+      prepare: (query) => query.populate('author', 'name username email').select('-content')
+    });
+    if (streamed) return;
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const sortOptions = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
@@ -620,11 +679,21 @@ export const searchArticles = async (req, res) => {
       .sort({ score: { $meta: 'textScore' } })
       .limit(parseInt(limit));
 
+    // Fields the terms were found in, with snippets (content is stored as HTML)
+    const regexes = textSearchPatterns(q);
+    const patterns = new Map(['title', 'abstract', 'content'].map((field) => [field, regexes]));
+    const stripTags = (value) => value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    const hits = articles.map((article) => {
+      const hit = article.toJSON();
+      hit.matchedFields = explainMatch(hit, patterns, { textOf: stripTags });
+      return hit;
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Search completed successfully',
       data: {
-        articles,
+        articles: hits,
         query: q,
         count: articles.length
       }
@@ -0,0 +1,30 @@
+import { handleError, nonStringQueryParam } from './diseaseController.js';
+import { autocomplete, AUTOCOMPLETE_TYPES } from '../helpers/autocompleteHelper.js';
+
+// Typeahead across entity types, e.g. GET /autocomplete?q=lup&types=disease,article&limit=10
+export const getAutocomplete = async (req, res) => {
+  try {
+    const invalidParam = nonStringQueryParam(req.query, ['q', 'types']);
+    if (invalidParam) {
+      return res.status(400).json({ success: false, message: invalidParam });
+    }
+
+    const { q = '' } = req.query;
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 10), 50);
+    const types = req.query.types
+      ? req.query.types.split(',').map((type) => type.trim()).filter((type) => AUTOCOMPLETE_TYPES.includes(type))
+      : AUTOCOMPLETE_TYPES;
+
+    if (types.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `types must include at least one of: ${AUTOCOMPLETE_TYPES.join(', ')}`
+      });
+    }
+
+    const results = await autocomplete(q, { types, limit });
+    res.json({ success: true, data: results, count: results.length, query: q.trim() });
+  } catch (error) {
+    handleError(res, error, 'Error fetching autocomplete results');
+  }
+};
@@ -1,11 +1,42 @@
 import Biomarker from '../models/biomarkerModel.js';
 import XLSX from 'xlsx';
 import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
+import { resolveImportProfile } from '../helpers/importProfileHelper.js';
+import {
+  parseBiomarkerUpload,
+  parseServerFile,
+  serverFileExists,
+  SERVER_DATA_FILE,
+  insertBiomarkersInBatches,
+  planBiomarkerSync,
+  describeBiomarkerSync,
+  applyBiomarkerSync,
+} from '../helpers/biomarkerImportHelper.js';
+import { withImportBatch } from '../helpers/importBatchHelper.js';
+import { enqueueJob } from '../helpers/jobRunner.js';
+import { wantsCursor, withIdTieBreaker, parseCursorParam, cursorPage, streamNdjson } from '../helpers/paginationHelper.js';
+
+const sendJobAccepted = (res, job) =>
+  res.status(202).json({
+    success: true,
+    message: 'Import queued',
+    data: { jobId: job._id, status: job.status },
+  });
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Case-insensitive substring search over the structured fields
+const buildBiomarkerSearchQuery = (search) => {
+  if (!search || !search.trim()) return {};
+  const searchRegex = new RegExp(escapeRegex(search.trim()), 'i');
+  return {
+    $or: [
+      { name: searchRegex },
+      { disease: searchRegex },
+      { diseaseAssociation: searchRegex },
+      { manifestation: searchRegex },
+      { prevalence: searchRegex },
+    ],
+  };
+};
 
 // Get all biomarkers with pagination (for import page)
 export const getAllBiomarkers = async (req, res) => {
@@ -13,28 +44,22 @@ export const getAllBiomarkers = async (req, res) => {
     const { page = 1, limit = 50, search } = req.query;
     const skip = (Math.max(1, parseInt(page, 10)) - 1) * Math.min(500, Math.max(1, parseInt(limit, 10)));
 
-    let query = {};
-    if (search && search.trim()) {
-      const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const searchRegex = new RegExp(escaped, 'i');
-      // Search across entire collection - all main fields and raw subfields
-      query = {
-        $or: [
-          { name: searchRegex },
-          { manifestation: searchRegex },
-          { prevalence: searchRegex },
-          { 'raw.Disease': searchRegex },
-          { 'raw.Autoantibody': searchRegex },
-          { 'raw.Name': searchRegex },
-          { 'raw.Manifestation': searchRegex },
-          { 'raw.Clinical Manifestation': searchRegex },
-          { 'raw.Disease Association': searchRegex },
-          { 'raw.Disease Association (% percentage)': searchRegex },
-          { 'raw.Prevalence': searchRegex },
-          { 'raw.Prevalence (% percentage)': searchRegex },
-          { 'raw.Prevelanse (% percentage)': searchRegex },
-        ],
-      };
+    const query = buildBiomarkerSearchQuery(search);
+    const sort = withIdTieBreaker({ createdAt: -1 });
+
+    if (req.query.format === 'ndjson') {
+      return streamNdjson(res, Biomarker.find(query).sort(sort).lean().cursor({ batchSize: 500 }));
+    }
+
+    // ?cursor= pages by createdAt and _id instead of skipping
+    if (wantsCursor(req.query)) {
+      const pageSize = Math.min(500, Math.max(1, parseInt(limit, 10) || 50));
+      const { condition, error } = parseCursorParam(req.query.cursor, sort);
+      if (error) return res.status(400).json({ success: false, message: error });
+      const filter = condition ? { $and: [query, condition] } : query;
+      const docs = await Biomarker.find(filter).sort(sort).limit(pageSize + 1).lean();
+      const { page: data, pagination } = cursorPage(docs, sort, pageSize);
+      return res.json({ success: true, data, pagination });
     }
 
     const [data, total] = await Promise.all([
@@ -64,103 +89,29 @@ export const importFromFile = async (req, res) => {
       return res.status(400).json({ success: false, message: 'No file uploaded' });
     }
 
-    const isCsv = req.file.originalname.toLowerCase().endsWith('.csv');
-    const workbook = isCsv
-      ? XLSX.read(req.file.buffer.toString('utf8'), { type: 'string' })
-      : XLSX.read(req.file.buffer, { type: 'buffer' });
-
-    let rawRows;
-    if (isCsv) {
-      rawRows = [];
-      for (const sn of workbook.SheetNames) {
-        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sn], { defval: '' });
-        if (rows.length > 0) rawRows.push(...rows);
-      }
-    } else {
-      rawRows = parseWorkbookToEntries(workbook);
+    // ?profile=<name> maps columns through a saved import profile, otherwise the default
+    // biomarker profile is used; alias guessing is the fallback when none is saved
+    const profileName = req.query.profile || req.body?.profile;
+    const { profile, notFound } = await resolveImportProfile(profileName, 'biomarker');
+    if (notFound) {
+      return res.status(404).json({ success: false, message: notFound });
     }
 
-    if (rawRows.length === 0) {
-      return res.status(400).json({ success: false, message: 'Uploaded file contains no rows' });
-    }
-
-    const normalizeHeader = (h) => h.toString().trim().toLowerCase().replace(/\s+/g, '');
-    const fieldMap = {
-      name: ['name', 'autoantibody', 'antibody', 'auto_antibody', 'antibody_name', 'auto_ab', 'biomarker', 'biomarkers', 'ab', 'antibodies', 'autoantibodies', 'clinicalantibody', 'targetantibody'],
-      manifestation: ['manifestation', 'clinicalmanifestation', 'clinical_manifestation', 'manifestations', 'clinicalmanifestations', 'manifestation_name', 'symptoms', 'clinical_features'],
-      prevalence: ['prevalence', 'prevalence_rate', 'frequency', 'prevalence_percentage', 'prevalence(%percentage)', 'prevelanse(%percentage)', 'prevelanse', 'prevalencepercent'],
-      disease: ['disease', 'diseasename', 'disease_name', 'condition', 'disorder', 'syndrome', 'diagnosis'],
-      diseaseAssociation: ['diseaseassociation', 'disease_association', 'diseaseassociation_percentage', 'diseaseassociation(%percentage)', 'association', 'disease_assoc'],
-    };
-
-    // Fallback keys for name/antibody (original case variations from raw)
-    const antibodyRawKeys = ['Autoantibody', 'Autoantibodies', 'Antibody', 'Antibodies', 'Name', 'Biomarker', 'Biomarkers', 'AB', 'Clinical Antibody', 'Target Antibody'];
-    const manifestationRawKeys = ['Clinical Manifestation', 'Clinical Manifestations', 'Manifestation', 'Manifestations', 'Disease related clinical manifestation'];
-    const prevalenceRawKeys = ['Prevalence', 'Prevalence (% percentage)', 'Prevelanse (% percentage)', 'Prevalence (%)', 'Prevalence rate'];
-
-    const mapRow = (row) => {
-      const lowered = {};
-      const raw = {};
-      Object.keys(row).forEach((k) => {
-        const normalized = normalizeHeader(k);
-        lowered[normalized] = row[k];
-        const v = row[k];
-        if (v !== undefined && v !== null && v.toString().trim() !== '') {
-          raw[k] = v.toString().trim();
-        }
+    if (req.query.async === 'true') {
+      const job = await enqueueJob({
+        type: 'biomarker_file_import',
+        file: req.file,
+        options: { profile: profile?.name },
+        user: req.user?.id || req.user?._id,
       });
+      return sendJobAccepted(res, job);
+    }
 
-      const getFirst = (keys) => {
-        for (const key of keys) {
-          if (lowered[key] !== undefined && lowered[key] !== null && lowered[key].toString().trim() !== '') {
-            return lowered[key].toString().trim();
-          }
-        }
-        return '';
-      };
-
-      // Try mapped fields first, then fall back to raw by original column names
-      let name = getFirst(fieldMap.name);
-      if (!name) {
-        for (const k of antibodyRawKeys) {
-          if (raw[k]?.trim()) { name = raw[k].trim(); break; }
-        }
-      }
-      // Fallback: any column with 'antibody' or 'biomarker' or 'name' in the key
-      if (!name && Object.keys(raw).length > 0) {
-        const abKey = Object.keys(raw).find((k) => /antibody|biomarker|^name$/i.test(k));
-        if (abKey) name = raw[abKey];
-      }
-
-      let manifestation = getFirst(fieldMap.manifestation);
-      if (!manifestation) {
-        for (const k of manifestationRawKeys) {
-          if (raw[k]?.trim()) { manifestation = raw[k].trim(); break; }
-        }
-      }
-      if (!manifestation && Object.keys(raw).length > 0) {
-        const maniKey = Object.keys(raw).find((k) => /manifestation|clinical.?feature|symptom/i.test(k));
-        if (maniKey) manifestation = raw[maniKey];
-      }
-
-      let prevalence = getFirst(fieldMap.prevalence);
-      if (!prevalence) {
-        for (const k of prevalenceRawKeys) {
-          if (raw[k]?.trim()) { prevalence = raw[k].trim(); break; }
-        }
-      }
-
-      return {
-        name: name || '',
-        manifestation: manifestation || '',
-        prevalence: prevalence || '',
-        raw: Object.keys(raw).length ? raw : undefined,
-      };
-    };
+    const { rawRows, sheetsRead, entries } = parseBiomarkerUpload(req.file, profile);
 
-    const mapped = rawRows.map((row) => mapRow(row));
-    // Keep rows that have at least one non-empty cell (filter out completely blank rows only)
-    const entries = mapped.filter((e) => e.raw && Object.keys(e.raw).length > 0);
+    if (rawRows.length === 0) {
+      return res.status(400).json({ success: false, message: 'Uploaded file contains no rows' });
+    }
 
     if (entries.length === 0) {
       return res.status(400).json({
@@ -169,18 +120,33 @@ export const importFromFile = async (req, res) => {
       });
     }
 
-    const result = await Biomarker.insertMany(entries);
+    const result = await withImportBatch(
+      {
+        target: 'biomarker',
+        kind: 'file_import',
+        file: req.file,
+        user: req.user?.id || req.user?._id,
+        profile: profile?.name,
+      },
+      async (batch) => ({
+        ...(await insertBiomarkersInBatches(entries, { importBatchId: batch._id })),
+        total: rawRows.length,
+      })
+    );
 
-    console.log(`Biomarker import: ${workbook.SheetNames.length} sheet(s), ${rawRows.length} rows → ${result.length} inserted`);
+    console.log(`Biomarker import: ${sheetsRead} sheet(s), ${rawRows.length} rows → ${result.inserted} inserted`);
 
-    res.json({
-      success: true,
-      message: `Successfully imported ${result.length} biomarker entries`,
+    res.status(result.failed > 0 ? 207 : 200).json({
+      success: result.inserted > 0 || result.failed === 0,
+      message: `Successfully imported ${result.inserted} biomarker entries`,
       data: {
-        inserted: result.length,
+        inserted: result.inserted,
         total: rawRows.length,
-        failed: rawRows.length - result.length,
-        sheetsRead: workbook.SheetNames.length,
+        failed: rawRows.length - result.inserted,
+        errors: result.errors,
+        sheetsRead,
+        profile: profile?.name || null,
+        importBatchId: result.importBatchId,
       },
     });
   } catch (error) {
@@ -189,124 +155,69 @@ export const importFromFile = async (req, res) => {
   }
 };
 
-// Import from server file: backend/data/Clinical manifestation disease related.xlsx
-const SERVER_DATA_FILE = path.join(__dirname, '..', 'data', 'Clinical manifestation disease related.xlsx');
-
-// Custom parser: read ALL cells from worksheet (bypasses sheet_to_json range limit)
-function parseSheetAllCells(worksheet) {
-  const rowsByIndex = {}; // rowIdx -> { colIdx -> value }
-  let maxRow = -1;
-  let maxCol = -1;
-  for (const key of Object.keys(worksheet)) {
-    if (key.startsWith('!')) continue;
-    let addr;
-    try {
-      addr = XLSX.utils.decode_cell(key);
-    } catch (_) { continue; }
-    const { r, c } = addr;
-    if (r > maxRow) maxRow = r;
-    if (c > maxCol) maxCol = c;
-    const cell = worksheet[key];
-    const val = cell && (cell.w != null ? cell.w : cell.v);
-    const str = val != null && val !== '' ? String(val).trim() : '';
-    if (!rowsByIndex[r]) rowsByIndex[r] = {};
-    rowsByIndex[r][c] = str;
-  }
-  if (maxRow < 1) return [];
-  const headerRow = rowsByIndex[0] || {};
-  const headers = [];
-  for (let c = 0; c <= maxCol; c++) {
-    const h = headerRow[c];
-    headers.push(h != null && String(h).trim() !== '' ? String(h).trim() : `_col${c}`);
-  }
-  const rawRows = [];
-  for (let r = 1; r <= maxRow; r++) {
-    const rowObj = {};
-    const row = rowsByIndex[r] || {};
-    for (let c = 0; c <= maxCol; c++) {
-      rowObj[headers[c]] = row[c] != null ? row[c] : '';
-    }
-    rawRows.push(rowObj);
-  }
-  return rawRows;
-}
-
-function parseWorkbookToEntries(workbook) {
-  const rawRows = [];
-  for (const sheetName of workbook.SheetNames) {
-    const worksheet = workbook.Sheets[sheetName];
-    const sheetRows = parseSheetAllCells(worksheet);
-    if (sheetRows.length > 0) rawRows.push(...sheetRows);
-  }
-  return rawRows;
-}
-
-function mapRowToBiomarker(row) {
-  const normalizeHeader = (h) => h.toString().trim().toLowerCase().replace(/\s+/g, '');
-  const lowered = {};
-  const raw = {};
-  Object.keys(row).forEach((k) => {
-    const normalized = normalizeHeader(k);
-    lowered[normalized] = row[k];
-    const v = row[k];
-    if (v !== undefined && v !== null && v.toString().trim() !== '') raw[k] = v.toString().trim();
-  });
-  const antibodyRawKeys = ['Autoantibody', 'Autoantibodies', 'Antibody', 'Antibodies', 'Name', 'Biomarker', 'Biomarkers', 'AB'];
-  const manifestationRawKeys = ['Clinical Manifestation', 'Clinical Manifestations', 'Manifestation', 'Manifestations', 'Disease related clinical manifestation'];
-  const prevalenceRawKeys = ['Prevalence', 'Prevalence (% percentage)', 'Prevelanse (% percentage)'];
-  const fieldMap = {
-    name: ['name', 'autoantibody', 'antibody', 'biomarker', 'biomarkers', 'ab'],
-    manifestation: ['manifestation', 'clinicalmanifestation', 'clinical_manifestation'],
-    prevalence: ['prevalence', 'prevalence_percentage', 'prevalence(%percentage)', 'prevelanse(%percentage)'],
-  };
-  const getFirst = (keys) => {
-    for (const key of keys) {
-      if (lowered[key] !== undefined && lowered[key] !== null && lowered[key].toString().trim() !== '') return lowered[key].toString().trim();
-    }
-    return '';
-  };
-  let name = getFirst(fieldMap.name);
-  if (!name) for (const k of antibodyRawKeys) { if (raw[k]?.trim()) { name = raw[k].trim(); break; } }
-  if (!name && Object.keys(raw).length > 0) {
-    const abKey = Object.keys(raw).find((k) => /antibody|biomarker|^name$/i.test(k));
-    if (abKey) name = raw[abKey];
-  }
-  let manifestation = getFirst(fieldMap.manifestation);
-  if (!manifestation) for (const k of manifestationRawKeys) { if (raw[k]?.trim()) { manifestation = raw[k].trim(); break; } }
-  if (!manifestation && Object.keys(raw).length > 0) {
-    const mKey = Object.keys(raw).find((k) => /manifestation|clinical|symptom/i.test(k));
-    if (mKey) manifestation = raw[mKey];
-  }
-  let prevalence = getFirst(fieldMap.prevalence);
-  if (!prevalence) for (const k of prevalenceRawKeys) { if (raw[k]?.trim()) { prevalence = raw[k].trim(); break; } }
-  return { name: name || '', manifestation: manifestation || '', prevalence: prevalence || '', raw: Object.keys(raw).length ? raw : undefined };
-}
-
 export const importFromServerFile = async (req, res) => {
   try {
-    if (!fs.existsSync(SERVER_DATA_FILE)) {
+    if (!serverFileExists()) {
       return res.status(404).json({
         success: false,
         message: `File not found. Place "Clinical manifestation disease related.xlsx" in backend/data/`,
         expectedPath: SERVER_DATA_FILE,
       });
     }
-    const buffer = fs.readFileSync(SERVER_DATA_FILE);
-    const workbook = XLSX.read(buffer, { type: 'buffer' });
-    const rawRows = parseWorkbookToEntries(workbook);
-    const mapped = rawRows.map(mapRowToBiomarker);
-    // Keep only rows with at least one non-empty cell (skip completely blank rows)
-    const entries = mapped.filter((e) => e.raw && Object.keys(e.raw).length > 0);
+    const dryRun = req.query.dryRun === 'true';
+    if (req.query.async === 'true' && !dryRun) {
+      const job = await enqueueJob({
+        type: 'biomarker_server_import',
+        fileName: path.basename(SERVER_DATA_FILE),
+        user: req.user?.id || req.user?._id,
+      });
+      return sendJobAccepted(res, job);
+    }
+
+    const { profile } = await resolveImportProfile(null, 'biomarker');
+    const { rawRows, entries, checksum } = parseServerFile(profile);
     if (entries.length === 0) {
       return res.status(400).json({ success: false, message: 'No rows with data in file' });
     }
-    await Biomarker.deleteMany({});
-    const result = await Biomarker.insertMany(entries);
-    console.log(`Biomarker import from server file: ${rawRows.length} rows → ${result.length} inserted`);
+
+    // Diff the file against the collection (keyed on antibody + disease + manifestation)
+    const plan = await planBiomarkerSync(entries);
+
+    if (dryRun) {
+      const preview = describeBiomarkerSync(plan, Math.min(1000, parseInt(req.query.limit, 10) || 100));
+      return res.json({
+        success: true,
+        dryRun: true,
+        message: `Dry run: ${preview.toAdd} to add, ${preview.toUpdate} to update, ${preview.toRemove} to remove, ${preview.unchanged} unchanged`,
+        data: { total: rawRows.length, ...preview },
+      });
+    }
+
+    const result = await withImportBatch(
+      {
+        target: 'biomarker',
+        kind: 'server_file_import',
+        fileName: path.basename(SERVER_DATA_FILE),
+        checksum,
+        user: req.user?.id || req.user?._id,
+      },
+      async (batch) => ({
+        ...(await applyBiomarkerSync(plan, { importBatchId: batch._id })),
+        total: rawRows.length,
+      })
+    );
+    console.log(`Biomarker sync from server file: ${rawRows.length} rows → ${result.inserted} added, ${result.updated} updated, ${result.removed} removed`);
     res.json({
       success: true,
-      message: `Imported ${result.length} biomarker entries from server file`,
-      data: { inserted: result.length, total: rawRows.length, failed: rawRows.length - result.length },
+      message: `Synced server file: ${result.inserted} added, ${result.updated} updated, ${result.removed} removed, ${result.unchanged} unchanged`,
+      data: {
+        inserted: result.inserted,
+        updated: result.updated,
+        removed: result.removed,
+        unchanged: result.unchanged,
+        total: rawRows.length,
+        importBatchId: result.importBatchId,
+      },
     });
   } catch (error) {
     console.error('Import from server file error:', error);
@@ -318,40 +229,19 @@ export const importFromServerFile = async (req, res) => {
 export const exportBiomarkers = async (req, res) => {
   try {
     const { format = 'xlsx', search } = req.query;
-    let query = {};
-    if (search && search.trim()) {
-      const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const searchRegex = new RegExp(escaped, 'i');
-      query = {
-        $or: [
-          { name: searchRegex },
-          { manifestation: searchRegex },
-          { prevalence: searchRegex },
-          { 'raw.Disease': searchRegex },
-          { 'raw.Autoantibody': searchRegex },
-          { 'raw.Name': searchRegex },
-          { 'raw.Clinical Manifestation': searchRegex },
-          { 'raw.Disease Association': searchRegex },
-          { 'raw.Disease Association (% percentage)': searchRegex },
-          { 'raw.Prevalence': searchRegex },
-          { 'raw.Prevalence (% percentage)': searchRegex },
-          { 'raw.Prevelanse (% percentage)': searchRegex },
-        ],
-      };
-    }
+    const query = buildBiomarkerSearchQuery(search);
 
     const biomarkers = await Biomarker.find(query).sort({ createdAt: -1 }).lean();
 
     const headers = ['Autoantibody', 'Disease', 'Disease Association (% percentage)', 'Clinical Manifestation', 'Prevalence (% percentage)'];
 
-    const rows = biomarkers.map((doc) => {
-      const autoantibody = doc.name || doc.raw?.Autoantibody || doc.raw?.Name || '';
-      const disease = doc.raw?.Disease || doc.raw?.disease || '';
-      const diseaseAssociation = doc.raw?.['Disease Association (% percentage)'] || doc.raw?.['Disease Association'] || doc.raw?.DiseaseAssociation || '';
-      const manifestation = doc.manifestation || doc.raw?.['Clinical Manifestation'] || doc.raw?.Manifestation || '';
-      const prevalence = doc.prevalence || doc.raw?.['Prevalence (% percentage)'] || doc.raw?.['Prevelanse (% percentage)'] || doc.raw?.Prevalence || '';
-      return [autoantibody, disease, diseaseAssociation, manifestation, prevalence];
-    });
+    const rows = biomarkers.map((doc) => [
+      doc.name || '',
+      doc.disease || '',
+      doc.diseaseAssociation || '',
+      doc.manifestation || '',
+      doc.prevalence || '',
+    ]);
 
     const worksheetData = [headers, ...rows];
     const worksheet = XLSX.utils.aoa_to_sheet(worksheetData);
@@ -399,23 +289,31 @@ export const searchBiomarkers = async (req, res) => {
     let query = {};
 
     if (search) {
-      const escaped = escapeRegex(search.trim());
-      const searchRegex = new RegExp(escaped, 'i');
+      const searchRegex = new RegExp(escapeRegex(search.trim()), 'i');
       query = {
         $or: [
           { name: searchRegex },
+          { disease: searchRegex },
           { manifestation: searchRegex },
-          { 'raw.Disease': searchRegex },
-          { 'raw.disease': searchRegex },
-          { 'raw.Autoantibody': searchRegex },
-          { 'raw.Biomarker': searchRegex },
-          { 'raw.Name': searchRegex },
-          { 'raw.Antibody': searchRegex },
-          { 'raw.Antibodies': searchRegex },
         ],
       };
     }
 
+    // Whole result set as NDJSON, or page by page with ?cursor=; without either the legacy array is returned
+    const sort = withIdTieBreaker({ name: 1 });
+    if (req.query.format === 'ndjson') {
+      return streamNdjson(res, Biomarker.find(query).sort(sort).lean().cursor({ batchSize: 500 }));
+    }
+    if (wantsCursor(req.query)) {
+      const pageSize = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 200));
+      const { condition, error } = parseCursorParam(req.query.cursor, sort);
+      if (error) return res.status(400).json({ success: false, message: error });
+      const filter = condition ? { $and: [query, condition] } : query;
+      const docs = await Biomarker.find(filter).sort(sort).limit(pageSize + 1).lean();
+      const { page: data, pagination } = cursorPage(docs, sort, pageSize);
+      return res.json({ success: true, data, pagination });
+    }
+
     // Return up to 5000 results to ensure all antibodies with diseases are fetched (no truncation at 2xxx)
     const limit = 5000;
     const biomarkers = await Biomarker.find(query).limit(limit).lean();
@@ -1,6 +1,40 @@
 import DiseaseData from '../models/diseaseModel.js';
 import { validationResult } from 'express-validator';
-import XLSX from 'xlsx';
+import { recordRevision } from '../helpers/revisionHelper.js';
+import { trashConfig } from '../config/trash.js';
+import {
+  findDuplicateRows,
+  planImport,
+  executeImport,
+  summarizePlan,
+  prepareDiseaseFileImport,
+  IMPORT_MODES,
+  REQUIRED_IMPORT_FIELDS
+} from '../helpers/diseaseImportHelper.js';
+import { resolveImportProfile } from '../helpers/importProfileHelper.js';
+import { enqueueJob } from '../helpers/jobRunner.js';
+import { withImportBatch } from '../helpers/importBatchHelper.js';
+import { synonymSearchConditions, exactMatchCondition, canonicalNamesFor } from '../helpers/synonymHelper.js';
+import { parseQuery, compileQuery } from '../helpers/queryLanguageHelper.js';
+import { suggestValues, uniqueFieldValues, SUGGESTION_FIELDS } from '../helpers/suggestionHelper.js';
+import { searchConfig } from '../config/search.js';
+import { collectFieldPatterns, explainMatch } from '../helpers/highlightHelper.js';
+import { resolveRankingProfile, relevanceScoreStage, priorityNumber } from '../helpers/rankingHelper.js';
+import { wantsCursor, withIdTieBreaker, parseCursorParam, cursorPage, streamNdjson } from '../helpers/paginationHelper.js';
+import {
+  exportColumns,
+  additionalKeysOf,
+  findAdditionalKeys,
+  delimitedRow,
+  rowValues,
+  writeDelimited,
+  writeXlsx,
+  diseaseSheetKeyStage,
+  writeArchive,
+  createStreamWriter
+} from '../helpers/exportHelper.js';
+import { writeTurtle, writeJsonLd } from '../helpers/rdfHelper.js';
+import { METRIC_FIELDS, METRIC_SORT_FIELDS, METRIC_NUMERIC_PATHS, metricRangeConditions, metricRangeParams } from '../helpers/metricHelper.js';
 
 // Helper Methods
 
@@ -17,11 +51,31 @@ const serializeAdditionalFields = (entry) => {
   return additionalObj;
 };
 
-// Improved query builder that properly combines search and filters
-export const buildCombinedQuery = (searchParams) => {
-  const { search, field, disease, autoantibody, autoantigen, epitope, uniprotId, diseaseAssociation, affinity, sensitivity, diagnosticMarker, associationWithDiseaseActivity, pathogenesisInvolvement, reference, databaseAccessionNumbers, synonym, screening, confirmation, monitoring, positivePredictiveValues, negativePredictiveValues, crossReactivityPatterns, referenceRangesAndCutoffValues, type, priority } = searchParams;
+// Fields that accept an exact-match (case-insensitive) filter value
+export const FILTER_FIELDS = ['disease', 'autoantibody', 'autoantigen', 'epitope', 'uniprotId', 'diseaseAssociation', 'affinity', 'sensitivity', 'diagnosticMarker', 'associationWithDiseaseActivity', 'pathogenesisInvolvement', 'reference', 'databaseAccessionNumbers', 'synonym', 'screening', 'confirmation', 'monitoring', 'positivePredictiveValues', 'negativePredictiveValues', 'crossReactivityPatterns', 'referenceRangesAndCutoffValues', 'type', 'priority'];
+
+// Fields free-text search and the query language may target
+export const SEARCH_FIELDS = ['disease', 'autoantibody', 'autoantigen', 'epitope', 'uniprotId', 'diseaseAssociation', 'affinity', 'avidity', 'mechanism', 'isotypeSubclasses', 'sensitivity', 'diagnosticMarker', 'associationWithDiseaseActivity', 'pathogenesisInvolvement', 'reference', 'databaseAccessionNumbers', 'synonym', 'screening', 'confirmation', 'monitoring', 'positivePredictiveValues', 'negativePredictiveValues', 'crossReactivityPatterns', 'referenceRangesAndCutoffValues', 'type', 'priority'];
+// Fields the query language accepts numeric ranges on (priority:[1 TO 5], sensitivity:>=70);
+// metric fields compare their parsed values
+export const NUMERIC_SEARCH_FIELDS = ['priority', ...METRIC_FIELDS];
+
+const combineConditions = (conditions) => {
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+};
+
+// Split a query into its text-search conditions and one condition per field filter,
+// so callers such as faceted search can leave individual filters out
+export const buildQueryParts = (searchParams) => {
+  const { search, field, query } = searchParams;
   let searchConditions = [];
-  let filterConditions = [];
+
+  // Boolean query language (see helpers/queryLanguageHelper.js); syntax errors surface as QuerySyntaxError
+  if (typeof query === 'string' && query.trim()) {
+    searchConditions.push(compileQuery(parseQuery(query), { fields: SEARCH_FIELDS, numericFields: NUMERIC_SEARCH_FIELDS, numericPaths: METRIC_NUMERIC_PATHS }));
+  }
 
   // Handle text search
   if (search && search.trim()) {
@@ -31,82 +85,38 @@ export const buildCombinedQuery = (searchParams) => {
     const searchRegex = new RegExp(escapedSearch, 'i');
     
     if (field === 'all') {
-      // Enhanced Ro52/SSA relationship handling in search
-      const searchTerms = [];
-      if (search.trim().toLowerCase().includes('ro52') || 
-          search.trim().toLowerCase().includes('anti-ro52') ||
-          search.trim().toLowerCase().includes('ro/ssa') ||
-          search.trim().toLowerCase().includes('ro (ssa)') ||
-          search.trim().toLowerCase().includes('ro')) {
-        // For Ro52/Anti-Ro52/Ro searches, include SSA variations
-        searchTerms.push(
-          { disease: searchRegex },
-          { autoantibody: searchRegex },
-          { autoantibody: new RegExp('ro52', 'i') },
-          { autoantibody: new RegExp('anti-ro52', 'i') },
-          { autoantibody: new RegExp('ssa', 'i') },
-          { autoantibody: new RegExp('ro\\/ssa', 'i') },
-          { autoantibody: new RegExp('ro \\(ssa\\)', 'i') },
-          { autoantibody: new RegExp('ro/ss-a', 'i') },
-          { autoantibody: new RegExp('ro ss-a', 'i') },
-          { autoantigen: searchRegex },
-          { epitope: searchRegex },
-          { uniprotId: searchRegex },
-          { diseaseAssociation: searchRegex },
-          { affinity: searchRegex },
-          { avidity: searchRegex },
-          { mechanism: searchRegex },
-          { isotypeSubclasses: searchRegex },
-          { sensitivity: searchRegex },
-          { diagnosticMarker: searchRegex },
-          { associationWithDiseaseActivity: searchRegex },
-          { pathogenesisInvolvement: searchRegex },
-          { reference: searchRegex },
-          { databaseAccessionNumbers: searchRegex },
-          { synonym: searchRegex },
-          { screening: searchRegex },
-          { confirmation: searchRegex },
-          { monitoring: searchRegex },
-          { positivePredictiveValues: searchRegex },
-          { negativePredictiveValues: searchRegex },
-          { crossReactivityPatterns: searchRegex },
-          { referenceRangesAndCutoffValues: searchRegex },
-          { type: searchRegex },
-          { priority: searchRegex }
-        );
-      } else {
-        // Regular search for non-Ro52 terms
-        searchTerms.push(
-          { disease: searchRegex },
-          { autoantibody: searchRegex },
-          { autoantigen: searchRegex },
-          { epitope: searchRegex },
-          { uniprotId: searchRegex },
-          { diseaseAssociation: searchRegex },
-          { affinity: searchRegex },
-          { avidity: searchRegex },
-          { mechanism: searchRegex },
-          { isotypeSubclasses: searchRegex },
-          { sensitivity: searchRegex },
-          { diagnosticMarker: searchRegex },
-          { associationWithDiseaseActivity: searchRegex },
-          { pathogenesisInvolvement: searchRegex },
-          { reference: searchRegex },
-          { databaseAccessionNumbers: searchRegex },
-          { synonym: searchRegex },
-          { screening: searchRegex },
-          { confirmation: searchRegex },
-          { monitoring: searchRegex },
-          { positivePredictiveValues: searchRegex },
-          { negativePredictiveValues: searchRegex },
-          { crossReactivityPatterns: searchRegex },
-          { referenceRangesAndCutoffValues: searchRegex },
-          { type: searchRegex },
-          { priority: searchRegex }
-        );
-      }
+      const searchTerms = [
+        { disease: searchRegex },
+        { autoantibody: searchRegex },
+        { autoantigen: searchRegex },
+        { epitope: searchRegex },
+        { uniprotId: searchRegex },
+        { diseaseAssociation: searchRegex },
+        { affinity: searchRegex },
+        { avidity: searchRegex },
+        { mechanism: searchRegex },
+        { isotypeSubclasses: searchRegex },
+        { sensitivity: searchRegex },
+        { diagnosticMarker: searchRegex },
+        { associationWithDiseaseActivity: searchRegex },
+        { pathogenesisInvolvement: searchRegex },
+        { reference: searchRegex },
+        { databaseAccessionNumbers: searchRegex },
+        { synonym: searchRegex },
+        { screening: searchRegex },
+        { confirmation: searchRegex },
+        { monitoring: searchRegex },
+        { positivePredictiveValues: searchRegex },
+        { negativePredictiveValues: searchRegex },
+        { crossReactivityPatterns: searchRegex },
+        { referenceRangesAndCutoffValues: searchRegex },
+        { type: searchRegex },
+        { priority: searchRegex },
+        // Aliases from the synonym dictionary (e.g. Ro52 also finds TRIM21 and SSA/Ro)
+        ...synonymSearchConditions(search)
+      ];
       searchConditions.push({ $or: searchTerms });
-    } else if (['disease', 'autoantibody', 'autoantigen', 'epitope', 'uniprotId', 'diseaseAssociation', 'affinity', 'avidity', 'mechanism', 'isotypeSubclasses', 'sensitivity', 'diagnosticMarker', 'associationWithDiseaseActivity', 'pathogenesisInvolvement', 'reference', 'databaseAccessionNumbers', 'synonym', 'screening', 'confirmation', 'monitoring', 'positivePredictiveValues', 'negativePredictiveValues', 'crossReactivityPatterns', 'referenceRangesAndCutoffValues', 'type', 'priority'].includes(field)) {
+    } else if (SEARCH_FIELDS.includes(field)) {
       const searchQuery = {};
       
       // Use partial matching for autoantibody field search to show diseases associated with autoantibodies containing the search term
@@ -115,115 +125,29 @@ export const buildCombinedQuery = (searchParams) => {
       } else {
         searchQuery[field] = searchRegex;
       }
-      searchConditions.push(searchQuery);
+      const aliasConditions = synonymSearchConditions(search, field);
+      searchConditions.push(aliasConditions.length > 0 ? { $or: [searchQuery, ...aliasConditions] } : searchQuery);
     }
   }
 
-  // Handle specific field filters - using exact matching (case-insensitive)
-  if (disease && disease.trim()) {
-    const escapedValue = disease.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ disease: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (autoantibody && autoantibody.trim()) {
-    const autoantibodyTrimmed = autoantibody.trim();
-    const escapedValue = autoantibodyTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ autoantibody: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (autoantigen && autoantigen.trim()) {
-    const escapedValue = autoantigen.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ autoantigen: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (epitope && epitope.trim()) {
-    const escapedValue = epitope.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ epitope: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (uniprotId && uniprotId.trim()) {
-    const escapedValue = uniprotId.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ uniprotId: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (diseaseAssociation && diseaseAssociation.trim()) {
-    const escapedValue = diseaseAssociation.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ diseaseAssociation: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (affinity && affinity.trim()) {
-    const escapedValue = affinity.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ affinity: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (sensitivity && sensitivity.trim()) {
-    const escapedValue = sensitivity.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ sensitivity: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (diagnosticMarker && diagnosticMarker.trim()) {
-    const escapedValue = diagnosticMarker.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ diagnosticMarker: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (associationWithDiseaseActivity && associationWithDiseaseActivity.trim()) {
-    const escapedValue = associationWithDiseaseActivity.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ associationWithDiseaseActivity: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (pathogenesisInvolvement && pathogenesisInvolvement.trim()) {
-    const escapedValue = pathogenesisInvolvement.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ pathogenesisInvolvement: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (reference && reference.trim()) {
-    const escapedValue = reference.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ reference: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (databaseAccessionNumbers && databaseAccessionNumbers.trim()) {
-    const escapedValue = databaseAccessionNumbers.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ databaseAccessionNumbers: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (synonym && synonym.trim()) {
-    const escapedValue = synonym.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ synonym: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (screening && screening.trim()) {
-    const escapedValue = screening.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ screening: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (confirmation && confirmation.trim()) {
-    const escapedValue = confirmation.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ confirmation: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (monitoring && monitoring.trim()) {
-    const escapedValue = monitoring.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ monitoring: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (positivePredictiveValues && positivePredictiveValues.trim()) {
-    const escapedValue = positivePredictiveValues.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ positivePredictiveValues: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (negativePredictiveValues && negativePredictiveValues.trim()) {
-    const escapedValue = negativePredictiveValues.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ negativePredictiveValues: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (crossReactivityPatterns && crossReactivityPatterns.trim()) {
-    const escapedValue = crossReactivityPatterns.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ crossReactivityPatterns: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (referenceRangesAndCutoffValues && referenceRangesAndCutoffValues.trim()) {
-    const escapedValue = referenceRangesAndCutoffValues.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ referenceRangesAndCutoffValues: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (type && type.trim()) {
-    const escapedValue = type.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ type: new RegExp(`^${escapedValue}$`, 'i') });
-  }
-  if (priority && priority.trim()) {
-    const escapedValue = priority.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    filterConditions.push({ priority: new RegExp(`^${escapedValue}$`, 'i') });
-  }
+  // Handle specific field filters - using exact matching (case-insensitive), widened to dictionary aliases
+  const filterConditions = {};
+  FILTER_FIELDS.forEach((filterField) => {
+    const value = searchParams[filterField];
+    if (typeof value === 'string' && value.trim()) {
+      filterConditions[filterField] = exactMatchCondition(filterField, value);
+    }
+  });
+  // Numeric bounds on parsed metrics (?sensitivityMin=70)
+  Object.assign(filterConditions, metricRangeConditions(searchParams));
 
-  // Combine search and filter conditions
-  const allConditions = [...searchConditions, ...filterConditions];
-  
-  if (allConditions.length === 0) {
-    return {};
-  } else if (allConditions.length === 1) {
-    return allConditions[0];
-  } else {
-    return { $and: allConditions };
-  }
+  return { searchConditions, filterConditions };
+};
+
+// Improved query builder that properly combines search and filters
+export const buildCombinedQuery = (searchParams) => {
+  const { searchConditions, filterConditions } = buildQueryParts(searchParams);
+  return combineConditions([...searchConditions, ...Object.values(filterConditions)]);
 };
 
 export const getRelatedEntries = async (entry) => {
@@ -289,48 +213,23 @@ export const escapeCSV = (str) => {
 export const convertToCSV = (entries) => {
   if (!entries || entries.length === 0) return '';
   
-  const headers = ['Disease', 'Database Accession Numbers', 'Autoantibody', 'Synonym', 'Disease Association', 'Autoantigen', 'Epitope', 'Epitope Prevalence', 'UniProt ID', 'Screening', 'Confirmation', 'Monitoring', 'Affinity', 'Avidity', 'Mechanism', 'Isotype Subclasses', 'Sensitivity', 'Diagnostic Marker', 'Association with Disease Activity', 'Positive Predictive Values', 'Negative Predictive Values', 'Cross Reactivity Patterns', 'Pathogenesis Involvement', 'Reference Ranges and Cutoff Values', 'Reference', 'Type', 'Priority', 'Date Added', 'Last Updated', 'Verified'];
-  const csvRows = [headers.join(',')];
+  const columns = exportColumns(additionalKeysOf(entries));
+  const csvRows = [delimitedRow(columns.map(column => column.header), 'csv')];
   
   entries.forEach(entry => {
-    const row = [
-      escapeCSV(entry.disease || ''),
-      escapeCSV(entry.databaseAccessionNumbers || ''),
-      escapeCSV(entry.autoantibody || ''),
-      escapeCSV(entry.synonym || ''),
-      escapeCSV(entry.diseaseAssociation || ''),
-      escapeCSV(entry.autoantigen || ''),
-      escapeCSV(entry.epitope || ''),
-      escapeCSV(entry.epitopePrevalence || ''),
-      escapeCSV(entry.uniprotId || ''),
-      escapeCSV(entry.screening || ''),
-      escapeCSV(entry.confirmation || ''),
-      escapeCSV(entry.monitoring || ''),
-      escapeCSV(entry.affinity || ''),
-      escapeCSV(entry.avidity || ''),
-      escapeCSV(entry.mechanism || ''),
-      escapeCSV(entry.isotypeSubclasses || ''),
-      escapeCSV(entry.sensitivity || ''),
-      escapeCSV(entry.diagnosticMarker || ''),
-      escapeCSV(entry.associationWithDiseaseActivity || ''),
-      escapeCSV(entry.positivePredictiveValues || ''),
-      escapeCSV(entry.negativePredictiveValues || ''),
-      escapeCSV(entry.crossReactivityPatterns || ''),
-      escapeCSV(entry.pathogenesisInvolvement || ''),
-      escapeCSV(entry.referenceRangesAndCutoffValues || ''),
-      escapeCSV(entry.reference || ''),
-      escapeCSV(entry.type || ''),
-      escapeCSV(entry.priority || ''),
-      entry.createdAt ? new Date(entry.createdAt).toISOString().split('T')[0] : '',
-      entry.metadata?.lastUpdated ? new Date(entry.metadata.lastUpdated).toISOString().split('T')[0] : '',
-      entry.metadata?.verified ? 'Yes' : 'No'
-    ];
-    csvRows.push(row.join(','));
+    csvRows.push(delimitedRow(rowValues(entry, columns), 'csv'));
   });
   
   return csvRows.join('\n');
 };
 
+// Repeated query parameters (?q=a&q=b) arrive as arrays. Returns a 400 message for the first
+// of `names` that isn't a single string, or null.
+export const nonStringQueryParam = (query, names) => {
+  const name = names.find((param) => query[param] !== undefined && typeof query[param] !== 'string');
+  return name ? `Query parameter "${name}" must be given once, as text` : null;
+};
+
 export const handleError = (res, error, message) => {
   console.error(`${message}:`, error);
   
@@ -347,80 +246,87 @@ export const handleError = (res, error, message) => {
   } else if (error.code === 11000) {
     statusCode = 409;
     errorMessage = 'Duplicate entry found';
+  } else if (error.name === 'QuerySyntaxError') {
+    statusCode = 400;
+    errorMessage = `Invalid query at position ${error.position}: ${error.message}`;
   }
 
   res.status(statusCode).json({
     success: false,
     message: errorMessage,
+    ...(error.name === 'QuerySyntaxError' && { position: error.position }),
     error: process.env.NODE_ENV === 'development' ? error.message : undefined
   });
 };
 
+// Numeric priority for sorting (priority is stored as free text)
+const priorityNumStage = { $addFields: { priorityNum: priorityNumber } };
+
+// Unknown ?rank profile
+const unknownRankingProfile = (res, name) =>
+  res.status(400).json({ success: false, message: `Unknown ranking profile "${name}"` });
+
 // Controller Methods
 
 export const getAllEntries = async (req, res) => {
   try {
+    const invalidParam = nonStringQueryParam(req.query, ['rank', 'search']);
+    if (invalidParam) {
+      return res.status(400).json({ success: false, message: invalidParam });
+    }
     const page = Math.max(1, parseInt(req.query.page) || 1);
     // Allow higher limit (up to 10000) to support fetching all results when autoantibody or disease filter is active
     const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 10), 10000);
     const skip = (page - 1) * limit;
     
-    const { search, field, disease, autoantibody, autoantigen, epitope, uniprotId, diseaseAssociation, affinity, sensitivity, diagnosticMarker, associationWithDiseaseActivity, pathogenesisInvolvement, reference, databaseAccessionNumbers, synonym, screening, confirmation, monitoring, positivePredictiveValues, negativePredictiveValues, crossReactivityPatterns, referenceRangesAndCutoffValues, type, sortBy = 'disease', sortOrder = 'asc' } = req.query;
+    const { rank, search, field, query: queryText, disease, autoantibody, autoantigen, epitope, uniprotId, diseaseAssociation, affinity, sensitivity, diagnosticMarker, associationWithDiseaseActivity, pathogenesisInvolvement, reference, databaseAccessionNumbers, synonym, screening, confirmation, monitoring, positivePredictiveValues, negativePredictiveValues, crossReactivityPatterns, referenceRangesAndCutoffValues, type, sortBy = 'disease', sortOrder = 'asc' } = req.query;
 
     // Build combined query
-    const query = buildCombinedQuery({ search, field, disease, autoantibody, autoantigen, epitope, uniprotId, diseaseAssociation, affinity, sensitivity, diagnosticMarker, associationWithDiseaseActivity, pathogenesisInvolvement, reference, databaseAccessionNumbers, synonym, screening, confirmation, monitoring, positivePredictiveValues, negativePredictiveValues, crossReactivityPatterns, referenceRangesAndCutoffValues, type });
+    const query = buildCombinedQuery({ search, field, query: queryText, disease, autoantibody, autoantigen, epitope, uniprotId, diseaseAssociation, affinity, sensitivity, diagnosticMarker, associationWithDiseaseActivity, pathogenesisInvolvement, reference, databaseAccessionNumbers, synonym, screening, confirmation, monitoring, positivePredictiveValues, negativePredictiveValues, crossReactivityPatterns, referenceRangesAndCutoffValues, type, ...metricRangeParams(req.query) });
 
     // Build sort object with validation
     const validSortFields = ['disease', 'autoantibody', 'autoantigen', 'epitope', 'uniprotId', 'diseaseAssociation', 'affinity', 'avidity', 'mechanism', 'isotypeSubclasses', 'sensitivity', 'diagnosticMarker', 'associationWithDiseaseActivity', 'pathogenesisInvolvement', 'reference', 'databaseAccessionNumbers', 'synonym', 'screening', 'confirmation', 'monitoring', 'positivePredictiveValues', 'negativePredictiveValues', 'crossReactivityPatterns', 'referenceRangesAndCutoffValues', 'type', 'priority', 'createdAt', 'updatedAt'];
-    const sortField = validSortFields.includes(sortBy) ? sortBy : 'disease';
-    const sort = {};
-    
-    // Always sort by priority first when displaying diseases, then by the requested field
-    // Use aggregation to sort by priority first, then by the requested field
+    // ?sortBy=sensitivityValue (etc.) sorts on the parsed metric instead of its text
+    const sortField = METRIC_SORT_FIELDS[sortBy] || (validSortFields.includes(sortBy) ? sortBy : 'disease');
     const sortOrderNum = sortOrder === 'desc' ? -1 : 1;
+
+    // With ?rank the profile's relevance score orders the results; otherwise priority comes first
+    const profile = rank ? await resolveRankingProfile(rank) : null;
+    if (rank && !profile) return unknownRankingProfile(res, rank);
+    const orderingStage = profile ? relevanceScoreStage(profile, search) : priorityNumStage;
+    const sort = withIdTieBreaker({ [profile ? 'relevanceScore' : 'priorityNum']: -1, [sortField]: sortOrderNum });
+
+    // ?format=ndjson streams every matching entry in order, one JSON document per line
+    if (req.query.format === 'ndjson') {
+      const cursor = DiseaseData.aggregate([
+        { $match: query },
+        orderingStage,
+        { $sort: sort },
+        { $project: { priorityNum: 0 } }
+      ]).allowDiskUse(true).cursor({ batchSize: 500 });
+      return streamNdjson(res, cursor);
+    }
+
+    // ?cursor= pages by the sort key and _id instead of skipping
+    if (wantsCursor(req.query)) {
+      const { condition, error } = parseCursorParam(req.query.cursor, sort);
+      if (error) return res.status(400).json({ success: false, message: error });
+      const docs = await DiseaseData.aggregate([
+        { $match: query },
+        orderingStage,
+        ...(condition ? [{ $match: condition }] : []),
+        { $sort: sort },
+        { $limit: limit + 1 }
+      ]);
+      const { page: data, pagination } = cursorPage(docs, sort, limit);
+      data.forEach((doc) => delete doc.priorityNum);
+      return res.json({ success: true, data, pagination });
+    }
+
     const entriesAggregation = await DiseaseData.aggregate([
       { $match: query },
-      {
-        $addFields: {
-          priorityNum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$priority', null] },
-                  { $ne: ['$priority', ''] },
-                  { $ne: [{ $type: '$priority' }, 'missing'] }
-                ]
-              },
-              {
-                $cond: [
-                  { $eq: [{ $type: '$priority' }, 'number'] },
-                  '$priority',
-                  {
-                    $cond: [
-                      { $eq: [{ $type: '$priority' }, 'string'] },
-                      {
-                        $cond: [
-                          { $regexMatch: { input: '$priority', regex: /^-?\d+(\.\d+)?$/ } },
-                          { $toDouble: '$priority' },
-                          0
-                        ]
-                      },
-                      0
-                    ]
-                  }
-                ]
-              },
-              0
-            ]
-          }
-        }
-      },
-      {
-        $sort: {
-          priorityNum: -1, // Higher priority first
-          [sortField]: sortOrderNum
-        }
-      },
+      orderingStage,
+      { $sort: sort },
       { $skip: skip },
       { $limit: limit },
       {
@@ -444,6 +350,7 @@ export const getAllEntries = async (req, res) => {
       appliedFilters: {
         search: search || null,
         field: field || null,
+        query: queryText || null,
         disease: disease || null,
         autoantibody: autoantibody || null,
         autoantigen: autoantigen || null,
@@ -466,7 +373,9 @@ export const getAllEntries = async (req, res) => {
         crossReactivityPatterns: crossReactivityPatterns || null,
         referenceRangesAndCutoffValues: referenceRangesAndCutoffValues || null,
         type: type || null,
-        sortBy: sortField,
+        ...metricRangeParams(req.query),
+        rank: profile?.name || null,
+        sortBy: METRIC_SORT_FIELDS[sortBy] ? sortBy : sortField,
         sortOrder
       }
     });
@@ -535,8 +444,11 @@ export const createEntry = async (req, res) => {
       });
     }
 
+    const userId = req.user?.id || req.user?._id;
     const entry = new DiseaseData({
       ...req.body,
+      createdBy: userId,
+      updatedBy: userId,
       metadata: {
         ...req.body.metadata,
         dateAdded: new Date(),
@@ -545,6 +457,7 @@ export const createEntry = async (req, res) => {
     });
     
     await entry.save();
+    await recordRevision({ entryId: entry._id, action: 'create', after: entry, user: userId });
 
     const entryWithSerializedAdditional = {
       ...entry.toObject(),
@@ -581,8 +494,20 @@ export const updateEntry = async (req, res) => {
       });
     }
 
+    const before = await DiseaseData.findById(id).lean();
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found'
+      });
+    }
+
+    // createdBy is set once on creation and cannot be overwritten by the client
+    const { createdBy, ...body } = req.body;
+    const userId = req.user?.id || req.user?._id;
     const updateData = {
-      ...req.body,
+      ...body,
+      updatedBy: userId,
       'metadata.lastUpdated': new Date()
     };
 
@@ -603,6 +528,8 @@ export const updateEntry = async (req, res) => {
       });
     }
 
+    await recordRevision({ entryId: entry._id, action: 'update', before, after: entry, user: userId });
+
     const entryWithSerializedAdditional = {
       ...entry.toObject(),
       additional: serializeAdditionalFields(entry)
@@ -618,9 +545,11 @@ export const updateEntry = async (req, res) => {
   }
 };
 
+// Soft delete moves the entry to the trash; ?permanent=true (superAdmin only) removes it for good
 export const deleteEntry = async (req, res) => {
   try {
     const { id } = req.params;
+    const { permanent = false } = req.query;
     
     if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
@@ -629,7 +558,38 @@ export const deleteEntry = async (req, res) => {
       });
     }
 
-    const entry = await DiseaseData.findByIdAndDelete(id);
+    const userId = req.user?.id || req.user?._id;
+
+    if (permanent === 'true') {
+      const entry = await DiseaseData.findOneAndDelete({ _id: id });
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Entry not found'
+        });
+      }
+
+      await recordRevision({ entryId: entry._id, action: 'purge', before: entry, user: userId });
+
+      return res.json({
+        success: true,
+        message: 'Entry permanently deleted successfully'
+      });
+    }
+
+    const before = await DiseaseData.findById(id).lean();
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found'
+      });
+    }
+
+    const entry = await DiseaseData.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { deletedAt: new Date(), deletedBy: userId },
+      { new: true }
+    );
     if (!entry) {
       return res.status(404).json({
         success: false,
@@ -637,18 +597,139 @@ export const deleteEntry = async (req, res) => {
       });
     }
 
+    await recordRevision({ entryId: entry._id, action: 'delete', before, after: entry, user: userId });
+
     res.json({
       success: true,
-      message: 'Entry deleted successfully'
+      message: 'Entry moved to trash',
+      data: { _id: entry._id, deletedAt: entry.deletedAt }
     });
   } catch (error) {
     handleError(res, error, 'Error deleting entry');
   }
 };
 
+// List entries currently in the trash
+export const getTrash = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 500);
+    const skip = (page - 1) * limit;
+    const query = { deletedAt: { $ne: null } };
+
+    const [entries, total] = await Promise.all([
+      DiseaseData.find(query)
+        .populate('deletedBy', 'name username email')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      DiseaseData.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      retentionDays: trashConfig.retentionDays
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching trash');
+  }
+};
+
+export const restoreFromTrash = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid entry ID is required'
+      });
+    }
+
+    const before = await DiseaseData.findOne({ _id: id, deletedAt: { $ne: null } }).lean();
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found in trash'
+      });
+    }
+
+    const userId = req.user?.id || req.user?._id;
+    const entry = await DiseaseData.findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      {
+        $set: { deletedAt: null, updatedBy: userId, 'metadata.lastUpdated': new Date() },
+        $unset: { deletedBy: '' }
+      },
+      { new: true }
+    );
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found in trash'
+      });
+    }
+
+    await recordRevision({ entryId: entry._id, action: 'restore', before, after: entry, user: userId });
+
+    res.json({
+      success: true,
+      message: 'Entry restored from trash',
+      data: {
+        ...entry.toObject(),
+        additional: serializeAdditionalFields(entry)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error restoring entry from trash');
+  }
+};
+
+export const purgeFromTrash = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid entry ID is required'
+      });
+    }
+
+    const entry = await DiseaseData.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found in trash'
+      });
+    }
+
+    await recordRevision({ entryId: entry._id, action: 'purge', before: entry, user: req.user?.id || req.user?._id });
+
+    res.json({
+      success: true,
+      message: 'Entry permanently deleted successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Error purging entry');
+  }
+};
+
 export const searchEntries = async (req, res) => {
   try {
-    const { q: searchTerm, field = 'all', limit = 20 } = req.query;
+    const { q: searchTerm, field = 'all', limit = 20, rank } = req.query;
+    const invalidParam = nonStringQueryParam(req.query, ['q', 'field', 'rank']);
+    if (invalidParam) {
+      return res.status(400).json({ success: false, message: invalidParam });
+    }
     
     if (!searchTerm || searchTerm.trim().length < 1) {
       return res.status(400).json({
@@ -660,51 +741,15 @@ export const searchEntries = async (req, res) => {
     const query = buildCombinedQuery({ search: searchTerm, field });
     const maxLimit = Math.min(parseInt(limit), 1000);
 
-    // Sort by priority first (descending), then by disease and autoantibody
+    const profile = await resolveRankingProfile(rank);
+    if (!profile) return unknownRankingProfile(res, rank);
+
+    // Sort by priority first (descending), then by disease and autoantibody; ?rank sorts by the profile's score
     const entries = await DiseaseData.aggregate([
       { $match: query },
-      {
-        $addFields: {
-          priorityNum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$priority', null] },
-                  { $ne: ['$priority', ''] },
-                  { $ne: [{ $type: '$priority' }, 'missing'] }
-                ]
-              },
-              {
-                $cond: [
-                  { $eq: [{ $type: '$priority' }, 'number'] },
-                  '$priority',
-                  {
-                    $cond: [
-                      { $eq: [{ $type: '$priority' }, 'string'] },
-                      {
-                        $cond: [
-                          { $regexMatch: { input: '$priority', regex: /^-?\d+(\.\d+)?$/ } },
-                          { $toDouble: '$priority' },
-                          0
-                        ]
-                      },
-                      0
-                    ]
-                  }
-                ]
-              },
-              0
-            ]
-          }
-        }
-      },
-      {
-        $sort: {
-          priorityNum: -1, // Higher priority first
-          disease: 1,
-          autoantibody: 1
-        }
-      },
+      ...(rank
+        ? [relevanceScoreStage(profile, searchTerm), { $sort: { relevanceScore: -1, disease: 1, autoantibody: 1 } }]
+        : [priorityNumStage, { $sort: { priorityNum: -1, disease: 1, autoantibody: 1 } }]),
       { $limit: maxLimit },
       {
         $project: {
@@ -713,11 +758,22 @@ export const searchEntries = async (req, res) => {
       }
     ]);
 
+    const patterns = collectFieldPatterns(query);
+    entries.forEach((entry) => {
+      entry.matchedFields = explainMatch(entry, patterns, { weights: profile.weights });
+    });
+
+    // Few or no hits: offer close spellings of known names
+    const suggestions = entries.length < searchConfig.suggestionThreshold
+      ? await suggestValues(searchTerm, { fields: field === 'all' ? SUGGESTION_FIELDS : [field] })
+      : [];
+
     res.json({
       success: true,
       data: entries,
       count: entries.length,
-      searchTerm: searchTerm.trim()
+      searchTerm: searchTerm.trim(),
+      suggestions
     });
   } catch (error) {
     handleError(res, error, 'Error searching entries');
@@ -726,7 +782,11 @@ export const searchEntries = async (req, res) => {
 
 export const advancedSearch = async (req, res) => {
   try {
-    const { q: searchTerm, limit = 50, includeStats = false } = req.query;
+    const { q: searchTerm, limit = 50, includeStats = false, rank } = req.query;
+    const invalidParam = nonStringQueryParam(req.query, ['q', 'rank']);
+    if (invalidParam) {
+      return res.status(400).json({ success: false, message: invalidParam });
+    }
     
     if (!searchTerm || searchTerm.trim().length < 2) {
       return res.status(400).json({
@@ -735,7 +795,12 @@ export const advancedSearch = async (req, res) => {
       });
     }
 
+    // Field weights and the exact-match boost come from the ranking profile (?rank, else the default)
+    const profile = await resolveRankingProfile(rank);
+    if (!profile) return unknownRankingProfile(res, rank);
+
     const searchRegex = new RegExp(searchTerm.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const aliasConditions = synonymSearchConditions(searchTerm);
     
     const pipeline = [
       {
@@ -766,27 +831,12 @@ export const advancedSearch = async (req, res) => {
             { crossReactivityPatterns: searchRegex },
             { referenceRangesAndCutoffValues: searchRegex },
             { type: searchRegex },
-            { priority: searchRegex }
+            { priority: searchRegex },
+            ...aliasConditions
           ]
         }
       },
-      {
-        $addFields: {
-          relevanceScore: {
-            $sum: [
-              { $cond: [{ $regexMatch: { input: '$disease', regex: searchRegex } }, 10, 0] },
-              { $cond: [{ $regexMatch: { input: '$autoantibody', regex: searchRegex } }, 8, 0] },
-              { $cond: [{ $regexMatch: { input: '$autoantigen', regex: searchRegex } }, 6, 0] },
-              { $cond: [{ $regexMatch: { input: { $ifNull: ['$epitope', ''] }, regex: searchRegex } }, 4, 0] },
-              { $cond: [{ $regexMatch: { input: { $ifNull: ['$uniprotId', ''] }, regex: searchRegex } }, 2, 0] },
-              { $cond: [{ $regexMatch: { input: { $ifNull: ['$diseaseAssociation', ''] }, regex: searchRegex } }, 3, 0] },
-              { $cond: [{ $regexMatch: { input: { $ifNull: ['$diagnosticMarker', ''] }, regex: searchRegex } }, 5, 0] },
-              { $cond: [{ $regexMatch: { input: { $ifNull: ['$pathogenesisInvolvement', ''] }, regex: searchRegex } }, 3, 0] },
-              { $cond: [{ $regexMatch: { input: { $ifNull: ['$reference', ''] }, regex: searchRegex } }, 1, 0] }
-            ]
-          }
-        }
-      },
+      relevanceScoreStage(profile, searchTerm),
       {
         $sort: { relevanceScore: -1, disease: 1 }
       },
@@ -795,7 +845,12 @@ export const advancedSearch = async (req, res) => {
       }
     ];
 
-    const results = await DiseaseData.aggregate(pipeline);
+    const patterns = collectFieldPatterns(pipeline[0].$match);
+    const results = (await DiseaseData.aggregate(pipeline)).map((hit) => ({
+      ...hit,
+      // Which fields matched and why, strongest first
+      matchedFields: explainMatch(hit, patterns, { weights: profile.weights })
+    }));
 
     let stats = null;
     if (includeStats === 'true') {
@@ -828,7 +883,8 @@ export const advancedSearch = async (req, res) => {
               { crossReactivityPatterns: searchRegex },
               { referenceRangesAndCutoffValues: searchRegex },
               { type: searchRegex },
-              { priority: searchRegex }
+              { priority: searchRegex },
+              ...aliasConditions
             ]
           }
         },
@@ -859,18 +915,122 @@ export const advancedSearch = async (req, res) => {
       };
     }
 
+    const suggestions = results.length < searchConfig.suggestionThreshold
+      ? await suggestValues(searchTerm)
+      : [];
+
     res.json({
       success: true,
       data: results,
       count: results.length,
       searchTerm: searchTerm.trim(),
-      stats
+      rank: profile.name,
+      stats,
+      suggestions
     });
   } catch (error) {
     handleError(res, error, 'Error performing advanced search');
   }
 };
 
+// Fields the faceted search reports value counts for
+export const FACET_FIELDS = ['disease', 'autoantibody', 'autoantigen', 'uniprotId', 'diagnosticMarker', 'sensitivity', 'diseaseAssociation', 'affinity', 'type', 'associationWithDiseaseActivity', 'pathogenesisInvolvement', 'screening', 'confirmation', 'monitoring'];
+
+// Paginated results plus per-facet value counts from a single $facet aggregation.
+// Takes the same search/filter parameters as getAllEntries. Each facet applies every
+// filter except its own, so the remaining values of a filtered field stay selectable.
+export const facetedSearch = async (req, res) => {
+  try {
+    const invalidParam = nonStringQueryParam(req.query, ['search', 'field', 'query', 'facets', 'sortBy', 'sortOrder']);
+    if (invalidParam) {
+      return res.status(400).json({ success: false, message: invalidParam });
+    }
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 1000);
+    const skip = (page - 1) * limit;
+    const facetLimit = Math.min(Math.max(1, parseInt(req.query.facetLimit) || 50), 500);
+    const { sortBy = 'disease', sortOrder = 'asc' } = req.query;
+
+    const facets = req.query.facets
+      ? req.query.facets.split(',').map((f) => f.trim()).filter((f) => FACET_FIELDS.includes(f))
+      : FACET_FIELDS;
+
+    const validSortFields = [...FACET_FIELDS, 'epitope', 'priority', 'createdAt', 'updatedAt'];
+    const sortField = validSortFields.includes(sortBy) ? sortBy : 'disease';
+    const sortOrderNum = sortOrder === 'desc' ? -1 : 1;
+
+    const { searchConditions, filterConditions } = buildQueryParts(req.query);
+    const matchFiltersExcept = (excluded) => {
+      const conditions = Object.entries(filterConditions)
+        .filter(([filterField]) => filterField !== excluded)
+        .map(([, condition]) => condition);
+      return conditions.length > 0 ? [{ $match: combineConditions(conditions) }] : [];
+    };
+
+    const facetPipelines = {};
+    facets.forEach((facet) => {
+      facetPipelines[facet] = [
+        ...matchFiltersExcept(facet),
+        { $match: { [facet]: { $type: 'string', $ne: '' } } },
+        {
+          // Group case-insensitively, like the unique-value endpoints
+          $group: {
+            _id: { $toLower: { $trim: { input: `$${facet}` } } },
+            value: { $first: { $trim: { input: `$${facet}` } } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: facetLimit },
+        { $project: { _id: 0, value: 1, count: 1 } }
+      ];
+    });
+
+    const [result] = await DiseaseData.aggregate([
+      { $match: combineConditions(searchConditions) },
+      {
+        $facet: {
+          results: [
+            ...matchFiltersExcept(null),
+            priorityNumStage,
+            { $sort: { priorityNum: -1, [sortField]: sortOrderNum, _id: 1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { priorityNum: 0 } }
+          ],
+          total: [...matchFiltersExcept(null), { $count: 'count' }],
+          ...facetPipelines
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const facetCounts = Object.fromEntries(facets.map((facet) => [facet, result[facet]]));
+
+    res.json({
+      success: true,
+      data: result.results,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      facets: facetCounts,
+      appliedFilters: {
+        search: req.query.search || null,
+        field: req.query.field || null,
+        query: req.query.query || null,
+        ...Object.fromEntries(Object.keys(filterConditions).map((f) => [f, req.query[f]])),
+        sortBy: sortField,
+        sortOrder
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error performing faceted search');
+  }
+};
+
 export const getEntriesByDisease = async (req, res) => {
   try {
     const { disease } = req.params;
@@ -1036,20 +1196,8 @@ export const getUniqueValues = async (req, res) => {
       });
     }
 
-    const values = await DiseaseData.distinct(field);
-    // Normalize and deduplicate case-insensitively while preserving first-seen original
-    const seen = new Map();
-    values.forEach((value) => {
-      if (!value) return;
-      const original = value.toString().trim();
-      if (!original) return;
-      const key = original.toLowerCase();
-      if (!seen.has(key)) {
-        seen.set(key, original);
-      }
-    });
-    
-    let filteredValues = Array.from(seen.values());
+    // Normalized and deduplicated case-insensitively, preserving the first-seen original
+    let filteredValues = await uniqueFieldValues(field);
     
     // If field is 'disease', sort by priority first, then alphabetically
     if (field === 'disease') {
@@ -1095,7 +1243,9 @@ export const getUniqueValues = async (req, res) => {
     res.json({
       success: true,
       data: filteredValues,
-      count: filteredValues.length
+      count: filteredValues.length,
+      // Values the synonym dictionary maps to another canonical name
+      synonyms: canonicalNamesFor(filteredValues, field)
     });
   } catch (error) {
     handleError(res, error, 'Error fetching unique values');
@@ -1120,13 +1270,10 @@ export const getFilteredUniqueValues = async (req, res) => {
     if (field === 'disease') {
       // Support reverse filtering: filter diseases by autoantibody, autoantigen, or epitope
       if (autoantibody) {
-        const autoantibodyTrimmed = autoantibody.trim();
-        const escapedValue = autoantibodyTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantibody = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantibody', autoantibody));
       }
       if (autoantigen) {
-        const escapedValue = autoantigen.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantigen = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantigen', autoantigen));
       }
       if (epitope) {
         const escapedValue = epitope.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -1135,34 +1282,27 @@ export const getFilteredUniqueValues = async (req, res) => {
     } else if (field === 'autoantibody') {
       // Filter autoantibody by disease or autoantigen (reverse filtering)
       if (disease) {
-        const escapedValue = disease.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.disease = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('disease', disease));
       }
       if (autoantigen) {
-        const escapedValue = autoantigen.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantigen = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantigen', autoantigen));
       }
     } else if (field === 'autoantigen') {
       if (disease) {
-        const escapedValue = disease.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.disease = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('disease', disease));
       }
       if (autoantibody) {
-        const escapedValue = autoantibody.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantibody = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantibody', autoantibody));
       }
     } else if (field === 'epitope') {
       if (autoantigen) {
-        const escapedValue = autoantigen.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantigen = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantigen', autoantigen));
       }
       if (disease) {
-        const escapedValue = disease.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.disease = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('disease', disease));
       }
       if (autoantibody) {
-        const escapedValue = autoantibody.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantibody = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantibody', autoantibody));
       }
       // Only return epitopes for specific autoantigen/disease combinations
       if (!autoantigen && !disease && !autoantibody) {
@@ -1175,16 +1315,13 @@ export const getFilteredUniqueValues = async (req, res) => {
     } else if (field === 'uniprotId') {
       // Filter UniProt IDs by autoantibody, autoantigen, disease, or epitope
       if (autoantibody) {
-        const escapedValue = autoantibody.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantibody = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantibody', autoantibody));
       }
       if (autoantigen) {
-        const escapedValue = autoantigen.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantigen = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantigen', autoantigen));
       }
       if (disease) {
-        const escapedValue = disease.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.disease = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('disease', disease));
       }
       if (epitope) {
         const escapedValue = epitope.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -1193,16 +1330,13 @@ export const getFilteredUniqueValues = async (req, res) => {
     } else if (field === 'type') {
       // Filter type by disease, autoantibody, autoantigen, or epitope
       if (disease) {
-        const escapedValue = disease.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.disease = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('disease', disease));
       }
       if (autoantibody) {
-        const escapedValue = autoantibody.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantibody = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantibody', autoantibody));
       }
       if (autoantigen) {
-        const escapedValue = autoantigen.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        filterQuery.autoantigen = new RegExp(`^${escapedValue}$`, 'i');
+        Object.assign(filterQuery, exactMatchCondition('autoantigen', autoantigen));
       }
       if (epitope) {
         const escapedValue = epitope.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -1273,6 +1407,7 @@ export const getFilteredUniqueValues = async (req, res) => {
       success: true,
       data: filteredValues,
       count: filteredValues.length,
+      synonyms: canonicalNamesFor(filteredValues, field),
       appliedFilters: { disease, autoantibody, autoantigen, epitope }
     });
   } catch (error) {
@@ -1362,18 +1497,7 @@ export const getStatistics = async (req, res) => {
 // Return distinct keys present under the `additional` map across all documents
 export const getDistinctAdditionalKeys = async (req, res) => {
   try {
-    const pipeline = [
-      { $match: { additional: { $type: 'object' } } },
-      { $project: { kv: { $objectToArray: '$additional' } } },
-      { $unwind: '$kv' },
-      { $group: { _id: { $toLower: { $ifNull: ['$kv.k', ''] } }, original: { $first: '$kv.k' } } },
-      { $match: { _id: { $ne: '' } } },
-      { $project: { _id: 0, key: '$original' } },
-      { $sort: { key: 1 } }
-    ];
-
-    const results = await DiseaseData.aggregate(pipeline);
-    const keys = results.map((r) => r.key);
+    const keys = await findAdditionalKeys();
 
     res.json({ success: true, data: keys, count: keys.length });
   } catch (error) {
@@ -1381,6 +1505,60 @@ export const getDistinctAdditionalKeys = async (req, res) => {
   }
 };
 
+// Metric texts that didn't parse into numbers, most frequent first, for curators to clean up
+export const getUnparsedMetrics = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 500);
+    const fields = METRIC_FIELDS.includes(req.query.field) ? [req.query.field] : METRIC_FIELDS;
+
+    const [facets] = await DiseaseData.aggregate([
+      {
+        $facet: Object.fromEntries(fields.map((field) => [field, [
+          { $match: { [field]: { $nin: [null, ''] }, [`metrics.${field}`]: null } },
+          { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $group: { _id: null, distinct: { $sum: 1 }, entries: { $sum: '$count' }, values: { $push: { text: '$_id', count: '$count' } } } },
+          { $project: { _id: 0, distinct: 1, entries: 1, values: { $slice: ['$values', limit] } } }
+        ]]))
+      }
+    ]);
+
+    const data = Object.fromEntries(fields.map((field) => [
+      field,
+      facets[field][0] || { distinct: 0, entries: 0, values: [] }
+    ]));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    handleError(res, error, 'Error fetching unparsed metrics');
+  }
+};
+
+// Shared response for bulk and file imports; 207 when some writes failed
+const sendImportResult = (res, result, extra = {}) => {
+  const written = result.inserted + result.updated;
+  const summary = `${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped`;
+  const partial = result.failed > 0;
+  return res.status(partial ? 207 : 200).json({
+    success: !partial || written > 0,
+    message: partial ? `Partially successful: ${summary}, ${result.failed} failed` : `Import complete: ${summary}`,
+    data: { ...result, ...extra }
+  });
+};
+
+const resolveImportMode = (req) => {
+  const mode = req.query.mode || req.body?.mode || 'insert';
+  const source = req.query.source || req.body?.source;
+  if (!IMPORT_MODES.includes(mode)) {
+    return { error: `Invalid import mode. Must be one of: ${IMPORT_MODES.join(', ')}` };
+  }
+  if (mode === 'replace-source' && !source) {
+    return { error: 'A source is required for replace-source mode' };
+  }
+  return { mode, source };
+};
+
+// Import a JSON array of entries. `mode` selects insert (default), upsert or replace-source.
 export const bulkImport = async (req, res) => {
   try {
     const { entries } = req.body;
@@ -1399,6 +1577,11 @@ export const bulkImport = async (req, res) => {
       });
     }
 
+    const { mode, source, error: modeError } = resolveImportMode(req);
+    if (modeError) {
+      return res.status(400).json({ success: false, message: modeError });
+    }
+
     const validationErrors = validateBulkEntries(entries);
     if (validationErrors.length > 0) {
       return res.status(400).json({
@@ -1409,501 +1592,260 @@ export const bulkImport = async (req, res) => {
     }
 
     // Add metadata to entries
+    const userId = req.user?.id || req.user?._id;
     const entriesWithMetadata = entries.map(entry => ({
       ...entry,
+      createdBy: userId,
+      updatedBy: userId,
       metadata: {
         dateAdded: new Date(),
         lastUpdated: new Date(),
         verified: entry.metadata?.verified || false,
-        source: entry.metadata?.source || 'bulk_import'
+        source: source || entry.metadata?.source || 'bulk_import'
       }
     }));
 
-    const results = await DiseaseData.insertMany(entriesWithMetadata, {
-      ordered: false // Continue with other inserts even if some fail
-    });
+    const plan = await planImport(entriesWithMetadata, { mode, source });
+    const result = await withImportBatch(
+      { target: 'disease', kind: 'bulk_import', user: userId, mode, source },
+      async (batch) => ({
+        ...(await executeImport(plan, { user: userId, revisionSource: 'bulk_import', importBatchId: batch._id })),
+        total: entries.length
+      })
+    );
 
-    res.json({
-      success: true,
-      message: `Successfully imported ${results.length} entries`,
-      data: {
-        inserted: results.length,
-        total: entries.length,
-        failed: entries.length - results.length
-      }
-    });
+    sendImportResult(res, result);
   } catch (error) {
-    // Handle partial success in bulk operations
-    if (error.result && error.result.insertedCount > 0) {
-      return res.status(207).json({
-        success: true,
-        message: `Partially successful: imported ${error.result.insertedCount} entries`,
-        data: {
-          inserted: error.result.insertedCount,
-          failed: error.writeErrors?.length || 0,
-          errors: error.writeErrors?.map(err => err.errmsg) || []
-        }
-      });
-    }
-    
     handleError(res, error, 'Error during bulk import');
   }
 };
 
+export const EXPORT_FORMATS = ['json', 'csv', 'tsv', 'ndjson', 'xlsx', 'zip', 'ttl', 'jsonld'];
+const ARCHIVE_DATA_FORMATS = ['ndjson', 'csv', 'tsv'];
+
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  zip: 'application/zip',
+  ttl: 'text/turtle; charset=utf-8',
+  jsonld: 'application/ld+json; charset=utf-8'
+};
+
+// Stream every entry matching the same parameters as getAllEntries (search, field, query and
+// field filters) with no row cap. ?limit still caps the export when given.
+// ?sheets=disease puts each disease on its own XLSX sheet; ?dataFormat picks the file inside a zip archive.
+// ttl and jsonld write the entries as RDF (vocabulary in config/rdf.js).
 export const exportEntries = async (req, res) => {
+  let cursor = null;
   try {
-    const { format = 'json', disease, autoantibody, autoantigen, epitope, uniprotId, diseaseAssociation, affinity, sensitivity, diagnosticMarker, associationWithDiseaseActivity, pathogenesisInvolvement, reference, databaseAccessionNumbers, synonym, screening, confirmation, monitoring, positivePredictiveValues, negativePredictiveValues, crossReactivityPatterns, referenceRangesAndCutoffValues, type, limit } = req.query;
-    
-    let query = {};
-    // Use exact matching (case-insensitive) for all filters
-    if (disease) {
-      const escapedValue = disease.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.disease = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (autoantibody) {
-      const escapedValue = autoantibody.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.autoantibody = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (autoantigen) {
-      const escapedValue = autoantigen.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.autoantigen = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (epitope) {
-      const escapedValue = epitope.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.epitope = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (uniprotId) {
-      const escapedValue = uniprotId.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.uniprotId = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (diseaseAssociation) {
-      const escapedValue = diseaseAssociation.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.diseaseAssociation = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (affinity) {
-      const escapedValue = affinity.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.affinity = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (sensitivity) {
-      const escapedValue = sensitivity.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.sensitivity = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (diagnosticMarker) {
-      const escapedValue = diagnosticMarker.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.diagnosticMarker = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (associationWithDiseaseActivity) {
-      const escapedValue = associationWithDiseaseActivity.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.associationWithDiseaseActivity = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (pathogenesisInvolvement) {
-      const escapedValue = pathogenesisInvolvement.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.pathogenesisInvolvement = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (reference) {
-      const escapedValue = reference.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.reference = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (databaseAccessionNumbers) {
-      const escapedValue = databaseAccessionNumbers.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.databaseAccessionNumbers = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (synonym) {
-      const escapedValue = synonym.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.synonym = new RegExp(`^${escapedValue}$`, 'i');
+    const invalidParam = nonStringQueryParam(req.query, ['rank', 'search']);
+    if (invalidParam) {
+      return res.status(400).json({ success: false, message: invalidParam });
     }
-    if (screening) {
-      const escapedValue = screening.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.screening = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (confirmation) {
-      const escapedValue = confirmation.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.confirmation = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (monitoring) {
-      const escapedValue = monitoring.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.monitoring = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (positivePredictiveValues) {
-      const escapedValue = positivePredictiveValues.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.positivePredictiveValues = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (negativePredictiveValues) {
-      const escapedValue = negativePredictiveValues.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.negativePredictiveValues = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (crossReactivityPatterns) {
-      const escapedValue = crossReactivityPatterns.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.crossReactivityPatterns = new RegExp(`^${escapedValue}$`, 'i');
-    }
-    if (referenceRangesAndCutoffValues) {
-      const escapedValue = referenceRangesAndCutoffValues.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.referenceRangesAndCutoffValues = new RegExp(`^${escapedValue}$`, 'i');
+    const { format = 'json', rank, limit, sheets, dataFormat = 'ndjson' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid export format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
     }
-    if (type) {
-      const escapedValue = type.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query.type = new RegExp(`^${escapedValue}$`, 'i');
+    if (format === 'zip' && !ARCHIVE_DATA_FORMATS.includes(dataFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid archive data format. Must be one of: ${ARCHIVE_DATA_FORMATS.join(', ')}`
+      });
     }
 
-    // Sort by priority first (descending), then by disease and autoantibody
+    const profile = rank ? await resolveRankingProfile(rank) : null;
+    if (rank && !profile) return unknownRankingProfile(res, rank);
+
+    const query = buildCombinedQuery(req.query);
+    const sheetPerDisease = format === 'xlsx' && sheets === 'disease';
+
+    // Sort by priority first (descending), then by disease and autoantibody; ?rank sorts by the profile's score.
+    // One sheet per disease needs the entries grouped by disease first, on the key the sheets split on.
+    const orderSort = profile
+      ? { relevanceScore: -1, disease: 1, autoantibody: 1 }
+      : { priorityNum: -1, disease: 1, autoantibody: 1 };
     const aggregationPipeline = [
       { $match: query },
-      {
-        $addFields: {
-          priorityNum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$priority', null] },
-                  { $ne: ['$priority', ''] },
-                  { $ne: [{ $type: '$priority' }, 'missing'] }
-                ]
-              },
-              {
-                $cond: [
-                  { $eq: [{ $type: '$priority' }, 'number'] },
-                  '$priority',
-                  {
-                    $cond: [
-                      { $eq: [{ $type: '$priority' }, 'string'] },
-                      {
-                        $cond: [
-                          { $regexMatch: { input: '$priority', regex: /^-?\d+(\.\d+)?$/ } },
-                          { $toDouble: '$priority' },
-                          0
-                        ]
-                      },
-                      0
-                    ]
-                  }
-                ]
-              },
-              0
-            ]
-          }
-        }
-      },
-      {
-        $sort: {
-          priorityNum: -1, // Higher priority first
-          disease: 1,
-          autoantibody: 1
-        }
-      },
-      {
-        $project: {
-          priorityNum: 0 // Remove the temporary field (priority is included by default in exclusion projection)
-        }
-      }
+      profile ? relevanceScoreStage(profile, req.query.search) : priorityNumStage,
+      ...(sheetPerDisease ? [diseaseSheetKeyStage] : []),
+      { $sort: sheetPerDisease ? { diseaseSheetKey: 1, ...orderSort } : orderSort },
+      { $project: { priorityNum: 0 } }
     ];
-    
     if (limit && parseInt(limit) > 0) {
-      aggregationPipeline.push({ $limit: Math.min(parseInt(limit), 10000) });
+      aggregationPipeline.push({ $limit: parseInt(limit) });
     }
-    
-    const entries = await DiseaseData.aggregate(aggregationPipeline);
 
-    if (format === 'csv') {
-      const csv = convertToCSV(entries);
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=disease_database.csv');
-      return res.send(csv);
+    const additionalKeys = ['csv', 'tsv', 'xlsx', 'zip'].includes(format) ? await findAdditionalKeys(query) : [];
+    const columns = exportColumns(additionalKeys);
+    cursor = DiseaseData.aggregate(aggregationPipeline).allowDiskUse(true).cursor({ batchSize: 500 });
+
+    if (format === 'ndjson') {
+      return await streamNdjson(res, cursor, { filename: 'disease_database.ndjson' });
     }
 
-    res.json({
-      success: true,
-      data: entries,
-      count: entries.length,
-      exportFormat: format,
-      appliedFilters: { disease, autoantibody, autoantigen, epitope, uniprotId, diseaseAssociation, affinity, sensitivity, diagnosticMarker, associationWithDiseaseActivity, pathogenesisInvolvement, reference, databaseAccessionNumbers, synonym, screening, confirmation, monitoring, positivePredictiveValues, negativePredictiveValues, crossReactivityPatterns, referenceRangesAndCutoffValues, type }
-    });
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=disease_database.${format}`);
+    const write = createStreamWriter(res);
+
+    if (format === 'csv' || format === 'tsv') {
+      await writeDelimited(write, cursor, columns, format);
+    } else if (format === 'ttl') {
+      await writeTurtle(write, cursor);
+    } else if (format === 'jsonld') {
+      await writeJsonLd(write, cursor);
+    } else if (format === 'xlsx') {
+      await writeXlsx(res, cursor, columns, { sheetPerDisease });
+    } else if (format === 'zip') {
+      await writeArchive(res, cursor, columns, {
+        dataFormat,
+        manifest: {
+          source: 'disease_database',
+          filters: req.query,
+          rankingProfile: profile?.name || null
+        }
+      });
+    } else {
+      // Same envelope as before, written one entry at a time
+      await write(`{"success":true,"exportFormat":"json","appliedFilters":${JSON.stringify(req.query)},"data":[`);
+      let count = 0;
+      for await (const entry of cursor) {
+        await write(`${count > 0 ? ',' : ''}${JSON.stringify(entry)}`);
+        count += 1;
+      }
+      await write(`],"count":${count}}`);
+    }
+    res.end();
   } catch (error) {
-    handleError(res, error, 'Error exporting entries');
+    if (!res.headersSent) return handleError(res, error, 'Error exporting entries');
+    // Part of the file is already out; abort so the client sees a failed download, not a truncated file
+    console.error('Error exporting entries:', error);
+    res.destroy(error);
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
   }
 };
 
+// Import entries from an uploaded CSV/XLSX file. `mode` selects insert (default), upsert or
+// replace-source. With ?dryRun=true nothing is written; a per-row diagnostic report is returned instead.
 export const importFromFile = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded' });
     }
 
-    const isCsv = req.file.originalname.toLowerCase().endsWith('.csv');
-    const workbook = isCsv
-      ? XLSX.read(req.file.buffer.toString('utf8'), { type: 'string' })
-      : XLSX.read(req.file.buffer, { type: 'buffer' });
-
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const rawRows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
-
-    if (!Array.isArray(rawRows) || rawRows.length === 0) {
-      return res.status(400).json({ success: false, message: 'Uploaded file contains no rows' });
+    const dryRun = req.query.dryRun === 'true';
+    const { mode, source, error: modeError } = resolveImportMode(req);
+    if (modeError) {
+      return res.status(400).json({ success: false, message: modeError });
     }
 
-    const normalizeHeader = (h) => h.toString().trim().toLowerCase().replace(/\s+/g, '');
-    const fieldMap = {
-      disease: ['disease', 'diseasename', 'disease_name', 'condition', 'disorder', 'syndrome'],
-      databaseAccessionNumbers: ['databaseaccessionnumbers', 'database_accession_numbers', 'accession_numbers', 'db_accession', 'accession_nums', 'db_accession_numbers'],
-      autoantibody: ['autoantibody', 'antibody', 'auto_antibody', 'antibody_name', 'auto_ab', 'ab'],
-      synonym: ['synonym', 'synonyms', 'alternative_name', 'alt_name', 'other_name', 'alias'],
-      diseaseAssociation: ['diseaseassociation', 'disease_association', 'association', 'disease_assoc', 'disease_relation', 'disease_relationship'],
-      autoantigen: ['autoantigen', 'antigen', 'auto_antigen', 'antigen_name', 'target_antigen', 'target', 'auto_ag'],
-      epitope: ['epitope', 'epitope_sequence', 'peptide', 'epitope_seq', 'binding_site', 'epitope_region'],
-      epitopePrevalence: ['epitopeprevalence', 'epitope_prevalence', 'prevalence', 'epitope_frequency', 'frequency', 'epitope_rate'],
-      uniprotId: ['uniprotid', 'uniprot', 'uniprot_id', 'uniprot_accession', 'accession', 'protein_id', 'uniprot_entry', 'protein_accession'],
-      screening: ['screening', 'screening_method', 'screening_test', 'initial_test', 'screening_assay'],
-      confirmation: ['confirmation', 'confirmation_method', 'confirmatory_test', 'confirmatory_assay', 'confirmatory_method'],
-      monitoring: ['monitoring', 'monitoring_method', 'monitoring_test', 'follow_up_test', 'monitoring_assay'],
-      affinity: ['affinity', 'binding_affinity', 'affinity_strength', 'binding_strength', 'kd'],
-      avidity: ['avidity', 'binding_avidity', 'avidity_strength', 'overall_binding'],
-      mechanism: ['mechanism', 'action_mechanism', 'mechanism_of_action', 'mode_of_action', 'action', 'moa'],
-      isotypeSubclasses: ['isotypesubclasses', 'isotype_subclasses', 'isotype', 'antibody_isotype', 'isotype_class', 'antibody_class'],
-      sensitivity: ['sensitivity', 'assay_sensitivity', 'test_sensitivity', 'diagnostic_sensitivity', 'analytical_sensitivity'],
-      diagnosticMarker: ['diagnosticmarker', 'diagnostic_marker', 'marker', 'diagnostic_indicator', 'biomarker', 'diagnostic_flag'],
-      associationWithDiseaseActivity: ['associationwithdiseaseactivity', 'association_with_disease_activity', 'disease_activity', 'activity_association', 'disease_correlation', 'activity_correlation'],
-      positivePredictiveValues: ['positivepredictivevalues', 'positive_predictive_values', 'ppv', 'positive_predictive_value', 'positive_predictive'],
-      negativePredictiveValues: ['negativepredictivevalues', 'negative_predictive_values', 'npv', 'negative_predictive_value', 'negative_predictive'],
-      crossReactivityPatterns: ['crossreactivitypatterns', 'cross_reactivity_patterns', 'cross_reactivity', 'reactivity_patterns', 'cross_reaction'],
-      pathogenesisInvolvement: ['pathogenesisinvolvement', 'pathogenesis_involvement', 'pathogenesis', 'pathogenic_role', 'disease_mechanism', 'pathogenic_mechanism'],
-      referenceRangesAndCutoffValues: ['referencerangesandcutoffvalues', 'reference_ranges_and_cutoff_values', 'reference_ranges', 'cutoff_values', 'normal_ranges', 'reference_values'],
-      reference: ['reference', 'ref', 'citation', 'source', 'publication', 'doi', 'pmid', 'pubmed_id', 'literature'],
-      type: ['type', 'classification', 'category', 'class', 'antibody_type', 'immunoglobulin_type'],
-      priority: ['priority', 'priority_level', 'priority_levels', 'importance', 'rank', 'priority_rank']
-    };
-
-    const mapRow = (row, rowIndex) => {
-      const lowered = {};
-      const originalHeaders = {}; // Store original headers for custom fields
-      Object.keys(row).forEach((k) => {
-        const normalized = normalizeHeader(k);
-        lowered[normalized] = row[k];
-        originalHeaders[normalized] = k; // Keep original header name
-      });
-
-      const getFirst = (keys, fieldName) => {
-        for (const key of keys) {
-          if (lowered[key] !== undefined && lowered[key] !== null && lowered[key].toString().trim() !== '') {
-            console.log(`Row ${rowIndex + 1}: Mapped "${key}" to field "${fieldName}"`);
-            return lowered[key];
-          }
-        }
-        return '';
-      };
+    const profileName = req.query.profile || req.body?.profile;
+    const { profile, notFound } = await resolveImportProfile(profileName, 'disease');
+    if (notFound) {
+      return res.status(404).json({ success: false, message: notFound });
+    }
 
-      // Build base mapped record with all model fields
-      const base = {
-        disease: getFirst(fieldMap.disease, 'disease').toString().trim(),
-        databaseAccessionNumbers: getFirst(fieldMap.databaseAccessionNumbers, 'databaseAccessionNumbers').toString().trim() || undefined,
-        autoantibody: getFirst(fieldMap.autoantibody, 'autoantibody').toString().trim(),
-        synonym: getFirst(fieldMap.synonym, 'synonym').toString().trim() || undefined,
-        diseaseAssociation: getFirst(fieldMap.diseaseAssociation, 'diseaseAssociation').toString().trim() || undefined,
-        autoantigen: getFirst(fieldMap.autoantigen, 'autoantigen').toString().trim(),
-        epitope: getFirst(fieldMap.epitope, 'epitope').toString().trim(),
-        epitopePrevalence: getFirst(fieldMap.epitopePrevalence, 'epitopePrevalence') || undefined,
-        uniprotId: getFirst(fieldMap.uniprotId, 'uniprotId').toString().trim(),
-        screening: getFirst(fieldMap.screening, 'screening').toString().trim() || undefined,
-        confirmation: getFirst(fieldMap.confirmation, 'confirmation').toString().trim() || undefined,
-        monitoring: getFirst(fieldMap.monitoring, 'monitoring').toString().trim() || undefined,
-        affinity: getFirst(fieldMap.affinity, 'affinity').toString().trim() || undefined,
-        avidity: getFirst(fieldMap.avidity, 'avidity').toString().trim() || undefined,
-        mechanism: getFirst(fieldMap.mechanism, 'mechanism').toString().trim() || undefined,
-        isotypeSubclasses: getFirst(fieldMap.isotypeSubclasses, 'isotypeSubclasses').toString().trim() || undefined,
-        sensitivity: getFirst(fieldMap.sensitivity, 'sensitivity').toString().trim() || undefined,
-        diagnosticMarker: getFirst(fieldMap.diagnosticMarker, 'diagnosticMarker').toString().trim() || undefined,
-        associationWithDiseaseActivity: getFirst(fieldMap.associationWithDiseaseActivity, 'associationWithDiseaseActivity').toString().trim() || undefined,
-        positivePredictiveValues: getFirst(fieldMap.positivePredictiveValues, 'positivePredictiveValues').toString().trim() || undefined,
-        negativePredictiveValues: getFirst(fieldMap.negativePredictiveValues, 'negativePredictiveValues').toString().trim() || undefined,
-        crossReactivityPatterns: getFirst(fieldMap.crossReactivityPatterns, 'crossReactivityPatterns').toString().trim() || undefined,
-        pathogenesisInvolvement: getFirst(fieldMap.pathogenesisInvolvement, 'pathogenesisInvolvement').toString().trim() || undefined,
-        referenceRangesAndCutoffValues: getFirst(fieldMap.referenceRangesAndCutoffValues, 'referenceRangesAndCutoffValues').toString().trim() || undefined,
-        reference: getFirst(fieldMap.reference, 'reference').toString().trim() || undefined,
-        type: getFirst(fieldMap.type, 'type').toString().trim() || undefined,
-        priority: getFirst(fieldMap.priority, 'priority').toString().trim() || undefined
-      };
+    const userId = req.user?.id || req.user?._id;
 
-      // Create a comprehensive set of all known field variations
-      const knownKeys = new Set();
-      Object.values(fieldMap).forEach(fieldVariations => {
-        fieldVariations.forEach(variation => {
-          knownKeys.add(variation);
-        });
+    // Large files can be handed to the background job runner instead of blocking the request
+    if (req.query.async === 'true' && !dryRun) {
+      const job = await enqueueJob({
+        type: 'disease_file_import',
+        file: req.file,
+        options: { mode, source, profile: profile?.name },
+        user: userId
       });
-
-      // Only capture truly unknown columns into additional with original header names
-      const additional = {};
-      const unmappedColumns = [];
-      Object.entries(lowered).forEach(([normalizedKey, value]) => {
-        if (!knownKeys.has(normalizedKey) && value !== undefined && value !== null && value.toString().trim() !== '') {
-          const originalKey = originalHeaders[normalizedKey]; // Use original header name
-          additional[originalKey] = value.toString();
-          unmappedColumns.push(originalKey);
-        }
+      return res.status(202).json({
+        success: true,
+        message: 'Import queued',
+        data: { jobId: job._id, status: job.status }
       });
+    }
 
-      // Log unmapped columns for debugging
-      if (unmappedColumns.length > 0) {
-        console.log(`Row ${rowIndex + 1}: Unmapped columns (stored in additional): ${unmappedColumns.join(', ')}`);
-      }
-
-      return { 
-        ...base, 
-        additional: Object.keys(additional).length ? additional : undefined 
-      };
-    };
+    const { rawRows, rows, validRows, rowErrors, columnMapping, plan, skippedRows } =
+      await prepareDiseaseFileImport({ file: req.file, mode, source, profile, user: userId });
 
-    const entries = rawRows
-      .map((row, index) => mapRow(row, index))
-      .filter(e => {
-        // Check if all required fields have valid values (not empty strings, null, or undefined)
-        const hasValidDisease = e.disease && e.disease.toString().trim().length > 0;
-        const hasValidAutoantibody = e.autoantibody && e.autoantibody.toString().trim().length > 0;
-        const hasValidAutoantigen = e.autoantigen && e.autoantigen.toString().trim().length > 0;
-        const hasValidEpitope = e.epitope && e.epitope.toString().trim().length > 0;
-        const hasValidUniprotId = e.uniprotId && e.uniprotId.toString().trim().length > 0;
-        
-        const isValid = hasValidDisease && hasValidAutoantibody && hasValidAutoantigen && hasValidEpitope && hasValidUniprotId;
-        
-        if (!isValid) {
-          console.log(`Row filtered out - Missing required fields:`, {
-            disease: hasValidDisease ? '✓' : '✗',
-            autoantibody: hasValidAutoantibody ? '✓' : '✗',
-            autoantigen: hasValidAutoantigen ? '✓' : '✗',
-            epitope: hasValidEpitope ? '✓' : '✗',
-            uniprotId: hasValidUniprotId ? '✓' : '✗'
-          });
-        }
-        
-        return isValid;
-      });
+    if (rawRows.length === 0) {
+      return res.status(400).json({ success: false, message: 'Uploaded file contains no rows' });
+    }
 
-    if (entries.length === 0) {
-      // Get column information for better error reporting
-      const originalHeaders = rawRows.length > 0 ? Object.keys(rawRows[0]) : [];
-      const normalizedHeaders = originalHeaders.map(h => normalizeHeader(h));
-      
-      // Check which required fields were found
-      const requiredFields = ['disease', 'autoantibody', 'autoantigen', 'epitope', 'uniprotid'];
-      const foundRequiredFields = [];
-      const missingRequiredFields = [];
-      
-      requiredFields.forEach(field => {
-        const variations = fieldMap[field === 'uniprotid' ? 'uniprotId' : field];
-        const found = variations.some(variation => normalizedHeaders.includes(variation));
-        if (found) {
-          foundRequiredFields.push(field);
-        } else {
-          missingRequiredFields.push(field);
-        }
-      });
-      
+    if (validRows.length === 0 && !dryRun) {
+      const requiredFieldNames = REQUIRED_IMPORT_FIELDS.map((f) => f.toLowerCase());
+      const missing = columnMapping.missingRequiredFields.map((f) => f.toLowerCase());
       return res.status(400).json({ 
         success: false, 
         message: 'No valid rows found after mapping required fields. Please check your file format and column names.',
         details: {
           totalRows: rawRows.length,
-          validRows: entries.length,
+          validRows: 0,
           requiredFields: ['Disease', 'Autoantibody', 'Autoantigen', 'Epitope', 'UniProt ID'],
-          foundColumns: originalHeaders,
-          foundRequiredFields: foundRequiredFields,
-          missingRequiredFields: missingRequiredFields,
+          foundColumns: Object.keys(rawRows[0]),
+          foundRequiredFields: requiredFieldNames.filter((f) => !missing.includes(f)),
+          missingRequiredFields: missing,
           suggestions: [
             'Ensure your file has a header row with column names',
             'Check that required columns are present: Disease, Autoantibody, Autoantigen, Epitope, UniProt ID',
             'Verify that all required fields have data (not empty)',
-            'Column names are case-insensitive and flexible (e.g., "Disease", "disease", "DISEASE")'
+            'Column names are case-insensitive and flexible (e.g., "Disease", "disease", "DISEASE")',
+            'Run the import with ?dryRun=true to see per-row diagnostics'
           ]
         }
       });
     }
 
-    // Log import summary
-    console.log(`\n=== Import Summary ===`);
-    console.log(`Total rows processed: ${rawRows.length}`);
-    console.log(`Valid entries after mapping: ${entries.length}`);
-    console.log(`Rows filtered out: ${rawRows.length - entries.length}`);
-    
-    // Log column mapping information
-    if (rawRows.length > 0) {
-      const firstRow = rawRows[0];
-      const originalHeaders = Object.keys(firstRow);
-      console.log(`\n=== Column Mapping ===`);
-      console.log(`Original headers found: ${originalHeaders.join(', ')}`);
-      
-      const normalizedHeaders = originalHeaders.map(h => normalizeHeader(h));
-      console.log(`Normalized headers: ${normalizedHeaders.join(', ')}`);
-      
-      // Check which required fields were found
-      const requiredFields = ['disease', 'autoantibody', 'autoantigen', 'epitope', 'uniprotid'];
-      const foundRequiredFields = [];
-      const missingRequiredFields = [];
-      
-      requiredFields.forEach(field => {
-        const variations = fieldMap[field === 'uniprotid' ? 'uniprotId' : field];
-        const found = variations.some(variation => normalizedHeaders.includes(variation));
-        if (found) {
-          foundRequiredFields.push(field);
-        } else {
-          missingRequiredFields.push(field);
-        }
-      });
-      
-      console.log(`Found required fields: ${foundRequiredFields.join(', ')}`);
-      if (missingRequiredFields.length > 0) {
-        console.log(`Missing required fields: ${missingRequiredFields.join(', ')}`);
-        console.log(`This is likely why no valid rows were found.`);
-      }
-    }
-    
-    // Show field mapping statistics
-    const fieldStats = {};
-    entries.forEach(entry => {
-      Object.keys(entry).forEach(key => {
-        if (key !== 'additional' && entry[key] !== undefined && entry[key] !== null && entry[key] !== '') {
-          fieldStats[key] = (fieldStats[key] || 0) + 1;
+    if (dryRun) {
+      const duplicates = await findDuplicateRows(rows);
+      const summary = summarizePlan(plan);
+      return res.json({
+        success: true,
+        dryRun: true,
+        message: `Dry run: ${summary.inserted} rows would be inserted and ${summary.updated} updated out of ${rawRows.length}`,
+        data: {
+          fileName: req.file.originalname,
+          totalRows: rawRows.length,
+          wouldInsert: summary.inserted,
+          wouldUpdate: summary.updated,
+          wouldRemove: summary.removed,
+          unchanged: summary.unchanged,
+          invalidRows: rowErrors.length,
+          duplicateRows: duplicates.length,
+          mode,
+          profile: profile?.name || null,
+          columnMapping,
+          errors: skippedRows,
+          duplicates
         }
       });
-    });
-    
-    console.log('Field mapping statistics:');
-    Object.entries(fieldStats).forEach(([field, count]) => {
-      console.log(`  ${field}: ${count}/${entries.length} entries (${((count/entries.length)*100).toFixed(1)}%)`);
-    });
-
-    const validationErrors = validateBulkEntries(entries);
-    if (validationErrors.length > 0) {
-      return res.status(400).json({ success: false, message: 'Validation errors in file data', errors: validationErrors });
     }
 
-    const entriesWithMetadata = entries.map((entry) => ({
-      ...entry,
-      metadata: {
-        dateAdded: new Date(),
-        lastUpdated: new Date(),
-        verified: false,
-        source: 'file_import'
+    const result = await withImportBatch(
+      {
+        target: 'disease',
+        kind: 'file_import',
+        file: req.file,
+        user: userId,
+        mode,
+        source,
+        profile: profile?.name,
+        columnMapping
+      },
+      async (batch) => {
+        const executed = await executeImport(plan, { user: userId, revisionSource: 'file_import', importBatchId: batch._id });
+        return { ...executed, skipped: executed.skipped + rowErrors.length, total: rawRows.length };
       }
-    }));
+    );
 
-    const results = await DiseaseData.insertMany(entriesWithMetadata, { ordered: false });
+    console.log(`Disease import (${mode}): ${rawRows.length} rows → ${result.inserted} inserted, ${result.updated} updated, ${result.skipped} skipped`);
 
-    return res.json({
-      success: true,
-      message: `Imported ${results.length} entries`,
-      data: { inserted: results.length, total: entriesWithMetadata.length, failed: entriesWithMetadata.length - results.length }
-    });
+    return sendImportResult(res, result, { total: rawRows.length, skippedRows });
   } catch (error) {
-    if (error.result && error.result.insertedCount >= 0) {
-      return res.status(207).json({
-        success: true,
-        message: `Partially successful: imported ${error.result.insertedCount} entries`,
-        data: {
-          inserted: error.result.insertedCount,
-          failed: error.writeErrors?.length || 0,
-          errors: error.writeErrors?.map((e) => e.errmsg) || []
-        }
-      });
-    }
     return handleError(res, error, 'Error importing from file');
   }
 };
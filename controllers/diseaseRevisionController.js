@@ -0,0 +1,129 @@
+import DiseaseData from '../models/diseaseModel.js';
+import DiseaseRevision from '../models/diseaseRevisionModel.js';
+import { handleError } from './diseaseController.js';
+import { applySnapshot, recordRevision } from '../helpers/revisionHelper.js';
+
+const isValidId = (id) => Boolean(id && id.match(/^[0-9a-fA-F]{24}$/));
+
+// List the revision history of an entry (newest first, snapshots omitted)
+export const getEntryHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid entry ID is required'
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+    const skip = (page - 1) * limit;
+
+    const [revisions, total] = await Promise.all([
+      DiseaseRevision.find({ entry: id })
+        .select('-snapshot')
+        .populate('user', 'name username email')
+        .sort({ revisionNumber: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      DiseaseRevision.countDocuments({ entry: id })
+    ]);
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching entry history');
+  }
+};
+
+// View a single revision including its full snapshot
+export const getRevision = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    if (!isValidId(id) || !isValidId(revisionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid entry ID and revision ID are required'
+      });
+    }
+
+    const revision = await DiseaseRevision.findOne({ _id: revisionId, entry: id })
+      .populate('user', 'name username email')
+      .lean();
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({ success: true, data: revision });
+  } catch (error) {
+    handleError(res, error, 'Error fetching revision');
+  }
+};
+
+// Restore an entry to the state captured by one of its revisions.
+// Works for deleted entries too: the document is recreated with its original ID.
+export const restoreRevision = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    if (!isValidId(id) || !isValidId(revisionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid entry ID and revision ID are required'
+      });
+    }
+
+    const revision = await DiseaseRevision.findOne({ _id: revisionId, entry: id }).lean();
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const userId = req.user?.id || req.user?._id;
+    let entry = await DiseaseData.findById(id).setOptions({ withTrashed: true });
+    const before = entry ? entry.toObject({ flattenMaps: true }) : null;
+    if (!entry) {
+      entry = new DiseaseData({ _id: id, createdBy: userId });
+    }
+
+    applySnapshot(entry, revision.snapshot);
+    // Restoring a revision also brings the entry back out of the trash
+    entry.deletedAt = null;
+    entry.deletedBy = undefined;
+    entry.updatedBy = userId;
+    entry.metadata.lastUpdated = new Date();
+    await entry.save();
+
+    const restored = await recordRevision({
+      entryId: entry._id,
+      action: 'restore',
+      before,
+      after: entry,
+      user: userId,
+      restoredFrom: revision._id
+    });
+
+    res.json({
+      success: true,
+      message: `Entry restored to revision ${revision.revisionNumber}`,
+      data: entry,
+      revision: restored
+    });
+  } catch (error) {
+    handleError(res, error, 'Error restoring revision');
+  }
+};
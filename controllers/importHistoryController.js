@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import ImportBatch from '../models/importBatchModel.js';
+import ImportBatchSnapshot from '../models/importBatchSnapshotModel.js';
+import { handleError } from './diseaseController.js';
+import { rollbackImportBatch } from '../helpers/importBatchHelper.js';
+
+// superAdmin and Admin can see every import; others only their own
+const canSeeAllImports = (user) => ['superAdmin', 'Admin'].includes(user.role);
+
+// List past imports (newest first)
+export const listImports = async (req, res) => {
+  try {
+    const { target, status, kind, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (!canSeeAllImports(req.user)) {
+      filter.user = req.user.id || req.user._id;
+    }
+    if (target) filter.target = target;
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [items, total] = await Promise.all([
+      ImportBatch.find(filter)
+        .select('-columnMapping')
+        .populate('user', 'name username email')
+        .populate('rolledBackBy', 'name username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ImportBatch.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching import history');
+  }
+};
+
+// Full record of one import, including the column mapping and snapshot counts
+export const getImport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID format' });
+    }
+
+    const filter = { _id: id };
+    if (!canSeeAllImports(req.user)) {
+      filter.user = req.user.id || req.user._id;
+    }
+    const batch = await ImportBatch.findOne(filter)
+      .populate('user', 'name username email')
+      .populate('rolledBackBy', 'name username email')
+      .lean();
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+
+    const snapshots = await ImportBatchSnapshot.aggregate([
+      { $match: { batch: batch._id } },
+      { $group: { _id: '$action', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...batch,
+        snapshots: Object.fromEntries(snapshots.map((s) => [s._id, s.count]))
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching import');
+  }
+};
+
+// Undo an import batch: inserted documents are deleted (disease entries go to the
+// trash), removed ones are restored and updated ones reverted
+export const rollbackImport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID format' });
+    }
+
+    const batch = await rollbackImportBatch(id, req.user?.id || req.user?._id);
+    if (!batch) {
+      const existing = await ImportBatch.findById(id).select('status').lean();
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Import not found' });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Only completed imports can be rolled back (this one is ${existing.status})`
+      });
+    }
+
+    const { deleted, restored, reverted } = batch.rollback;
+    console.log(`Import ${batch._id} rolled back: ${deleted} deleted, ${restored} restored, ${reverted} reverted`);
+
+    res.json({
+      success: true,
+      message: `Import rolled back: ${deleted} deleted, ${restored} restored, ${reverted} reverted`,
+      data: batch
+    });
+  } catch (error) {
+    handleError(res, error, 'Error rolling back import');
+  }
+};
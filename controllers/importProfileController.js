@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import ImportProfile from '../models/importProfileModel.js';
+import { handleError } from './diseaseController.js';
+import { DISEASE_FIELD_MAP } from '../helpers/diseaseImportHelper.js';
+import { validateProfileColumns } from '../helpers/importProfileHelper.js';
+
+// Model fields a profile column may target, per import target
+const PROFILE_FIELDS = {
+  disease: Object.keys(DISEASE_FIELD_MAP),
+  biomarker: ['name', 'disease', 'diseaseAssociation', 'manifestation', 'prevalence']
+};
+
+const validateProfile = ({ target, columns }) => {
+  if (!PROFILE_FIELDS[target]) {
+    return [`Invalid target. Must be one of: ${Object.keys(PROFILE_FIELDS).join(', ')}`];
+  }
+  return validateProfileColumns(columns, PROFILE_FIELDS[target], { allowAdditional: target === 'disease' });
+};
+
+// Only one default profile per target
+const clearOtherDefaults = (profile) =>
+  ImportProfile.updateMany({ _id: { $ne: profile._id }, target: profile.target, isDefault: true }, { $set: { isDefault: false } });
+
+// Accept either an ObjectId or the profile name
+const findProfileFilter = (idOrName) =>
+  mongoose.Types.ObjectId.isValid(idOrName) ? { _id: idOrName } : { name: idOrName };
+
+export const listImportProfiles = async (req, res) => {
+  try {
+    const { target } = req.query;
+    const filter = target ? { target } : {};
+    const profiles = await ImportProfile.find(filter)
+      .populate('createdBy', 'name username email')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({ success: true, data: profiles, count: profiles.length, fields: PROFILE_FIELDS });
+  } catch (error) {
+    handleError(res, error, 'Error fetching import profiles');
+  }
+};
+
+export const getImportProfile = async (req, res) => {
+  try {
+    const profile = await ImportProfile.findOne(findProfileFilter(req.params.id))
+      .populate('createdBy', 'name username email')
+      .populate('updatedBy', 'name username email')
+      .lean();
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Import profile not found' });
+    }
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    handleError(res, error, 'Error fetching import profile');
+  }
+};
+
+export const createImportProfile = async (req, res) => {
+  try {
+    const { name, target, description, columns, keepUnmappedColumns, isDefault } = req.body;
+    if (!name || !name.toString().trim()) {
+      return res.status(400).json({ success: false, message: 'Profile name is required' });
+    }
+
+    const errors = validateProfile({ target, columns });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid import profile', errors });
+    }
+
+    const userId = req.user?.id || req.user?._id;
+    const profile = await ImportProfile.create({
+      name,
+      target,
+      description,
+      columns,
+      keepUnmappedColumns,
+      isDefault: Boolean(isDefault),
+      createdBy: userId,
+      updatedBy: userId
+    });
+    if (profile.isDefault) await clearOtherDefaults(profile);
+
+    res.status(201).json({ success: true, message: 'Import profile created', data: profile });
+  } catch (error) {
+    handleError(res, error, 'Error creating import profile');
+  }
+};
+
+export const updateImportProfile = async (req, res) => {
+  try {
+    const profile = await ImportProfile.findOne(findProfileFilter(req.params.id));
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Import profile not found' });
+    }
+
+    const { name, target, description, columns, keepUnmappedColumns, isDefault } = req.body;
+    const errors = validateProfile({
+      target: target ?? profile.target,
+      columns: columns ?? profile.columns
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid import profile', errors });
+    }
+
+    if (name !== undefined) profile.name = name;
+    if (target !== undefined) profile.target = target;
+    if (description !== undefined) profile.description = description;
+    if (columns !== undefined) profile.columns = columns;
+    if (keepUnmappedColumns !== undefined) profile.keepUnmappedColumns = keepUnmappedColumns;
+    if (isDefault !== undefined) profile.isDefault = Boolean(isDefault);
+    profile.updatedBy = req.user?.id || req.user?._id;
+    await profile.save();
+    if (profile.isDefault) await clearOtherDefaults(profile);
+
+    res.json({ success: true, message: 'Import profile updated', data: profile });
+  } catch (error) {
+    handleError(res, error, 'Error updating import profile');
+  }
+};
+
+export const deleteImportProfile = async (req, res) => {
+  try {
+    const profile = await ImportProfile.findOneAndDelete(findProfileFilter(req.params.id));
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Import profile not found' });
+    }
+    res.json({ success: true, message: 'Import profile deleted' });
+  } catch (error) {
+    handleError(res, error, 'Error deleting import profile');
+  }
+};
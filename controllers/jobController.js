@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import ImportJob from '../models/importJobModel.js';
+import { handleError } from './diseaseController.js';
+import { jobEvents, toJobSummary, TERMINAL_STATUSES } from '../helpers/jobRunner.js';
+import { jobsConfig } from '../config/jobs.js';
+import { jwtConfig } from '../config/jwt.js';
+import { signStreamToken } from '../middleware/authMiddleware.js';
+
+// superAdmin and Admin can see every job; others only their own
+const canSeeAllJobs = (user) => ['superAdmin', 'Admin'].includes(user.role);
+
+const findVisibleJob = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) return { status: 400, message: 'Invalid job ID format' };
+
+  const filter = { _id: id };
+  if (!canSeeAllJobs(req.user)) {
+    filter.createdBy = req.user.id || req.user._id;
+  }
+  const job = await ImportJob.findOne(filter).populate('createdBy', 'name username email');
+  if (!job) return { status: 404, message: 'Job not found' };
+  return { job };
+};
+
+// List import jobs (newest first)
+export const listJobs = async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (!canSeeAllJobs(req.user)) {
+      filter.createdBy = req.user.id || req.user._id;
+    }
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [items, total] = await Promise.all([
+      ImportJob.find(filter)
+        .select('-rowErrors -payload')
+        .populate('createdBy', 'name username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ImportJob.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching import jobs');
+  }
+};
+
+// Job status, progress, result and stored row errors
+export const getJob = async (req, res) => {
+  try {
+    const { job, status, message } = await findVisibleJob(req);
+    if (!job) return res.status(status).json({ success: false, message });
+
+    res.json({
+      success: true,
+      data: {
+        ...toJobSummary(job),
+        createdBy: job.createdBy,
+        payload: { options: job.payload?.options },
+        rowErrors: job.rowErrors
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching import job');
+  }
+};
+
+// Token for opening the events stream with EventSource, which can't send an Authorization
+// header: new EventSource(`/jobs/${id}/events?token=${token}`). It is only checked when the
+// stream opens; close the EventSource on the "done" event so it doesn't reconnect.
+export const createJobEventsToken = async (req, res) => {
+  try {
+    const { job, status, message } = await findVisibleJob(req);
+    if (!job) return res.status(status).json({ success: false, message });
+
+    res.json({
+      success: true,
+      data: { token: signStreamToken(req.user, 'job-events', job._id), expiresIn: jwtConfig.streamTokenExpiresIn }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error creating job events token');
+  }
+};
+
+// Server-sent events stream of a job's progress; closes once the job finishes
+export const streamJobEvents = async (req, res) => {
+  try {
+    const { job, status, message } = await findVisibleJob(req);
+    if (!job) return res.status(status).json({ success: false, message });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const eventName = `job:${job._id}`;
+    const send = (summary) => {
+      if (closed) return;
+      res.write(`event: ${TERMINAL_STATUSES.includes(summary.status) ? 'done' : 'progress'}\n`);
+      res.write(`data: ${JSON.stringify(summary)}\n\n`);
+      if (TERMINAL_STATUSES.includes(summary.status)) close();
+    };
+    // Events only fire in the process running the job, so also poll the stored state
+    const poll = setInterval(async () => {
+      try {
+        const latest = await ImportJob.findById(job._id).lean();
+        if (latest) send(toJobSummary(latest));
+      } catch (error) {
+        console.error('Job event poll error:', error);
+      }
+    }, jobsConfig.pollIntervalMs);
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(poll);
+      jobEvents.off(eventName, send);
+      res.end();
+    };
+
+    jobEvents.on(eventName, send);
+    req.on('close', close);
+    send(toJobSummary(job));
+  } catch (error) {
+    handleError(res, error, 'Error streaming import job');
+  }
+};
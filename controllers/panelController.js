@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import PanelInterpretation from '../models/panelInterpretationModel.js';
+import { handleError } from './diseaseController.js';
+import { normalizePanelResults, rankDifferential } from '../helpers/panelHelper.js';
+import { interpretationConfig } from '../config/interpretation.js';
+
+const METHOD_NOTE = 'Candidates are ranked by a weighted evidence score from the stored disease–autoantibody associations ' +
+  '(sensitivity, PPV/NPV, diagnostic marker and disease-activity flags). The score is not a probability and does not replace clinical judgement.';
+
+// Ranked differential diagnosis for an autoantibody panel. Body:
+// { results: ["ANA+", { autoantibody, result }, { autoantibody, assay, value, unit }], store?: boolean, limit? }
+// Nothing is saved unless store is true.
+export const interpretPanel = async (req, res) => {
+  try {
+    const { results, store, limit } = req.body || {};
+    if (!Array.isArray(results) || results.length === 0) {
+      return res.status(400).json({ success: false, message: 'results must be a non-empty array' });
+    }
+    if (results.length > interpretationConfig.maxResults) {
+      return res.status(400).json({ success: false, message: `A panel may contain at most ${interpretationConfig.maxResults} results` });
+    }
+
+    const { results: normalized, errors } = await normalizePanelResults(results);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Some results could not be read', errors });
+    }
+
+    const maxCandidates = Math.min(Math.max(1, parseInt(limit) || interpretationConfig.maxCandidates), 100);
+    const { candidates, totalCandidates, unmatched } = await rankDifferential(normalized, { limit: maxCandidates });
+
+    let storedId = null;
+    if (store === true) {
+      const saved = await PanelInterpretation.create({
+        results: normalized,
+        candidates,
+        unmatched,
+        requestedBy: req.user?.id || req.user?._id
+      });
+      storedId = saved._id;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        results: normalized,
+        candidates,
+        totalCandidates,
+        unmatched,
+        method: METHOD_NOTE,
+        stored: storedId !== null,
+        id: storedId
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error interpreting panel');
+  }
+};
+
+// A stored interpretation, visible to whoever requested it and to curators
+export const getPanelInterpretation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid interpretation ID' });
+    }
+    const interpretation = await PanelInterpretation.findById(req.params.id).lean();
+    const userId = (req.user?.id || req.user?._id)?.toString();
+    const isCurator = ['Admin', 'superAdmin'].includes(req.user?.role);
+    if (!interpretation || (!isCurator && interpretation.requestedBy?.toString() !== userId)) {
+      return res.status(404).json({ success: false, message: 'Interpretation not found' });
+    }
+    res.json({ success: true, data: interpretation });
+  } catch (error) {
+    handleError(res, error, 'Error fetching interpretation');
+  }
+};
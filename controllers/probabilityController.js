@@ -0,0 +1,55 @@
+import { handleError } from './diseaseController.js';
+import { parseProbability, chainTests, calculationAssumptions } from '../helpers/probabilityHelper.js';
+import { interpretationConfig } from '../config/interpretation.js';
+
+// Post-test probability of a disease after one or more autoantibody results. Body:
+// { disease, pretestProbability | prevalence, tests: [{ autoantibody, result, sensitivity?, specificity? }] }
+// or a single { disease, pretestProbability, autoantibody, result }. Probabilities are 0-1 or "12%".
+export const calculatePostTestProbability = async (req, res) => {
+  try {
+    const { disease, pretestProbability, prevalence, tests, autoantibody, result, sensitivity, specificity } = req.body || {};
+    if (!disease || typeof disease !== 'string') {
+      return res.status(400).json({ success: false, message: 'disease is required' });
+    }
+
+    const pretestValue = pretestProbability ?? prevalence;
+    const pretest = parseProbability(pretestValue);
+    if (pretest === null) {
+      return res.status(400).json({ success: false, message: 'pretestProbability (or prevalence) must be between 0 and 1, exclusive, or a percentage such as "12%"' });
+    }
+
+    const testList = Array.isArray(tests) ? tests : (autoantibody ? [{ autoantibody, result, sensitivity, specificity }] : []);
+    if (testList.length === 0) {
+      return res.status(400).json({ success: false, message: 'Give tests as an array, or a single autoantibody and result' });
+    }
+    if (testList.length > interpretationConfig.maxResults) {
+      return res.status(400).json({ success: false, message: `At most ${interpretationConfig.maxResults} tests can be chained` });
+    }
+    const missing = testList.findIndex((test) => !test?.autoantibody || typeof test.autoantibody !== 'string');
+    if (missing !== -1) {
+      return res.status(400).json({ success: false, message: `Test ${missing + 1}: autoantibody is required` });
+    }
+
+    const chained = await chainTests(disease.trim(), pretest, testList.map((test) => ({ ...test, autoantibody: test.autoantibody.trim() })));
+    if (chained.status) {
+      return res.status(chained.status).json({ success: false, message: chained.message });
+    }
+
+    const { steps, posttestProbability } = chained;
+    const references = [...new Set(steps.map((step) => step.reference).filter(Boolean))];
+    res.json({
+      success: true,
+      data: {
+        disease: disease.trim(),
+        pretestProbability: pretest,
+        pretestSource: pretestProbability !== undefined ? 'pretestProbability' : 'prevalence',
+        posttestProbability: Number(posttestProbability.toFixed(4)),
+        steps,
+        assumptions: calculationAssumptions(steps),
+        references
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error calculating post-test probability');
+  }
+};
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import RankingProfile from '../models/rankingProfileModel.js';
+import { handleError, SEARCH_FIELDS } from './diseaseController.js';
+import { BUILT_IN_RANKING_PROFILE } from '../helpers/rankingHelper.js';
+
+const validateProfile = ({ weights, exactMatchBoost, priorityWeight }) => {
+  const errors = [];
+  if (weights !== undefined) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      errors.push('weights must be an object of field: weight');
+    } else {
+      Object.entries(weights).forEach(([field, weight]) => {
+        if (!SEARCH_FIELDS.includes(field)) errors.push(`"${field}" is not a searchable field`);
+        if (typeof weight !== 'number' || !Number.isFinite(weight)) errors.push(`Weight for "${field}" must be a number`);
+      });
+    }
+  }
+  if (exactMatchBoost !== undefined && (typeof exactMatchBoost !== 'number' || exactMatchBoost < 1)) {
+    errors.push('exactMatchBoost must be a number of at least 1');
+  }
+  if (priorityWeight !== undefined && (typeof priorityWeight !== 'number' || !Number.isFinite(priorityWeight))) {
+    errors.push('priorityWeight must be a number');
+  }
+  return errors;
+};
+
+// Accept either an ObjectId or the profile name
+const findProfileFilter = (idOrName) =>
+  mongoose.Types.ObjectId.isValid(idOrName) ? { _id: idOrName } : { name: idOrName.toLowerCase() };
+
+// Only one profile may be the default
+const clearOtherDefaults = (profileId) =>
+  RankingProfile.updateMany({ _id: { $ne: profileId }, isDefault: true }, { $set: { isDefault: false } });
+
+export const listRankingProfiles = async (req, res) => {
+  try {
+    const profiles = await RankingProfile.find({}).sort({ name: 1 }).lean();
+    const defaultProfile = profiles.find((profile) => profile.isDefault) || BUILT_IN_RANKING_PROFILE;
+    res.json({
+      success: true,
+      data: profiles,
+      count: profiles.length,
+      defaultProfile: defaultProfile.name,
+      builtIn: BUILT_IN_RANKING_PROFILE,
+      fields: SEARCH_FIELDS
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching ranking profiles');
+  }
+};
+
+export const getRankingProfile = async (req, res) => {
+  try {
+    const profile = await RankingProfile.findOne(findProfileFilter(req.params.id))
+      .populate('createdBy', 'name username email')
+      .populate('updatedBy', 'name username email')
+      .lean();
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Ranking profile not found' });
+    }
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    handleError(res, error, 'Error fetching ranking profile');
+  }
+};
+
+export const createRankingProfile = async (req, res) => {
+  try {
+    const { name, description, weights, exactMatchBoost, priorityWeight, isDefault } = req.body;
+    if (!name || !name.toString().trim()) {
+      return res.status(400).json({ success: false, message: 'Profile name is required' });
+    }
+
+    const errors = validateProfile({ weights, exactMatchBoost, priorityWeight });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid ranking profile', errors });
+    }
+
+    const userId = req.user?.id || req.user?._id;
+    const profile = await RankingProfile.create({
+      name,
+      description,
+      weights,
+      exactMatchBoost,
+      priorityWeight,
+      isDefault: Boolean(isDefault),
+      createdBy: userId,
+      updatedBy: userId
+    });
+    if (profile.isDefault) await clearOtherDefaults(profile._id);
+
+    res.status(201).json({ success: true, message: 'Ranking profile created', data: profile });
+  } catch (error) {
+    handleError(res, error, 'Error creating ranking profile');
+  }
+};
+
+export const updateRankingProfile = async (req, res) => {
+  try {
+    const profile = await RankingProfile.findOne(findProfileFilter(req.params.id));
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Ranking profile not found' });
+    }
+
+    const { name, description, weights, exactMatchBoost, priorityWeight, isDefault } = req.body;
+    const errors = validateProfile({ weights, exactMatchBoost, priorityWeight });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid ranking profile', errors });
+    }
+
+    if (name !== undefined) profile.name = name;
+    if (description !== undefined) profile.description = description;
+    if (weights !== undefined) profile.weights = weights;
+    if (exactMatchBoost !== undefined) profile.exactMatchBoost = exactMatchBoost;
+    if (priorityWeight !== undefined) profile.priorityWeight = priorityWeight;
+    if (isDefault !== undefined) profile.isDefault = Boolean(isDefault);
+    profile.updatedBy = req.user?.id || req.user?._id;
+    await profile.save();
+    if (profile.isDefault) await clearOtherDefaults(profile._id);
+
+    res.json({ success: true, message: 'Ranking profile updated', data: profile });
+  } catch (error) {
+    handleError(res, error, 'Error updating ranking profile');
+  }
+};
+
+export const deleteRankingProfile = async (req, res) => {
+  try {
+    const profile = await RankingProfile.findOneAndDelete(findProfileFilter(req.params.id));
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Ranking profile not found' });
+    }
+    res.json({ success: true, message: 'Ranking profile deleted' });
+  } catch (error) {
+    handleError(res, error, 'Error deleting ranking profile');
+  }
+};
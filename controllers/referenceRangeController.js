@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import ReferenceRange from '../models/referenceRangeModel.js';
+import { handleError } from './diseaseController.js';
+import { exactMatchCondition } from '../helpers/synonymHelper.js';
+import {
+  normalizeUnit,
+  exactText,
+  interpretMeasurement,
+  describeClassification
+} from '../helpers/referenceRangeHelper.js';
+
+const EDITABLE_FIELDS = ['autoantibody', 'assay', 'manufacturer', 'unit', 'negativeBelow', 'positiveFrom', 'source', 'reference', 'notes', 'entry'];
+
+const pickEditable = (body) => {
+  const values = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+  if (values.unit !== undefined) values.unit = normalizeUnit(values.unit);
+  return values;
+};
+
+export const listReferenceRanges = async (req, res) => {
+  try {
+    const { autoantibody, assay } = req.query;
+    const filter = {
+      ...(autoantibody ? exactMatchCondition('autoantibody', autoantibody.toString()) : {}),
+      ...(assay ? { assay: exactText(assay) } : {})
+    };
+    const ranges = await ReferenceRange.find(filter).sort({ autoantibody: 1, assay: 1 });
+    res.json({ success: true, data: ranges, count: ranges.length });
+  } catch (error) {
+    handleError(res, error, 'Error fetching reference ranges');
+  }
+};
+
+export const getReferenceRange = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid reference range ID' });
+    }
+    const range = await ReferenceRange.findById(req.params.id)
+      .populate('entry', 'disease autoantibody referenceRangesAndCutoffValues')
+      .populate('createdBy', 'name username email')
+      .populate('updatedBy', 'name username email');
+    if (!range) {
+      return res.status(404).json({ success: false, message: 'Reference range not found' });
+    }
+    res.json({ success: true, data: range });
+  } catch (error) {
+    handleError(res, error, 'Error fetching reference range');
+  }
+};
+
+export const createReferenceRange = async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const range = await ReferenceRange.create({ ...pickEditable(req.body), createdBy: userId, updatedBy: userId });
+    res.status(201).json({ success: true, message: 'Reference range created', data: range });
+  } catch (error) {
+    handleError(res, error, 'Error creating reference range');
+  }
+};
+
+export const updateReferenceRange = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid reference range ID' });
+    }
+    const range = await ReferenceRange.findById(req.params.id);
+    if (!range) {
+      return res.status(404).json({ success: false, message: 'Reference range not found' });
+    }
+    range.set(pickEditable(req.body));
+    range.updatedBy = req.user?.id || req.user?._id;
+    await range.save();
+    res.json({ success: true, message: 'Reference range updated', data: range });
+  } catch (error) {
+    handleError(res, error, 'Error updating reference range');
+  }
+};
+
+export const deleteReferenceRange = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid reference range ID' });
+    }
+    const range = await ReferenceRange.findByIdAndDelete(req.params.id);
+    if (!range) {
+      return res.status(404).json({ success: false, message: 'Reference range not found' });
+    }
+    res.json({ success: true, message: 'Reference range deleted' });
+  } catch (error) {
+    handleError(res, error, 'Error deleting reference range');
+  }
+};
+
+// Classify a measured value against the stored cutoffs for an autoantibody and assay.
+// Body: { autoantibody, assay, value, unit?, manufacturer? }. A titre may be sent as "1:160".
+export const interpretValue = async (req, res) => {
+  try {
+    const { autoantibody, assay, value, unit, manufacturer } = req.body || {};
+    if (!autoantibody || !assay || value === undefined || value === null || value === '') {
+      return res.status(400).json({ success: false, message: 'autoantibody, assay and value are required' });
+    }
+    const { status, message, measured, cutoff, classification, alternatives, ...details } = await interpretMeasurement({ autoantibody, assay, value, unit, manufacturer });
+    if (status) {
+      return res.status(status).json({ success: false, message, ...details });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        autoantibody: cutoff.autoantibody,
+        assay: cutoff.assay,
+        value: measured,
+        unit: cutoff.unit,
+        classification,
+        interpretation: describeClassification(measured, cutoff, classification),
+        cutoff,
+        alternatives
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error interpreting value');
+  }
+};
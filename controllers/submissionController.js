@@ -1,6 +1,8 @@
 import DiseaseData from '../models/diseaseModel.js';
 import DiseaseSubmission from '../models/diseaseSubmissionModel.js';
 import mongoose from 'mongoose';
+import { recordRevision } from '../helpers/revisionHelper.js';
+import { wantsCursor, withIdTieBreaker, parseCursorParam, cursorPage, streamNdjson } from '../helpers/paginationHelper.js';
 
 // Create a new disease submission (any authenticated user)
 export const createSubmission = async (req, res) => {
@@ -46,6 +48,29 @@ export const listSubmissions = async (req, res) => {
       filter.status = status;
     }
 
+    const sort = withIdTieBreaker({ createdAt: -1 });
+    if (req.query.format === 'ndjson') {
+      return streamNdjson(res, DiseaseSubmission.find(filter)
+        .populate('submittedBy', 'name username email')
+        .sort(sort)
+        .lean()
+        .cursor({ batchSize: 200 }));
+    }
+
+    // ?cursor= pages by createdAt and _id instead of skipping
+    if (wantsCursor(req.query)) {
+      const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 10));
+      const { condition, error } = parseCursorParam(req.query.cursor, sort);
+      if (error) return res.status(400).json({ success: false, message: error });
+      const docs = await DiseaseSubmission.find(condition ? { $and: [filter, condition] } : filter)
+        .populate('submittedBy', 'name username email')
+        .sort(sort)
+        .limit(pageSize + 1)
+        .lean();
+      const { page: data, pagination } = cursorPage(docs, sort, pageSize);
+      return res.status(200).json({ success: true, data, pagination });
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const [items, total] = await Promise.all([
@@ -129,6 +154,8 @@ export const approveSubmission = async (req, res) => {
       pathogenesisInvolvement,
       reference,
       additional,
+      createdBy: req.user.id || req.user._id,
+      updatedBy: req.user.id || req.user._id,
       metadata: {
         source: 'user_submission_approved',
         dateAdded: new Date(),
@@ -138,6 +165,8 @@ export const approveSubmission = async (req, res) => {
       }
     });
 
+    await recordRevision({ entryId: created._id, action: 'create', after: created, source: 'submission', user: req.user.id || req.user._id });
+
     submission.status = 'approved';
     submission.reviewedBy = req.user.id || req.user._id;
     submission.reviewedAt = new Date();
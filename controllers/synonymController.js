@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import Synonym, { SYNONYM_TYPES } from '../models/synonymModel.js';
+import { handleError } from './diseaseController.js';
+import { readUploadedRows } from '../helpers/diseaseImportHelper.js';
+import { refreshSynonyms, expandName } from '../helpers/synonymHelper.js';
+
+const toNames = (value) => {
+  if (Array.isArray(value)) return value.map((v) => v.toString().trim()).filter(Boolean);
+  if (!value) return [];
+  return value.toString().split(/[;|]/).map((v) => v.trim()).filter(Boolean);
+};
+
+// Names that already belong to another group of the same type
+const findConflicts = async (type, names, excludeId) => {
+  const terms = names.map((name) => name.toLowerCase());
+  const filter = { type, terms: { $in: terms } };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const groups = await Synonym.find(filter).select('canonical terms').lean();
+  return groups.flatMap((group) =>
+    names
+      .filter((name) => group.terms.includes(name.toLowerCase()))
+      .map((name) => `"${name}" already belongs to "${group.canonical}"`)
+  );
+};
+
+const validateGroup = ({ type, canonical }) => {
+  const errors = [];
+  if (!SYNONYM_TYPES.includes(type)) errors.push(`Invalid type. Must be one of: ${SYNONYM_TYPES.join(', ')}`);
+  if (!canonical || !canonical.toString().trim()) errors.push('Canonical name is required');
+  return errors;
+};
+
+// Reload the in-memory dictionary after a write; a failure here must not fail the request
+const refreshAfterWrite = () => refreshSynonyms().catch((error) => console.error('Error refreshing synonyms:', error));
+
+export const listSynonyms = async (req, res) => {
+  try {
+    const { type, q } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (q && q.trim()) {
+      const escaped = q.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.terms = new RegExp(escaped);
+    }
+
+    const groups = await Synonym.find(filter).select('-terms').sort({ type: 1, canonical: 1 }).lean();
+    res.json({ success: true, data: groups, count: groups.length });
+  } catch (error) {
+    handleError(res, error, 'Error fetching synonyms');
+  }
+};
+
+// Every name a term expands to, e.g. GET /synonyms/expand?type=antibody&term=TRIM21
+export const expandSynonym = async (req, res) => {
+  try {
+    const { term, type } = req.query;
+    if (!term || !SYNONYM_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `term and type (${SYNONYM_TYPES.join(', ')}) are required`
+      });
+    }
+    res.json({ success: true, data: expandName(term.trim(), type) });
+  } catch (error) {
+    handleError(res, error, 'Error expanding synonym');
+  }
+};
+
+export const getSynonym = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid synonym ID format' });
+    }
+    const group = await Synonym.findById(req.params.id)
+      .select('-terms')
+      .populate('createdBy', 'name username email')
+      .populate('updatedBy', 'name username email')
+      .lean();
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Synonym group not found' });
+    }
+    res.json({ success: true, data: group });
+  } catch (error) {
+    handleError(res, error, 'Error fetching synonym group');
+  }
+};
+
+export const createSynonym = async (req, res) => {
+  try {
+    const { type, canonical, notes } = req.body;
+    const aliases = toNames(req.body.aliases);
+    const errors = validateGroup({ type, canonical });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid synonym group', errors });
+    }
+
+    const conflicts = await findConflicts(type, [canonical.trim(), ...aliases]);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ success: false, message: 'Names already in the dictionary', errors: conflicts });
+    }
+
+    const userId = req.user?.id || req.user?._id;
+    const group = await Synonym.create({ type, canonical, aliases, notes, createdBy: userId, updatedBy: userId });
+    await refreshAfterWrite();
+
+    res.status(201).json({ success: true, message: 'Synonym group created', data: group });
+  } catch (error) {
+    handleError(res, error, 'Error creating synonym group');
+  }
+};
+
+export const updateSynonym = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid synonym ID format' });
+    }
+    const group = await Synonym.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Synonym group not found' });
+    }
+
+    const { type, canonical, aliases, notes } = req.body;
+    const next = {
+      type: type ?? group.type,
+      canonical: canonical ?? group.canonical,
+      aliases: aliases !== undefined ? toNames(aliases) : group.aliases
+    };
+    const errors = validateGroup(next);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid synonym group', errors });
+    }
+
+    const conflicts = await findConflicts(next.type, [next.canonical.trim(), ...next.aliases], group._id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ success: false, message: 'Names already in the dictionary', errors: conflicts });
+    }
+
+    Object.assign(group, next);
+    if (notes !== undefined) group.notes = notes;
+    group.updatedBy = req.user?.id || req.user?._id;
+    await group.save();
+    await refreshAfterWrite();
+
+    res.json({ success: true, message: 'Synonym group updated', data: group });
+  } catch (error) {
+    handleError(res, error, 'Error updating synonym group');
+  }
+};
+
+export const deleteSynonym = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid synonym ID format' });
+    }
+    const group = await Synonym.findByIdAndDelete(req.params.id);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Synonym group not found' });
+    }
+    await refreshAfterWrite();
+    res.json({ success: true, message: 'Synonym group deleted' });
+  } catch (error) {
+    handleError(res, error, 'Error deleting synonym group');
+  }
+};
+
+// Bulk load from CSV/XLSX with columns Type, Canonical, Aliases (aliases separated by ";" or "|").
+// Rows for an existing canonical name add their aliases to that group.
+export const importSynonyms = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const rows = readUploadedRows(req.file);
+    if (rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'Uploaded file contains no rows' });
+    }
+
+    const userId = req.user?.id || req.user?._id;
+    const result = { created: 0, updated: 0, unchanged: 0, errors: [] };
+
+    for (const [index, row] of rows.entries()) {
+      const cells = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toString().trim().toLowerCase(), v]));
+      const type = (cells.type || '').toString().trim().toLowerCase();
+      const canonical = (cells.canonical || cells.name || '').toString().trim();
+      const aliases = toNames(cells.aliases || cells.alias);
+      const rowNumber = index + 2;
+
+      const errors = validateGroup({ type, canonical });
+      if (errors.length > 0) {
+        result.errors.push({ row: rowNumber, errors });
+        continue;
+      }
+
+      const existing = await Synonym.findOne({ type, terms: canonical.toLowerCase() });
+      const newNames = existing
+        ? aliases.filter((alias) => !existing.terms.includes(alias.toLowerCase()))
+        : [canonical, ...aliases];
+      const conflicts = await findConflicts(type, newNames, existing?._id);
+      if (conflicts.length > 0) {
+        result.errors.push({ row: rowNumber, errors: conflicts });
+        continue;
+      }
+
+      if (!existing) {
+        await Synonym.create({ type, canonical, aliases, createdBy: userId, updatedBy: userId });
+        result.created++;
+      } else if (newNames.length > 0) {
+        existing.aliases.push(...newNames);
+        existing.updatedBy = userId;
+        await existing.save();
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+    }
+
+    await refreshAfterWrite();
+
+    const written = result.created + result.updated;
+    res.status(result.errors.length > 0 ? 207 : 200).json({
+      success: written > 0 || result.errors.length === 0,
+      message: `Synonyms loaded: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.errors.length} rejected`,
+      data: { ...result, total: rows.length }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error importing synonyms');
+  }
+};
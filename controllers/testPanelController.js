@@ -0,0 +1,33 @@
+import { handleError } from './diseaseController.js';
+import { buildTestPanel, renderOrderSheet } from '../helpers/testPanelHelper.js';
+
+// Recommended diagnostic pathway for a disease: screening, then confirmation, then monitoring.
+// ?format=html returns a printable order sheet (?download=true sends it as an attachment).
+export const getTestPanel = async (req, res) => {
+  try {
+    const disease = (req.params.disease || '').trim();
+    if (!disease) {
+      return res.status(400).json({ success: false, message: 'Disease name is required' });
+    }
+    const format = (req.query.format || 'json').toString().toLowerCase();
+    if (!['json', 'html'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be json or html' });
+    }
+
+    const panel = await buildTestPanel(disease);
+    if (!panel) {
+      return res.status(404).json({ success: false, message: `No entries found for ${disease}` });
+    }
+
+    if (format === 'html') {
+      const filename = `test-panel-${panel.disease.replace(/[^\w-]+/g, '_')}.html`;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      if (req.query.download === 'true') res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(renderOrderSheet(panel));
+    }
+
+    res.json({ success: true, data: panel });
+  } catch (error) {
+    handleError(res, error, 'Error building test panel');
+  }
+};
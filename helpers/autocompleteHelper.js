@@ -0,0 +1,134 @@
+import DiseaseData, { diseaseDataEvents } from '../models/diseaseModel.js';
+import Biomarker from '../models/biomarkerModel.js';
+import Article from '../models/articleModel.js';
+import { searchConfig } from '../config/search.js';
+
+export const AUTOCOMPLETE_TYPES = ['disease', 'autoantibody', 'autoantigen', 'uniprotId', 'manifestation', 'article'];
+
+const normalize = (value) => value.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Distinct values of a field with the number of documents carrying each (case-insensitive)
+const countValues = (Model, field) =>
+  Model.aggregate([
+    { $match: { [field]: { $type: 'string', $ne: '' } } },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: `$${field}` } } },
+        value: { $first: { $trim: { input: `$${field}` } } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+const loadSources = async () => {
+  const entries = [];
+  for (const field of ['disease', 'autoantibody', 'autoantigen', 'uniprotId']) {
+    (await countValues(DiseaseData, field)).forEach(({ value, count }) => entries.push({ type: field, value, count }));
+  }
+  (await countValues(Biomarker, 'manifestation')).forEach(({ value, count }) =>
+    entries.push({ type: 'manifestation', value, count })
+  );
+  const articles = await Article.find({ status: 'published', isPublished: true }).select('title slug').lean();
+  articles.forEach((article) => {
+    if (article.title) entries.push({ type: 'article', value: article.title, count: 1, id: article._id, slug: article.slug });
+  });
+  return entries.filter((entry) => normalize(entry.value));
+};
+
+// Every suffix of a value that starts a word, so "lupus" finds "Systemic lupus erythematosus"
+// and "dsdna" finds "Anti-dsDNA"; offset 0 is the whole value
+const wordStarts = (key) => {
+  const starts = [0];
+  for (let i = 1; i < key.length; i += 1) {
+    if (/[\p{L}\p{N}]/u.test(key[i]) && !/[\p{L}\p{N}]/u.test(key[i - 1])) starts.push(i);
+  }
+  return starts;
+};
+
+// Sorted array of { key, entry, offset } searched by binary search on the typed prefix
+let index = null;
+let building = null;
+let refreshTimer = null;
+
+const buildIndex = (entries) => {
+  const prefixes = [];
+  entries.forEach((entry) => {
+    const key = normalize(entry.value);
+    wordStarts(key).forEach((offset) => prefixes.push({ key: key.slice(offset), entry, offset }));
+  });
+  prefixes.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  return prefixes;
+};
+
+export const refreshAutocompleteIndex = async () => {
+  const entries = await loadSources();
+  index = buildIndex(entries);
+  return entries.length;
+};
+
+const ensureIndex = () => {
+  if (index) return Promise.resolve();
+  if (!building) {
+    building = refreshAutocompleteIndex().finally(() => {
+      building = null;
+    });
+  }
+  return building;
+};
+
+const scheduleRefresh = () => {
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshAutocompleteIndex().catch((error) => console.error('Error refreshing autocomplete index:', error));
+  }, searchConfig.indexRefreshDelayMs);
+  refreshTimer.unref();
+};
+
+// Build the index at startup, rebuild it after entry changes and on a fixed interval
+export const loadAutocompleteIndex = () => {
+  diseaseDataEvents.on('change', scheduleRefresh);
+  const timer = setInterval(scheduleRefresh, searchConfig.autocompleteRefreshMinutes * 60 * 1000);
+  timer.unref();
+  return refreshAutocompleteIndex()
+    .then((count) => console.log(`Autocomplete index loaded: ${count} values`))
+    .catch((error) => console.error('Error loading autocomplete index:', error));
+};
+
+// First position whose key is >= prefix
+const lowerBound = (prefix) => {
+  let low = 0;
+  let high = index.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (index[mid].key < prefix) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Values starting with `text` (or with a word that does). Whole-value prefixes rank first,
+// then higher hit counts, then shorter values.
+export const autocomplete = async (text, { types = AUTOCOMPLETE_TYPES, limit = 10 } = {}) => {
+  const prefix = normalize(text || '');
+  if (!prefix) return [];
+  await ensureIndex();
+
+  const best = new Map();
+  for (let i = lowerBound(prefix); i < index.length && index[i].key.startsWith(prefix); i += 1) {
+    const { entry, offset } = index[i];
+    if (!types.includes(entry.type)) continue;
+    const previous = best.get(entry);
+    if (previous === undefined || offset < previous) best.set(entry, offset);
+  }
+
+  return Array.from(best.entries())
+    .sort(([a, offsetA], [b, offsetB]) =>
+      (offsetA === 0 ? 0 : 1) - (offsetB === 0 ? 0 : 1) ||
+      b.count - a.count ||
+      a.value.length - b.value.length ||
+      a.value.localeCompare(b.value)
+    )
+    .slice(0, limit)
+    .map(([entry, offset]) => ({ ...entry, prefixMatch: offset === 0 }));
+};
@@ -0,0 +1,478 @@
+import XLSX from 'xlsx';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import Biomarker from '../models/biomarkerModel.js';
+import { mapRowWithProfile } from './importProfileHelper.js';
+import { parseMetric } from './metricHelper.js';
+import { checksumOf, saveBatchSnapshots } from './importBatchHelper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const normalizeHeader = (h) => h.toString().trim().toLowerCase().replace(/\s+/g, '');
+
+const collectRaw = (row) => {
+  const raw = {};
+  Object.keys(row).forEach((k) => {
+    const v = row[k];
+    if (v !== undefined && v !== null && v.toString().trim() !== '') raw[k] = v.toString().trim();
+  });
+  return raw;
+};
+
+// Built-in header aliases, used when no default biomarker import profile is saved
+// (npm run seed:import-profiles saves them as one)
+export const BIOMARKER_FIELD_MAP = {
+  name: ['name', 'autoantibody', 'antibody', 'auto_antibody', 'antibody_name', 'auto_ab', 'biomarker', 'biomarkers', 'ab', 'antibodies', 'autoantibodies', 'clinicalantibody', 'targetantibody'],
+  manifestation: ['manifestation', 'clinicalmanifestation', 'clinical_manifestation', 'manifestations', 'clinicalmanifestations', 'manifestation_name', 'symptoms', 'clinical_features'],
+  prevalence: ['prevalence', 'prevalence_rate', 'frequency', 'prevalence_percentage', 'prevalence(%percentage)', 'prevelanse(%percentage)', 'prevelanse', 'prevalencepercent'],
+  disease: ['disease', 'diseasename', 'disease_name', 'condition', 'disorder', 'syndrome', 'diagnosis'],
+  diseaseAssociation: ['diseaseassociation', 'disease_association', 'diseaseassociation_percentage', 'diseaseassociation(%percentage)', 'association', 'disease_assoc'],
+};
+
+// Fallback keys for name/antibody (original case variations from raw)
+const antibodyRawKeys = ['Autoantibody', 'Autoantibodies', 'Antibody', 'Antibodies', 'Name', 'Biomarker', 'Biomarkers', 'AB', 'Clinical Antibody', 'Target Antibody'];
+const manifestationRawKeys = ['Clinical Manifestation', 'Clinical Manifestations', 'Manifestation', 'Manifestations', 'Disease related clinical manifestation'];
+const prevalenceRawKeys = ['Prevalence', 'Prevalence (% percentage)', 'Prevelanse (% percentage)', 'Prevalence (%)', 'Prevalence rate'];
+
+// Every header the built-in mapping recognises by name, per field; the seeded default profile
+// is built from it. (The last-resort matches on "antibody", "symptom" etc. in any header are not.)
+export const biomarkerAliasTable = () => {
+  const withRawKeys = (aliases, rawKeys) => [...new Set([...aliases, ...rawKeys.map(normalizeHeader)])];
+  return {
+    ...BIOMARKER_FIELD_MAP,
+    name: withRawKeys(BIOMARKER_FIELD_MAP.name, antibodyRawKeys),
+    manifestation: withRawKeys(BIOMARKER_FIELD_MAP.manifestation, manifestationRawKeys),
+    prevalence: withRawKeys(BIOMARKER_FIELD_MAP.prevalence, prevalenceRawKeys)
+  };
+};
+
+// Map an uploaded row using the header aliases, then fall back to raw column names
+export const mapUploadedBiomarkerRow = (row) => {
+  const lowered = {};
+  const raw = {};
+  Object.keys(row).forEach((k) => {
+    const normalized = normalizeHeader(k);
+    lowered[normalized] = row[k];
+    const v = row[k];
+    if (v !== undefined && v !== null && v.toString().trim() !== '') {
+      raw[k] = v.toString().trim();
+    }
+  });
+
+  const getFirst = (keys) => {
+    for (const key of keys) {
+      if (lowered[key] !== undefined && lowered[key] !== null && lowered[key].toString().trim() !== '') {
+        return lowered[key].toString().trim();
+      }
+    }
+    return '';
+  };
+
+  // Try mapped fields first, then fall back to raw by original column names
+  let name = getFirst(BIOMARKER_FIELD_MAP.name);
+  if (!name) {
+    for (const k of antibodyRawKeys) {
+      if (raw[k]?.trim()) { name = raw[k].trim(); break; }
+    }
+  }
+  // Fallback: any column with 'antibody' or 'biomarker' or 'name' in the key
+  if (!name && Object.keys(raw).length > 0) {
+    const abKey = Object.keys(raw).find((k) => /antibody|biomarker|^name$/i.test(k));
+    if (abKey) name = raw[abKey];
+  }
+
+  let manifestation = getFirst(BIOMARKER_FIELD_MAP.manifestation);
+  if (!manifestation) {
+    for (const k of manifestationRawKeys) {
+      if (raw[k]?.trim()) { manifestation = raw[k].trim(); break; }
+    }
+  }
+  if (!manifestation && Object.keys(raw).length > 0) {
+    const maniKey = Object.keys(raw).find((k) => /manifestation|clinical.?feature|symptom/i.test(k));
+    if (maniKey) manifestation = raw[maniKey];
+  }
+
+  let prevalence = getFirst(BIOMARKER_FIELD_MAP.prevalence);
+  if (!prevalence) {
+    for (const k of prevalenceRawKeys) {
+      if (raw[k]?.trim()) { prevalence = raw[k].trim(); break; }
+    }
+  }
+
+  return {
+    name: name || '',
+    manifestation: manifestation || '',
+    prevalence: prevalence || '',
+    raw: Object.keys(raw).length ? raw : undefined,
+  };
+};
+
+// Map an uploaded row through a saved import profile; the full row is still kept in raw
+export const mapBiomarkerRowWithProfile = (row, profile) => {
+  const { fields } = mapRowWithProfile(row, profile);
+  const raw = collectRaw(row);
+  return {
+    name: fields.name || '',
+    manifestation: fields.manifestation || '',
+    prevalence: fields.prevalence || '',
+    disease: fields.disease || '',
+    diseaseAssociation: fields.diseaseAssociation || '',
+    raw: Object.keys(raw).length ? raw : undefined,
+  };
+};
+
+// Numeric value of a percentage cell such as "50%", "~30%", "40-50%" (its midpoint) or
+// "0.65" (a proportion, 65). Read by the disease metric parser, so a percentage means the
+// same in every import. Returns null for cells without a usable number ("NA", "Rare").
+export const parsePercent = (value) => {
+  const metric = parseMetric(value);
+  return metric ? metric.point : null;
+};
+
+const rawLookup = (raw, aliases) => {
+  const key = Object.keys(raw || {}).find((k) => aliases.includes(normalizeHeader(k)) && raw[k] !== '');
+  return key ? raw[key].toString().trim() : '';
+};
+
+// Fill the first-class disease / association / percentage fields, from the mapped
+// values when present and otherwise from the original columns kept in raw
+export const withStructuredFields = (entry) => {
+  const disease = entry.disease || rawLookup(entry.raw, BIOMARKER_FIELD_MAP.disease);
+  const diseaseAssociation = entry.diseaseAssociation || rawLookup(entry.raw, BIOMARKER_FIELD_MAP.diseaseAssociation);
+  const prevalence = entry.prevalence || rawLookup(entry.raw, BIOMARKER_FIELD_MAP.prevalence);
+  return {
+    ...entry,
+    disease,
+    diseaseAssociation,
+    diseaseAssociationPercent: parsePercent(diseaseAssociation),
+    prevalence,
+    prevalencePercent: parsePercent(prevalence),
+  };
+};
+
+// Keep rows that have at least one non-empty cell (filter out completely blank rows only)
+export const hasCells = (entry) => Boolean(entry.raw && Object.keys(entry.raw).length > 0);
+
+// Read every sheet of an uploaded CSV/XLSX file into row objects
+export const readBiomarkerUpload = (file) => {
+  const isCsv = file.originalname.toLowerCase().endsWith('.csv');
+  const workbook = isCsv
+    ? XLSX.read(file.buffer.toString('utf8'), { type: 'string' })
+    : XLSX.read(file.buffer, { type: 'buffer' });
+
+  let rawRows;
+  if (isCsv) {
+    rawRows = [];
+    for (const sn of workbook.SheetNames) {
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sn], { defval: '' });
+      if (rows.length > 0) rawRows.push(...rows);
+    }
+  } else {
+    rawRows = parseWorkbookToEntries(workbook);
+  }
+  return { rawRows, sheetsRead: workbook.SheetNames.length };
+};
+
+// Parse and map an uploaded file, optionally through a profile
+export const parseBiomarkerUpload = (file, profile) => {
+  const { rawRows, sheetsRead } = readBiomarkerUpload(file);
+  const mapped = rawRows.map((row) => (profile ? mapBiomarkerRowWithProfile(row, profile) : mapUploadedBiomarkerRow(row)));
+  return { rawRows, sheetsRead, entries: mapped.filter(hasCells).map(withStructuredFields) };
+};
+
+// Import from server file: backend/data/Clinical manifestation disease related.xlsx
+export const SERVER_DATA_FILE = path.join(__dirname, '..', 'data', 'Clinical manifestation disease related.xlsx');
+
+// Custom parser: read ALL cells from worksheet (bypasses sheet_to_json range limit)
+function parseSheetAllCells(worksheet) {
+  const rowsByIndex = {}; // rowIdx -> { colIdx -> value }
+  let maxRow = -1;
+  let maxCol = -1;
+  for (const key of Object.keys(worksheet)) {
+    if (key.startsWith('!')) continue;
+    let addr;
+    try {
+      addr = XLSX.utils.decode_cell(key);
+    } catch (_) { continue; }
+    const { r, c } = addr;
+    if (r > maxRow) maxRow = r;
+    if (c > maxCol) maxCol = c;
+    const cell = worksheet[key];
+    const val = cell && (cell.w != null ? cell.w : cell.v);
+    const str = val != null && val !== '' ? String(val).trim() : '';
+    if (!rowsByIndex[r]) rowsByIndex[r] = {};
+    rowsByIndex[r][c] = str;
+  }
+  if (maxRow < 1) return [];
+  const headerRow = rowsByIndex[0] || {};
+  const headers = [];
+  for (let c = 0; c <= maxCol; c++) {
+    const h = headerRow[c];
+    headers.push(h != null && String(h).trim() !== '' ? String(h).trim() : `_col${c}`);
+  }
+  const rawRows = [];
+  for (let r = 1; r <= maxRow; r++) {
+    const rowObj = {};
+    const row = rowsByIndex[r] || {};
+    for (let c = 0; c <= maxCol; c++) {
+      rowObj[headers[c]] = row[c] != null ? row[c] : '';
+    }
+    rawRows.push(rowObj);
+  }
+  return rawRows;
+}
+
+export function parseWorkbookToEntries(workbook) {
+  const rawRows = [];
+  for (const sheetName of workbook.SheetNames) {
+    const worksheet = workbook.Sheets[sheetName];
+    const sheetRows = parseSheetAllCells(worksheet);
+    if (sheetRows.length > 0) rawRows.push(...sheetRows);
+  }
+  return rawRows;
+}
+
+export function mapRowToBiomarker(row) {
+  const normalizeHeader = (h) => h.toString().trim().toLowerCase().replace(/\s+/g, '');
+  const lowered = {};
+  const raw = {};
+  Object.keys(row).forEach((k) => {
+    const normalized = normalizeHeader(k);
+    lowered[normalized] = row[k];
+    const v = row[k];
+    if (v !== undefined && v !== null && v.toString().trim() !== '') raw[k] = v.toString().trim();
+  });
+  const antibodyRawKeys = ['Autoantibody', 'Autoantibodies', 'Antibody', 'Antibodies', 'Name', 'Biomarker', 'Biomarkers', 'AB'];
+  const manifestationRawKeys = ['Clinical Manifestation', 'Clinical Manifestations', 'Manifestation', 'Manifestations', 'Disease related clinical manifestation'];
+  const prevalenceRawKeys = ['Prevalence', 'Prevalence (% percentage)', 'Prevelanse (% percentage)'];
+  const fieldMap = {
+    name: ['name', 'autoantibody', 'antibody', 'biomarker', 'biomarkers', 'ab'],
+    manifestation: ['manifestation', 'clinicalmanifestation', 'clinical_manifestation'],
+    prevalence: ['prevalence', 'prevalence_percentage', 'prevalence(%percentage)', 'prevelanse(%percentage)'],
+  };
+  const getFirst = (keys) => {
+    for (const key of keys) {
+      if (lowered[key] !== undefined && lowered[key] !== null && lowered[key].toString().trim() !== '') return lowered[key].toString().trim();
+    }
+    return '';
+  };
+  let name = getFirst(fieldMap.name);
+  if (!name) for (const k of antibodyRawKeys) { if (raw[k]?.trim()) { name = raw[k].trim(); break; } }
+  if (!name && Object.keys(raw).length > 0) {
+    const abKey = Object.keys(raw).find((k) => /antibody|biomarker|^name$/i.test(k));
+    if (abKey) name = raw[abKey];
+  }
+  let manifestation = getFirst(fieldMap.manifestation);
+  if (!manifestation) for (const k of manifestationRawKeys) { if (raw[k]?.trim()) { manifestation = raw[k].trim(); break; } }
+  if (!manifestation && Object.keys(raw).length > 0) {
+    const mKey = Object.keys(raw).find((k) => /manifestation|clinical|symptom/i.test(k));
+    if (mKey) manifestation = raw[mKey];
+  }
+  let prevalence = getFirst(fieldMap.prevalence);
+  if (!prevalence) for (const k of prevalenceRawKeys) { if (raw[k]?.trim()) { prevalence = raw[k].trim(); break; } }
+  return { name: name || '', manifestation: manifestation || '', prevalence: prevalence || '', raw: Object.keys(raw).length ? raw : undefined };
+}
+
+export const serverFileExists = () => fs.existsSync(SERVER_DATA_FILE);
+
+// Parse and map the bundled server data file, through the default biomarker profile when one is saved
+export const parseServerFile = (profile) => {
+  const buffer = fs.readFileSync(SERVER_DATA_FILE);
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const rawRows = parseWorkbookToEntries(workbook);
+  const mapRow = profile ? (row) => mapBiomarkerRowWithProfile(row, profile) : mapRowToBiomarker;
+  return { rawRows, entries: rawRows.map(mapRow).filter(hasCells).map(withStructuredFields), checksum: checksumOf(buffer) };
+};
+
+// Insert mapped biomarker entries in batches, collecting write failures instead of throwing.
+// `onProgress` (optional) receives the number of entries handled so far.
+export const insertBiomarkersInBatches = async (entries, { batchSize = 500, onProgress, importBatchId } = {}) => {
+  const result = { inserted: 0, failed: 0, errors: [] };
+  for (let start = 0; start < entries.length; start += batchSize) {
+    const batch = entries
+      .slice(start, start + batchSize)
+      .map((entry) => (importBatchId ? { ...entry, importBatchId } : entry));
+    try {
+      const docs = await Biomarker.insertMany(batch, { ordered: false });
+      result.inserted += docs.length;
+    } catch (error) {
+      if (!error.writeErrors && !error.insertedDocs) throw error;
+      result.inserted += error.insertedDocs?.length || 0;
+      result.failed += error.writeErrors?.length || 0;
+      (error.writeErrors || []).forEach((e) => {
+        result.errors.push({ row: start + e.index + 1, message: e.errmsg });
+      });
+    }
+    if (onProgress) await onProgress(Math.min(start + batchSize, entries.length));
+  }
+  return result;
+};
+
+// Disease column of a mapped entry or stored document
+export const biomarkerDisease = (entry) => entry.disease || entry.raw?.Disease || entry.raw?.disease || '';
+
+// Natural key used to line up spreadsheet rows with stored documents
+export const biomarkerKey = (entry) =>
+  [entry.name, biomarkerDisease(entry), entry.manifestation]
+    .map((value) => (value || '').toString().trim().toLowerCase())
+    .join('|');
+
+const SYNC_FIELDS = [
+  'name',
+  'disease',
+  'diseaseAssociation',
+  'diseaseAssociationPercent',
+  'manifestation',
+  'prevalence',
+  'prevalencePercent',
+  'raw',
+];
+
+const syncChanges = (existing, entry) => {
+  const changes = {};
+  SYNC_FIELDS.forEach((field) => {
+    if (JSON.stringify(existing[field] ?? null) !== JSON.stringify(entry[field] ?? null)) {
+      changes[field] = { from: existing[field] ?? null, to: entry[field] ?? null };
+    }
+  });
+  return changes;
+};
+
+const groupByKey = (items) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = biomarkerKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+// Diff parsed spreadsheet entries against the collection without writing anything.
+// Rows that share a key are paired with stored documents in order, so repeated
+// antibody/disease/manifestation rows stay stable between loads.
+export const planBiomarkerSync = async (entries) => {
+  const existing = await Biomarker.find({}).sort({ createdAt: 1, _id: 1 }).lean();
+  const fileGroups = groupByKey(entries);
+  const dbGroups = groupByKey(existing);
+  const plan = { toAdd: [], toUpdate: [], toRemove: [], unchanged: 0 };
+
+  fileGroups.forEach((fileItems, key) => {
+    const dbItems = dbGroups.get(key) || [];
+    fileItems.forEach((entry, i) => {
+      const match = dbItems[i];
+      if (!match) {
+        plan.toAdd.push(entry);
+        return;
+      }
+      const changes = syncChanges(match, entry);
+      if (Object.keys(changes).length === 0) {
+        plan.unchanged += 1;
+      } else {
+        plan.toUpdate.push({ existing: match, entry, changes });
+      }
+    });
+    plan.toRemove.push(...dbItems.slice(fileItems.length));
+  });
+  dbGroups.forEach((dbItems, key) => {
+    if (!fileGroups.has(key)) plan.toRemove.push(...dbItems);
+  });
+
+  return plan;
+};
+
+// Preview of a sync plan; each list is capped at `limit` items
+export const describeBiomarkerSync = (plan, limit = 100) => {
+  const describe = (doc) => ({
+    _id: doc._id,
+    name: doc.name,
+    disease: biomarkerDisease(doc),
+    manifestation: doc.manifestation,
+    prevalence: doc.prevalence,
+  });
+  return {
+    toAdd: plan.toAdd.length,
+    toUpdate: plan.toUpdate.length,
+    toRemove: plan.toRemove.length,
+    unchanged: plan.unchanged,
+    added: plan.toAdd.slice(0, limit).map(describe),
+    updated: plan.toUpdate.slice(0, limit).map(({ existing, changes }) => ({ ...describe(existing), changes })),
+    removed: plan.toRemove.slice(0, limit).map(describe),
+  };
+};
+
+// Standalone servers don't support transactions; the sync then runs without one
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 || /Transaction numbers are only allowed|replica set/i.test(error?.message || '');
+
+const withOptionalTransaction = async (work) => {
+  const session = await Biomarker.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+    console.warn('Biomarker sync: transactions not supported by this MongoDB deployment, applying without one');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Apply a sync plan: additions first, then updates, then removals, inside a
+// transaction where the deployment supports it. Updated and removed documents are
+// snapshotted under `importBatchId` so the sync can be rolled back.
+export const applyBiomarkerSync = async (plan, { importBatchId, batchSize = 500, onProgress } = {}) =>
+  withOptionalTransaction(async (session) => {
+    const result = { inserted: 0, updated: 0, removed: 0, unchanged: plan.unchanged, failed: 0, errors: [] };
+    let processed = 0;
+    const report = async (count) => {
+      processed += count;
+      if (onProgress) await onProgress(processed);
+    };
+
+    for (let start = 0; start < plan.toAdd.length; start += batchSize) {
+      const batch = plan.toAdd
+        .slice(start, start + batchSize)
+        .map((entry) => (importBatchId ? { ...entry, importBatchId } : entry));
+      const docs = await Biomarker.insertMany(batch, { session });
+      result.inserted += docs.length;
+      await report(batch.length);
+    }
+
+    await saveBatchSnapshots(importBatchId, 'biomarker', 'update', plan.toUpdate.map(({ existing }) => existing), { session });
+    for (let start = 0; start < plan.toUpdate.length; start += batchSize) {
+      const batch = plan.toUpdate.slice(start, start + batchSize);
+      const { modifiedCount } = await Biomarker.bulkWrite(
+        batch.map(({ existing, entry }) => ({
+          updateOne: {
+            filter: { _id: existing._id },
+            update: { $set: Object.fromEntries(SYNC_FIELDS.map((field) => [field, entry[field]])) },
+          },
+        })),
+        { session }
+      );
+      result.updated += modifiedCount;
+      await report(batch.length);
+    }
+
+    if (plan.toRemove.length > 0) {
+      await saveBatchSnapshots(importBatchId, 'biomarker', 'remove', plan.toRemove, { session });
+      const { deletedCount } = await Biomarker.deleteMany(
+        { _id: { $in: plan.toRemove.map((doc) => doc._id) } },
+        { session }
+      );
+      result.removed = deletedCount;
+      await report(plan.toRemove.length);
+    }
+
+    return result;
+  });
+
+// Number of writes applyBiomarkerSync will make (used as a job's progress total)
+export const countSyncWrites = (plan) => plan.toAdd.length + plan.toUpdate.length + plan.toRemove.length;
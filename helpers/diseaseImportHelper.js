@@ -0,0 +1,452 @@
+import XLSX from 'xlsx';
+import DiseaseData from '../models/diseaseModel.js';
+import { recordRevision, recordCreateRevisions } from './revisionHelper.js';
+import { mapRowWithProfile } from './importProfileHelper.js';
+import { saveBatchSnapshots } from './importBatchHelper.js';
+import { canonicalName, expandName } from './synonymHelper.js';
+
+// Header aliases for each diseaseData field (headers are compared after normalizeHeader), used
+// when no default disease import profile is saved (npm run seed:import-profiles saves them as one)
+export const DISEASE_FIELD_MAP = {
+  disease: ['disease', 'diseasename', 'disease_name', 'condition', 'disorder', 'syndrome'],
+  databaseAccessionNumbers: ['databaseaccessionnumbers', 'database_accession_numbers', 'accession_numbers', 'db_accession', 'accession_nums', 'db_accession_numbers'],
+  autoantibody: ['autoantibody', 'antibody', 'auto_antibody', 'antibody_name', 'auto_ab', 'ab'],
+  synonym: ['synonym', 'synonyms', 'alternative_name', 'alt_name', 'other_name', 'alias'],
+  diseaseAssociation: ['diseaseassociation', 'disease_association', 'association', 'disease_assoc', 'disease_relation', 'disease_relationship'],
+  autoantigen: ['autoantigen', 'antigen', 'auto_antigen', 'antigen_name', 'target_antigen', 'target', 'auto_ag'],
+  epitope: ['epitope', 'epitope_sequence', 'peptide', 'epitope_seq', 'binding_site', 'epitope_region'],
+  epitopePrevalence: ['epitopeprevalence', 'epitope_prevalence', 'prevalence', 'epitope_frequency', 'frequency', 'epitope_rate'],
+  uniprotId: ['uniprotid', 'uniprot', 'uniprot_id', 'uniprot_accession', 'accession', 'protein_id', 'uniprot_entry', 'protein_accession'],
+  screening: ['screening', 'screening_method', 'screening_test', 'initial_test', 'screening_assay'],
+  confirmation: ['confirmation', 'confirmation_method', 'confirmatory_test', 'confirmatory_assay', 'confirmatory_method'],
+  monitoring: ['monitoring', 'monitoring_method', 'monitoring_test', 'follow_up_test', 'monitoring_assay'],
+  affinity: ['affinity', 'binding_affinity', 'affinity_strength', 'binding_strength', 'kd'],
+  avidity: ['avidity', 'binding_avidity', 'avidity_strength', 'overall_binding'],
+  mechanism: ['mechanism', 'action_mechanism', 'mechanism_of_action', 'mode_of_action', 'action', 'moa'],
+  isotypeSubclasses: ['isotypesubclasses', 'isotype_subclasses', 'isotype', 'antibody_isotype', 'isotype_class', 'antibody_class'],
+  sensitivity: ['sensitivity', 'assay_sensitivity', 'test_sensitivity', 'diagnostic_sensitivity', 'analytical_sensitivity'],
+  diagnosticMarker: ['diagnosticmarker', 'diagnostic_marker', 'marker', 'diagnostic_indicator', 'biomarker', 'diagnostic_flag'],
+  associationWithDiseaseActivity: ['associationwithdiseaseactivity', 'association_with_disease_activity', 'disease_activity', 'activity_association', 'disease_correlation', 'activity_correlation'],
+  positivePredictiveValues: ['positivepredictivevalues', 'positive_predictive_values', 'ppv', 'positive_predictive_value', 'positive_predictive'],
+  negativePredictiveValues: ['negativepredictivevalues', 'negative_predictive_values', 'npv', 'negative_predictive_value', 'negative_predictive'],
+  crossReactivityPatterns: ['crossreactivitypatterns', 'cross_reactivity_patterns', 'cross_reactivity', 'reactivity_patterns', 'cross_reaction'],
+  pathogenesisInvolvement: ['pathogenesisinvolvement', 'pathogenesis_involvement', 'pathogenesis', 'pathogenic_role', 'disease_mechanism', 'pathogenic_mechanism'],
+  referenceRangesAndCutoffValues: ['referencerangesandcutoffvalues', 'reference_ranges_and_cutoff_values', 'reference_ranges', 'cutoff_values', 'normal_ranges', 'reference_values'],
+  reference: ['reference', 'ref', 'citation', 'source', 'publication', 'doi', 'pmid', 'pubmed_id', 'literature'],
+  type: ['type', 'classification', 'category', 'class', 'antibody_type', 'immunoglobulin_type'],
+  priority: ['priority', 'priority_level', 'priority_levels', 'importance', 'rank', 'priority_rank']
+};
+
+export const REQUIRED_IMPORT_FIELDS = ['disease', 'autoantibody', 'autoantigen', 'epitope', 'uniprotId'];
+
+const REQUIRED_FIELD_LABELS = {
+  disease: 'Disease',
+  autoantibody: 'Autoantibody',
+  autoantigen: 'Autoantigen',
+  epitope: 'Epitope',
+  uniprotId: 'UniProt ID'
+};
+
+export const normalizeHeader = (h) => h.toString().trim().toLowerCase().replace(/\s+/g, '');
+
+const hasValue = (value) => value !== undefined && value !== null && value.toString().trim() !== '';
+
+// Read the first sheet of an uploaded CSV/XLSX file into row objects keyed by header
+export const readUploadedRows = (file) => {
+  const isCsv = file.originalname.toLowerCase().endsWith('.csv');
+  const workbook = isCsv
+    ? XLSX.read(file.buffer.toString('utf8'), { type: 'string' })
+    : XLSX.read(file.buffer, { type: 'buffer' });
+
+  const sheetName = workbook.SheetNames[0];
+  return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' });
+};
+
+// Describe how the file's headers line up with model fields, either through the
+// built-in aliases or through a saved mapping profile
+export const describeColumnMapping = (headers, profile) => {
+  const aliasToField = {};
+  if (profile) {
+    profile.columns.forEach(({ column, field }) => { aliasToField[normalizeHeader(column)] = field; });
+  } else {
+    Object.entries(DISEASE_FIELD_MAP).forEach(([field, aliases]) => {
+      aliases.forEach((alias) => { aliasToField[alias] = field; });
+    });
+  }
+
+  const mapped = [];
+  const additional = [];
+  headers.forEach((header) => {
+    const field = aliasToField[normalizeHeader(header)];
+    if (field) {
+      mapped.push({ column: header, field });
+    } else {
+      additional.push(header);
+    }
+  });
+
+  const mappedFields = new Set(mapped.map((m) => m.field));
+  return {
+    mapped,
+    additional,
+    missingRequiredFields: REQUIRED_IMPORT_FIELDS.filter((field) => !mappedFields.has(field))
+  };
+};
+
+// Map one spreadsheet row onto the diseaseData shape; unknown columns go into `additional`
+export const mapDiseaseRow = (row) => {
+  const lowered = {};
+  const originalHeaders = {}; // Store original headers for custom fields
+  Object.keys(row).forEach((k) => {
+    const normalized = normalizeHeader(k);
+    lowered[normalized] = row[k];
+    originalHeaders[normalized] = k; // Keep original header name
+  });
+
+  const getFirst = (keys) => {
+    for (const key of keys) {
+      if (hasValue(lowered[key])) {
+        return lowered[key];
+      }
+    }
+    return '';
+  };
+
+  const base = {};
+  Object.entries(DISEASE_FIELD_MAP).forEach(([field, aliases]) => {
+    const value = getFirst(aliases);
+    if (field === 'epitopePrevalence') {
+      base[field] = value || undefined;
+    } else if (REQUIRED_IMPORT_FIELDS.includes(field)) {
+      base[field] = value.toString().trim();
+    } else {
+      base[field] = value.toString().trim() || undefined;
+    }
+  });
+
+  // Only capture truly unknown columns into additional with original header names
+  const knownKeys = new Set(Object.values(DISEASE_FIELD_MAP).flat());
+  const additional = {};
+  Object.entries(lowered).forEach(([normalizedKey, value]) => {
+    if (!knownKeys.has(normalizedKey) && hasValue(value)) {
+      additional[originalHeaders[normalizedKey]] = value.toString();
+    }
+  });
+
+  return {
+    ...base,
+    additional: Object.keys(additional).length ? additional : undefined
+  };
+};
+
+// Map one row through a saved profile instead of the alias table
+export const mapDiseaseRowWithProfile = (row, profile) => {
+  const { fields, additional, unmapped } = mapRowWithProfile(row, profile);
+  if (profile.keepUnmappedColumns !== false) {
+    unmapped.forEach((header) => {
+      if (hasValue(row[header]) && additional[header] === undefined) {
+        additional[header] = row[header].toString();
+      }
+    });
+  }
+
+  const base = {};
+  Object.keys(DISEASE_FIELD_MAP).forEach((field) => {
+    base[field] = REQUIRED_IMPORT_FIELDS.includes(field) ? (fields[field] || '') : (fields[field] || undefined);
+  });
+  return {
+    ...base,
+    additional: Object.keys(additional).length ? additional : undefined
+  };
+};
+
+export const validateMappedRow = (entry) =>
+  REQUIRED_IMPORT_FIELDS
+    .filter((field) => !hasValue(entry[field]))
+    .map((field) => `${REQUIRED_FIELD_LABELS[field]} is required`);
+
+// Natural key used to recognise the same association across imports
+// Names are reduced to their synonym-dictionary canonical form first, so a row naming
+// "Anti-TRIM21" matches an existing "Anti-Ro52" entry when the two are aliases
+const KEY_SYNONYM_TYPES = { disease: 'disease', autoantibody: 'antibody', autoantigen: 'antigen' };
+
+export const naturalKey = (entry) =>
+  ['disease', 'autoantibody', 'autoantigen', 'epitope']
+    .map((field) => {
+      const value = (entry[field] || '').toString().trim();
+      const type = KEY_SYNONYM_TYPES[field];
+      return (type ? canonicalName(value, type) : value).toLowerCase();
+    })
+    .join('|');
+
+// Disease names to look up existing entries by, including dictionary aliases
+const diseaseLookupNames = (entries) =>
+  [...new Set(entries.flatMap((entry) => expandName(entry.disease, 'disease')))];
+
+// Map and validate every row. Row numbers follow the spreadsheet (header is row 1).
+export const analyzeRows = (rawRows, profile) => {
+  const rows = rawRows.map((row, index) => {
+    const entry = profile ? mapDiseaseRowWithProfile(row, profile) : mapDiseaseRow(row);
+    return { rowNumber: index + 2, entry, errors: validateMappedRow(entry) };
+  });
+  const headers = rawRows.length > 0 ? Object.keys(rawRows[0]) : [];
+  return { rows, columnMapping: describeColumnMapping(headers, profile) };
+};
+
+// Flag valid rows that repeat an existing entry or an earlier row of the same file
+export const findDuplicateRows = async (rows) => {
+  const validRows = rows.filter((r) => r.errors.length === 0);
+  if (validRows.length === 0) return [];
+
+  const diseases = diseaseLookupNames(validRows.map((r) => r.entry));
+  const existing = await DiseaseData.find({ disease: { $in: diseases } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('disease autoantibody autoantigen epitope')
+    .lean();
+  const existingByKey = new Map(existing.map((e) => [naturalKey(e), e._id]));
+
+  const firstRowByKey = new Map();
+  const duplicates = [];
+  validRows.forEach(({ rowNumber, entry }) => {
+    const key = naturalKey(entry);
+    const match = {
+      disease: entry.disease,
+      autoantibody: entry.autoantibody,
+      autoantigen: entry.autoantigen,
+      epitope: entry.epitope
+    };
+    if (existingByKey.has(key)) {
+      duplicates.push({ row: rowNumber, reason: 'existing_entry', existingId: existingByKey.get(key), match });
+    } else if (firstRowByKey.has(key)) {
+      duplicates.push({ row: rowNumber, reason: 'duplicate_in_file', duplicateOfRow: firstRowByKey.get(key), match });
+    }
+    if (!firstRowByKey.has(key)) firstRowByKey.set(key, rowNumber);
+  });
+  return duplicates;
+};
+
+export const IMPORT_MODES = ['insert', 'upsert', 'replace-source'];
+
+const CONTENT_FIELDS = Object.keys(DISEASE_FIELD_MAP);
+
+const toComparable = (value) => (value === undefined || value === null ? '' : value.toString().trim());
+
+// Fields of `entry` that differ from `existing`. Only values supplied by the import are
+// considered, so an empty cell never blanks out curated data.
+const changedFields = (existing, entry) => {
+  const changes = {};
+  CONTENT_FIELDS.forEach((field) => {
+    const incoming = toComparable(entry[field]);
+    if (incoming && incoming !== toComparable(existing[field])) {
+      changes[field] = incoming;
+    }
+  });
+  Object.entries(entry.additional || {}).forEach(([key, value]) => {
+    const incoming = toComparable(value);
+    if (incoming && incoming !== toComparable(existing.additional?.[key])) {
+      changes[`additional.${key}`] = incoming;
+    }
+  });
+  return changes;
+};
+
+// Work out what an import would do without writing anything.
+// `entries` must already be validated and carry their metadata.
+export const planImport = async (entries, { mode = 'insert', source } = {}) => {
+  const plan = { mode, source, toInsert: [], toUpdate: [], unchanged: [], skipped: [], toRemove: [] };
+
+  if (mode === 'insert') {
+    plan.toInsert = entries;
+    return plan;
+  }
+
+  if (mode === 'replace-source') {
+    const existing = await DiseaseData.find({ 'metadata.source': source }).select('_id').lean();
+    plan.toRemove = existing.map((e) => e._id);
+    plan.toInsert = entries;
+    return plan;
+  }
+
+  // upsert: match on the natural key, update what changed, insert the rest
+  const diseases = diseaseLookupNames(entries);
+  const existing = await DiseaseData.find({ disease: { $in: diseases } })
+    .collation({ locale: 'en', strength: 2 })
+    .lean();
+  // Every existing entry per key: when the database already holds duplicates, picking one
+  // would leave the others stale, so such rows are skipped for a curator to resolve
+  const existingByKey = new Map();
+  existing.forEach((e) => {
+    const key = naturalKey(e);
+    existingByKey.set(key, [...(existingByKey.get(key) || []), e]);
+  });
+  const seenKeys = new Set();
+
+  entries.forEach((entry, index) => {
+    const key = naturalKey(entry);
+    if (seenKeys.has(key)) {
+      plan.skipped.push({ index, reason: 'Duplicate of an earlier row in the same import' });
+      return;
+    }
+    seenKeys.add(key);
+
+    const matches = existingByKey.get(key) || [];
+    if (matches.length === 0) {
+      plan.toInsert.push(entry);
+      return;
+    }
+    if (matches.length > 1) {
+      plan.skipped.push({ index, reason: `Ambiguous existing match: ${matches.length} entries share this disease, autoantibody, autoantigen and epitope (${matches.map((e) => e._id).join(', ')})` });
+      return;
+    }
+    const [match] = matches;
+    const changes = changedFields(match, entry);
+    if (Object.keys(changes).length === 0) {
+      plan.unchanged.push({ index, id: match._id });
+    } else {
+      plan.toUpdate.push({ index, existing: match, changes });
+    }
+  });
+  return plan;
+};
+
+export const summarizePlan = (plan) => ({
+  mode: plan.mode,
+  inserted: plan.toInsert.length,
+  updated: plan.toUpdate.length,
+  unchanged: plan.unchanged.length,
+  skipped: plan.skipped.length,
+  removed: plan.toRemove.length
+});
+
+// Unordered insertMany silently drops documents that fail validation, so each entry is
+// validated first and the failures are counted into `result`
+const withoutInvalidEntries = async (batch, result) => {
+  const valid = [];
+  for (const entry of batch) {
+    try {
+      await new DiseaseData(entry).validate();
+      valid.push(entry);
+    } catch (error) {
+      result.failed += 1;
+      result.errors.push(`${entry.disease} / ${entry.autoantibody}: ${error.message}`);
+    }
+  }
+  return valid;
+};
+
+// Apply a plan produced by planImport: updates, then inserts, then removals. Write failures
+// are collected rather than thrown so callers can report partial success. `onProgress`
+// (optional) receives the number of planned writes handled so far; inserts are chunked by
+// `batchSize` so progress can advance.
+// With `importBatchId`, inserts are stamped with it and updated/removed entries are
+// snapshotted first so the batch can be rolled back.
+export const executeImport = async (plan, { user, revisionSource, onProgress, batchSize = 500, importBatchId }) => {
+  const result = { ...summarizePlan(plan), inserted: 0, updated: 0, removed: 0, failed: 0, errors: [] };
+  let processed = 0;
+  const report = async (count) => {
+    processed += count;
+    if (onProgress) await onProgress(processed);
+  };
+
+  await saveBatchSnapshots(importBatchId, 'disease', 'update', plan.toUpdate.map(({ existing }) => existing));
+  for (const [i, { existing, changes }] of plan.toUpdate.entries()) {
+    try {
+      const updated = await DiseaseData.findByIdAndUpdate(
+        existing._id,
+        { $set: { ...changes, updatedBy: user, 'metadata.lastUpdated': new Date() } },
+        { new: true, runValidators: true, context: 'query' }
+      );
+      if (updated) {
+        await recordRevision({ entryId: updated._id, action: 'update', before: existing, after: updated, source: revisionSource, user });
+        result.updated += 1;
+      }
+    } catch (error) {
+      result.failed += 1;
+      result.errors.push(`${existing.disease} / ${existing.autoantibody}: ${error.message}`);
+    }
+    if ((i + 1) % batchSize === 0 || i === plan.toUpdate.length - 1) {
+      await report((i % batchSize) + 1);
+    }
+  }
+
+  for (let start = 0; start < plan.toInsert.length; start += batchSize) {
+    const batch = plan.toInsert
+      .slice(start, start + batchSize)
+      .map((entry) => (importBatchId ? { ...entry, importBatchId } : entry));
+    const valid = await withoutInvalidEntries(batch, result);
+    let insertedDocs = [];
+    try {
+      insertedDocs = valid.length > 0 ? await DiseaseData.insertMany(valid, { ordered: false }) : [];
+    } catch (error) {
+      if (!error.writeErrors && !error.insertedDocs) throw error;
+      insertedDocs = error.insertedDocs || [];
+      result.failed += error.writeErrors?.length || 0;
+      result.errors.push(...(error.writeErrors?.map((e) => e.errmsg) || []));
+    }
+    await recordCreateRevisions(insertedDocs, { source: revisionSource, user });
+    result.inserted += insertedDocs.length;
+    await report(batch.length);
+  }
+
+  // replace-source trashes the old entries only once every new row is in, so a failed
+  // import never leaves the source empty
+  if (plan.toRemove.length > 0 && result.failed > 0) {
+    result.errors.push(`${plan.toRemove.length} existing entries for ${plan.source} were kept because some rows failed to import; roll back the batch to remove the rows that were added`);
+    await report(plan.toRemove.length);
+  } else if (plan.toRemove.length > 0) {
+    const removedAt = new Date();
+    const toTrash = await DiseaseData.find({ _id: { $in: plan.toRemove } });
+    await saveBatchSnapshots(importBatchId, 'disease', 'remove', toTrash);
+    await DiseaseData.updateMany(
+      { _id: { $in: plan.toRemove } },
+      { deletedAt: removedAt, deletedBy: user }
+    );
+    for (const doc of toTrash) {
+      await recordRevision({ entryId: doc._id, action: 'delete', before: doc, source: revisionSource, user });
+    }
+    result.removed = toTrash.length;
+    await report(plan.toRemove.length);
+  }
+
+  return result;
+};
+
+// Read, map, validate and plan an uploaded disease file. Shared by the synchronous
+// upload endpoint and the background job runner.
+export const prepareDiseaseFileImport = async ({ file, mode, source, profile, user }) => {
+  const rawRows = readUploadedRows(file);
+  if (!Array.isArray(rawRows) || rawRows.length === 0) {
+    return { rawRows: [], rows: [], validRows: [], rowErrors: [], columnMapping: null, plan: null, skippedRows: [] };
+  }
+
+  const { rows, columnMapping } = analyzeRows(rawRows, profile);
+  const validRows = rows.filter((r) => r.errors.length === 0);
+  const rowErrors = rows
+    .filter((r) => r.errors.length > 0)
+    .map((r) => ({ row: r.rowNumber, errors: r.errors }));
+
+  const entriesWithMetadata = validRows.map(({ entry }) => ({
+    ...entry,
+    createdBy: user,
+    updatedBy: user,
+    metadata: {
+      dateAdded: new Date(),
+      lastUpdated: new Date(),
+      verified: false,
+      source: source || 'file_import'
+    }
+  }));
+
+  const plan = await planImport(entriesWithMetadata, { mode, source });
+  // Translate plan indexes back to spreadsheet row numbers
+  const skippedRows = [
+    ...rowErrors,
+    ...plan.skipped.map(({ index, reason }) => ({ row: validRows[index].rowNumber, errors: [reason] }))
+  ];
+
+  return { rawRows, rows, validRows, rowErrors, columnMapping, plan, skippedRows };
+};
+
+// Number of writes executeImport will attempt for a plan (used as a job's progress total)
+export const countPlannedWrites = (plan) =>
+  plan.toRemove.length + plan.toUpdate.length + plan.toInsert.length;
@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import DiseaseData from '../models/diseaseModel.js';
+import { createZipWriter, createStreamWriter } from './zipHelper.js';
+
+const toDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+// Export columns in spreadsheet order; every `additional` key is appended as its own column
+const BASE_COLUMNS = [
+  ['Disease', (e) => e.disease],
+  ['Database Accession Numbers', (e) => e.databaseAccessionNumbers],
+  ['Autoantibody', (e) => e.autoantibody],
+  ['Synonym', (e) => e.synonym],
+  ['Disease Association', (e) => e.diseaseAssociation],
+  ['Autoantigen', (e) => e.autoantigen],
+  ['Epitope', (e) => e.epitope],
+  ['Epitope Prevalence', (e) => e.epitopePrevalence],
+  ['UniProt ID', (e) => e.uniprotId],
+  ['Screening', (e) => e.screening],
+  ['Confirmation', (e) => e.confirmation],
+  ['Monitoring', (e) => e.monitoring],
+  ['Affinity', (e) => e.affinity],
+  ['Avidity', (e) => e.avidity],
+  ['Mechanism', (e) => e.mechanism],
+  ['Isotype Subclasses', (e) => e.isotypeSubclasses],
+  ['Sensitivity', (e) => e.sensitivity],
+  ['Diagnostic Marker', (e) => e.diagnosticMarker],
+  ['Association with Disease Activity', (e) => e.associationWithDiseaseActivity],
+  ['Positive Predictive Values', (e) => e.positivePredictiveValues],
+  ['Negative Predictive Values', (e) => e.negativePredictiveValues],
+  ['Cross Reactivity Patterns', (e) => e.crossReactivityPatterns],
+  ['Pathogenesis Involvement', (e) => e.pathogenesisInvolvement],
+  ['Reference Ranges and Cutoff Values', (e) => e.referenceRangesAndCutoffValues],
+  ['Reference', (e) => e.reference],
+  ['Type', (e) => e.type],
+  ['Priority', (e) => e.priority],
+  ['Date Added', (e) => toDate(e.createdAt)],
+  ['Last Updated', (e) => toDate(e.metadata?.lastUpdated)],
+  ['Verified', (e) => (e.metadata?.verified ? 'Yes' : 'No')]
+].map(([header, value]) => ({ header, value }));
+
+const additionalValue = (entry, key) => {
+  const additional = entry.additional instanceof Map ? Object.fromEntries(entry.additional) : entry.additional;
+  return additional?.[key];
+};
+
+export const exportColumns = (additionalKeys = []) => [
+  ...BASE_COLUMNS,
+  ...additionalKeys.map((key) => ({ header: key, value: (e) => additionalValue(e, key) }))
+];
+
+// Distinct `additional` keys across the entries matching `match`, sorted
+export const findAdditionalKeys = async (match = {}) => {
+  const results = await DiseaseData.aggregate([
+    { $match: { ...match, additional: { $type: 'object' } } },
+    { $project: { kv: { $objectToArray: '$additional' } } },
+    { $unwind: '$kv' },
+    { $group: { _id: { $toLower: { $ifNull: ['$kv.k', ''] } }, original: { $first: '$kv.k' } } },
+    { $match: { _id: { $ne: '' } } },
+    { $project: { _id: 0, key: '$original' } },
+    { $sort: { key: 1 } }
+  ]);
+  return results.map((r) => r.key);
+};
+
+// Additional keys present in an in-memory list of entries, sorted
+export const additionalKeysOf = (entries) => {
+  const keys = new Set();
+  entries.forEach((entry) => {
+    const additional = entry.additional instanceof Map ? Object.fromEntries(entry.additional) : entry.additional;
+    Object.keys(additional || {}).forEach((key) => keys.add(key));
+  });
+  return [...keys].sort();
+};
+
+const cellText = (value) => (value === undefined || value === null ? '' : value.toString());
+
+const escapeCSVCell = (value) => {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// TSV has no quoting, so tabs and line breaks inside a value become spaces
+const escapeTSVCell = (value) => cellText(value).replace(/[\t\r\n]+/g, ' ');
+
+export const delimitedRow = (values, format) =>
+  format === 'tsv' ? values.map(escapeTSVCell).join('\t') : values.map(escapeCSVCell).join(',');
+
+export const rowValues = (entry, columns) => columns.map((column) => column.value(entry));
+
+// CSV/TSV: header line, then one line per entry
+export const writeDelimited = async (write, cursor, columns, format) => {
+  let count = 0;
+  await write(`${delimitedRow(columns.map((c) => c.header), format)}\n`);
+  for await (const entry of cursor) {
+    await write(`${delimitedRow(rowValues(entry, columns), format)}\n`);
+    count += 1;
+  }
+  return count;
+};
+
+export const writeNdjson = async (write, cursor) => {
+  let count = 0;
+  for await (const entry of cursor) {
+    await write(`${JSON.stringify(entry)}\n`);
+    count += 1;
+  }
+  return count;
+};
+
+// XML 1.0 forbids most control characters, which occasionally come through spreadsheet imports
+const escapeXml = (value) =>
+  cellText(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+const xlsxRow = (values, rowNumber) =>
+  `<row r="${rowNumber}">${values
+    .map((value, i) => {
+      const text = cellText(value);
+      if (!text) return '';
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${columnLetter(i)}${rowNumber}"><v>${value}</v></c>`;
+      return `<c r="${columnLetter(i)}${rowNumber}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    })
+    .join('')}</row>`;
+
+// Excel sheet names: at most 31 characters, none of []:*?/\ and unique ignoring case
+const sheetName = (name, used) => {
+  const base = (cellText(name).replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim() || 'Unnamed').slice(0, 31);
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n += 1) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Key that groups entries into per-disease sheets. The database computes it so the sort and the
+// sheet split agree: sorting on raw `disease` is case-sensitive and would part "SLE" from "sle".
+export const diseaseSheetKeyStage = {
+  $addFields: { diseaseSheetKey: { $toLower: { $trim: { input: { $ifNull: ['$disease', ''] } } } } }
+};
+
+// XLSX written straight to the output. With `sheetPerDisease` the cursor must include
+// diseaseSheetKeyStage and be sorted on `diseaseSheetKey`; a new sheet starts whenever it changes.
+export const writeXlsx = async (output, cursor, columns, { sheetPerDisease = false } = {}) => {
+  const zip = createZipWriter(output);
+  const headerValues = columns.map((c) => c.header);
+  const sheets = [];
+  const usedNames = new Set();
+  let sheet = null;
+  let count = 0;
+
+  const closeSheet = async () => {
+    if (!sheet) return;
+    await sheet.entry.write('</sheetData></worksheet>');
+    await sheet.entry.end();
+    sheet = null;
+  };
+  const openSheet = async (name) => {
+    await closeSheet();
+    const index = sheets.length + 1;
+    sheets.push({ index, name: sheetName(name, usedNames) });
+    const entry = await zip.openEntry(`xl/worksheets/sheet${index}.xml`);
+    await entry.write(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="${SHEET_NS}"><sheetData>`);
+    await entry.write(xlsxRow(headerValues, 1));
+    sheet = { entry, key: null, rows: 1 };
+  };
+
+  for await (const entry of cursor) {
+    const key = entry.diseaseSheetKey;
+    if (!sheet || (sheetPerDisease && key !== sheet.key)) {
+      await openSheet(sheetPerDisease ? entry.disease : 'Entries');
+      sheet.key = key;
+    }
+    sheet.rows += 1;
+    await sheet.entry.write(xlsxRow(rowValues(entry, columns), sheet.rows));
+    count += 1;
+  }
+  if (!sheet) await openSheet(sheetPerDisease ? 'No entries' : 'Entries');
+  await closeSheet();
+
+  await zip.addEntry('[Content_Types].xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    sheets.map(({ index }) =>
+      `<Override PartName="/xl/worksheets/sheet${index}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('') +
+    '</Types>');
+  await zip.addEntry('_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>');
+  await zip.addEntry('xl/workbook.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}"><sheets>` +
+    sheets.map(({ index, name }) => `<sheet name="${escapeXml(name)}" sheetId="${index}" r:id="rId${index}"/>`).join('') +
+    '</sheets></workbook>');
+  await zip.addEntry('xl/_rels/workbook.xml.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheets.map(({ index }) =>
+      `<Relationship Id="rId${index}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index}.xml"/>`
+    ).join('') +
+    '</Relationships>');
+  await zip.finish();
+  return { count, sheets: sheets.map((s) => s.name) };
+};
+
+// ZIP archive holding the data file (NDJSON, CSV or TSV) and a manifest.json describing it,
+// including a SHA-256 of the data file so consumers can verify it
+export const writeArchive = async (output, cursor, columns, { dataFormat = 'ndjson', manifest = {} } = {}) => {
+  const zip = createZipWriter(output);
+  const dataFile = `entries.${dataFormat}`;
+  const entry = await zip.openEntry(dataFile);
+  const hash = crypto.createHash('sha256');
+  const write = async (chunk) => {
+    hash.update(chunk);
+    await entry.write(chunk);
+  };
+  const count = dataFormat === 'ndjson'
+    ? await writeNdjson(write, cursor)
+    : await writeDelimited(write, cursor, columns, dataFormat);
+  await entry.end();
+
+  await zip.addEntry('manifest.json', JSON.stringify({
+    ...manifest,
+    dataFile,
+    dataFormat,
+    count,
+    sha256: hash.digest('hex'),
+    columns: dataFormat === 'ndjson' ? undefined : columns.map((c) => c.header),
+    generatedAt: new Date().toISOString()
+  }, null, 2));
+  await zip.finish();
+  return { count };
+};
+
+export { createStreamWriter };
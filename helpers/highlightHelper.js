@@ -0,0 +1,117 @@
+import { searchConfig } from '../config/search.js';
+
+// Field -> regexes from a MongoDB filter built by the search code ({ field: /re/ },
+// { field: { $in: [/re/] } }, nested $or / $and). Negated branches ($nor) never explain a hit.
+export const collectFieldPatterns = (filter, patterns = new Map()) => {
+  if (Array.isArray(filter)) {
+    filter.forEach((condition) => collectFieldPatterns(condition, patterns));
+    return patterns;
+  }
+  if (!filter || typeof filter !== 'object') return patterns;
+  Object.entries(filter).forEach(([key, value]) => {
+    if (key === '$or' || key === '$and') {
+      collectFieldPatterns(value, patterns);
+      return;
+    }
+    if (key.startsWith('$')) return;
+    const regexes = value instanceof RegExp
+      ? [value]
+      : (Array.isArray(value?.$in) ? value.$in.filter((item) => item instanceof RegExp) : []);
+    if (regexes.length === 0) return;
+    patterns.set(key, [...(patterns.get(key) || []), ...regexes]);
+  });
+  return patterns;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regexes approximating what a MongoDB $text search matched: quoted phrases as written,
+// other words by their stem ("antibodies" also marks "antibody"); -negated words are skipped
+export const textSearchPatterns = (query) => {
+  const regexes = [];
+  const phrasePattern = /"([^"]+)"/g;
+  let match;
+  while ((match = phrasePattern.exec(query)) !== null) {
+    regexes.push(new RegExp(escapeRegex(match[1].trim()), 'i'));
+  }
+  query.replace(phrasePattern, ' ').split(/\s+/).forEach((word) => {
+    if (!word || word.startsWith('-')) return;
+    const term = word.replace(/[^\p{L}\p{N}]+/gu, '');
+    if (!term) return;
+    const stem = term.length > 4 ? term.replace(/(ies|es|s|ing|ed)$/i, '') : term;
+    regexes.push(new RegExp(`\\b${escapeRegex(stem)}\\w*`, 'i'));
+  });
+  return regexes;
+};
+
+export const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Start/end offsets of every match of any regex, overlapping ranges merged
+const findMatches = (text, regexes) => {
+  const ranges = [];
+  regexes.forEach((regex) => {
+    const global = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+    let match;
+    while ((match = global.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        global.lastIndex += 1;
+        continue;
+      }
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+};
+
+// HTML-safe snippet around the first match with every match in it wrapped in <mark>.
+// Returns null when nothing matches.
+export const highlightText = (text, regexes, { length = searchConfig.snippetLength } = {}) => {
+  if (typeof text !== 'string' || !text) return null;
+  const ranges = findMatches(text, regexes);
+  if (ranges.length === 0) return null;
+
+  let start = Math.max(0, ranges[0][0] - Math.floor((length - (ranges[0][1] - ranges[0][0])) / 2));
+  let end = Math.min(text.length, start + length);
+  start = Math.max(0, end - length);
+  // Don't cut words in half at the edges
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < ranges[0][0]) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > ranges[0][1]) end = space;
+  }
+
+  let snippet = '';
+  let cursor = start;
+  ranges
+    .filter(([from, to]) => to > start && from < end)
+    .forEach(([from, to]) => {
+      const markFrom = Math.max(from, start);
+      const markTo = Math.min(to, end);
+      snippet += escapeHtml(text.slice(cursor, markFrom)) + `<mark>${escapeHtml(text.slice(markFrom, markTo))}</mark>`;
+      cursor = markTo;
+    });
+  snippet += escapeHtml(text.slice(cursor, end));
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+// Fields of a hit that matched, highest relevance weight first: [{ field, weight, snippet }]
+export const explainMatch = (doc, patterns, { weights = {}, textOf = (value) => value } = {}) => {
+  const matched = [];
+  patterns.forEach((regexes, field) => {
+    const value = doc[field];
+    if (typeof value !== 'string') return;
+    const snippet = highlightText(textOf(value, field), regexes);
+    if (snippet) matched.push({ field, weight: weights[field] || 0, snippet });
+  });
+  return matched.sort((a, b) => b.weight - a.weight);
+};
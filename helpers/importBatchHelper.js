@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import ImportBatch from '../models/importBatchModel.js';
+import ImportBatchSnapshot from '../models/importBatchSnapshotModel.js';
+import DiseaseData from '../models/diseaseModel.js';
+import Biomarker from '../models/biomarkerModel.js';
+import { recordRevision, applySnapshot } from './revisionHelper.js';
+
+const COUNT_FIELDS = ['total', 'inserted', 'updated', 'removed', 'unchanged', 'skipped', 'failed'];
+const SNAPSHOT_CHUNK_SIZE = 1000;
+
+export const checksumOf = (buffer) =>
+  (buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : undefined);
+
+export const startImportBatch = ({ target, kind, file, fileName, checksum, user, mode, source, profile, columnMapping, job }) =>
+  ImportBatch.create({
+    target,
+    kind,
+    fileName: fileName || file?.originalname,
+    checksum: checksum || checksumOf(file?.buffer),
+    user,
+    mode,
+    source,
+    profile,
+    columnMapping,
+    job
+  });
+
+const pickCounts = (result = {}) =>
+  COUNT_FIELDS.reduce((counts, field) => {
+    if (typeof result[field] === 'number') counts[field] = result[field];
+    return counts;
+  }, {});
+
+// Record an import run as a batch. `run(batch)` performs the writes (stamping
+// inserts with batch._id) and returns the import result, whose counts are stored.
+export const withImportBatch = async (meta, run) => {
+  const batch = await startImportBatch(meta);
+  try {
+    const result = await run(batch);
+    await ImportBatch.updateOne(
+      { _id: batch._id },
+      { $set: { status: 'completed', counts: pickCounts(result), finishedAt: new Date() } }
+    );
+    return { ...result, importBatchId: batch._id };
+  } catch (error) {
+    await ImportBatch.updateOne(
+      { _id: batch._id },
+      { $set: { status: 'failed', message: error.message, finishedAt: new Date() } }
+    ).catch((e) => console.error('Error marking import batch failed:', e));
+    throw error;
+  }
+};
+
+const toPlain = (doc) =>
+  (typeof doc.toObject === 'function'
+    ? doc.toObject({ flattenMaps: true, virtuals: false, depopulate: true })
+    : doc);
+
+// Keep the pre-import state of documents a batch is about to update or remove
+export const saveBatchSnapshots = async (batchId, target, action, docs, { session } = {}) => {
+  if (!batchId || !docs || docs.length === 0) return;
+  for (let start = 0; start < docs.length; start += SNAPSHOT_CHUNK_SIZE) {
+    const chunk = docs.slice(start, start + SNAPSHOT_CHUNK_SIZE);
+    await ImportBatchSnapshot.insertMany(
+      chunk.map((doc) => ({ batch: batchId, target, action, documentId: doc._id, snapshot: toPlain(doc) })),
+      { session }
+    );
+  }
+};
+
+const rollbackDiseaseBatch = async (batch, user) => {
+  const counts = { deleted: 0, restored: 0, reverted: 0 };
+
+  // Entries the batch inserted go to the trash, so the rollback itself can be undone
+  const inserted = await DiseaseData.find({ importBatchId: batch._id });
+  if (inserted.length > 0) {
+    await DiseaseData.updateMany(
+      { _id: { $in: inserted.map((doc) => doc._id) } },
+      { deletedAt: new Date(), deletedBy: user }
+    );
+    for (const doc of inserted) {
+      await recordRevision({ entryId: doc._id, action: 'delete', before: doc, source: 'import_rollback', user });
+    }
+    counts.deleted = inserted.length;
+  }
+
+  const snapshots = await ImportBatchSnapshot.find({ batch: batch._id }).lean();
+  for (const { action, documentId, snapshot } of snapshots) {
+    let entry = await DiseaseData.findById(documentId).setOptions({ withTrashed: true });
+    if (!entry && action === 'update') continue;
+
+    const before = entry ? entry.toObject({ flattenMaps: true }) : null;
+    if (!entry) {
+      // Purged from the trash since the import ran: recreate it with its original ID
+      entry = new DiseaseData({ _id: documentId, createdBy: snapshot.createdBy });
+    }
+    applySnapshot(entry, snapshot);
+    if (action === 'remove') {
+      entry.deletedAt = null;
+      entry.deletedBy = undefined;
+    }
+    entry.updatedBy = user;
+    entry.metadata.lastUpdated = new Date();
+    await entry.save();
+
+    await recordRevision({
+      entryId: entry._id,
+      action: action === 'remove' ? 'restore' : 'update',
+      before,
+      after: entry,
+      source: 'import_rollback',
+      user
+    });
+    if (action === 'remove') counts.restored += 1;
+    else counts.reverted += 1;
+  }
+
+  return counts;
+};
+
+const rollbackBiomarkerBatch = async (batch) => {
+  const counts = { deleted: 0, restored: 0, reverted: 0 };
+
+  const { deletedCount } = await Biomarker.deleteMany({ importBatchId: batch._id });
+  counts.deleted = deletedCount;
+
+  const snapshots = await ImportBatchSnapshot.find({ batch: batch._id }).lean();
+  const removed = snapshots.filter((s) => s.action === 'remove').map((s) => s.snapshot);
+  for (let start = 0; start < removed.length; start += SNAPSHOT_CHUNK_SIZE) {
+    try {
+      const docs = await Biomarker.insertMany(removed.slice(start, start + SNAPSHOT_CHUNK_SIZE), { ordered: false });
+      counts.restored += docs.length;
+    } catch (error) {
+      // Duplicate keys mean the document is already back; anything else is a real failure
+      if (!error.writeErrors || error.writeErrors.some((e) => e.code !== 11000)) throw error;
+      counts.restored += error.insertedDocs?.length || 0;
+    }
+  }
+
+  for (const { snapshot } of snapshots.filter((s) => s.action === 'update')) {
+    await Biomarker.replaceOne({ _id: snapshot._id }, snapshot);
+    counts.reverted += 1;
+  }
+
+  return counts;
+};
+
+// Undo a completed batch: delete what it inserted, restore what it removed and
+// revert what it updated. Returns the updated batch record, or null when the
+// batch is not in a state that can be rolled back.
+export const rollbackImportBatch = async (batchId, user) => {
+  // Claim the batch first so two rollbacks of the same batch can't interleave
+  const batch = await ImportBatch.findOneAndUpdate(
+    { _id: batchId, status: 'completed' },
+    { $set: { status: 'rolling_back' } },
+    { new: true }
+  );
+  if (!batch) return null;
+
+  try {
+    const counts = batch.target === 'disease'
+      ? await rollbackDiseaseBatch(batch, user)
+      : await rollbackBiomarkerBatch(batch);
+
+    return await ImportBatch.findByIdAndUpdate(
+      batch._id,
+      { $set: { status: 'rolled_back', rolledBackAt: new Date(), rolledBackBy: user, rollback: counts } },
+      { new: true }
+    );
+  } catch (error) {
+    await ImportBatch.updateOne({ _id: batch._id }, { $set: { status: 'completed' } });
+    throw error;
+  }
+};
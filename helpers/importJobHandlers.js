@@ -0,0 +1,136 @@
+import path from 'path';
+import { findImportProfile, resolveImportProfile } from './importProfileHelper.js';
+import {
+  prepareDiseaseFileImport,
+  executeImport,
+  countPlannedWrites
+} from './diseaseImportHelper.js';
+import {
+  parseBiomarkerUpload,
+  parseServerFile,
+  serverFileExists,
+  insertBiomarkersInBatches,
+  planBiomarkerSync,
+  applyBiomarkerSync,
+  countSyncWrites,
+  SERVER_DATA_FILE
+} from './biomarkerImportHelper.js';
+import { withImportBatch } from './importBatchHelper.js';
+
+// Each handler receives the job context and a progress reporter and returns
+// { result, rowErrors, written, failed }. Throwing fails the whole job.
+
+const loadProfile = async (name, target) => {
+  if (!name) return null;
+  const profile = await findImportProfile(name, target);
+  if (!profile) throw new Error(`Import profile "${name}" not found`);
+  return profile;
+};
+
+const runDiseaseFileImport = async ({ file, options, user, jobId, batchSize }, progress) => {
+  const profile = await loadProfile(options.profile, 'disease');
+  const { rawRows, validRows, rowErrors, columnMapping, plan, skippedRows } = await prepareDiseaseFileImport({
+    file,
+    mode: options.mode,
+    source: options.source,
+    profile,
+    user
+  });
+  if (rawRows.length === 0) throw new Error('Uploaded file contains no rows');
+  if (validRows.length === 0) throw new Error('No valid rows found after mapping required fields');
+
+  await progress.start(countPlannedWrites(plan));
+  const { errors, ...result } = await withImportBatch(
+    {
+      target: 'disease',
+      kind: 'file_import',
+      file,
+      user,
+      mode: options.mode,
+      source: options.source,
+      profile: profile?.name,
+      columnMapping,
+      job: jobId
+    },
+    async (batch) => {
+      const executed = await executeImport(plan, {
+        user,
+        revisionSource: 'file_import',
+        batchSize,
+        onProgress: progress.update,
+        importBatchId: batch._id
+      });
+      return { ...executed, skipped: executed.skipped + rowErrors.length, total: rawRows.length };
+    }
+  );
+
+  return {
+    result: { ...result, profile: profile?.name || null },
+    rowErrors: [
+      ...skippedRows.map(({ row, errors: rowMessages }) => ({ row, message: rowMessages.join('; ') })),
+      ...errors.map((message) => ({ message }))
+    ],
+    written: result.inserted + result.updated + result.removed,
+    // Rows rejected before writing are already counted as skipped
+    failed: result.failed
+  };
+};
+
+const runBiomarkerFileImport = async ({ file, options, user, jobId, batchSize }, progress) => {
+  const profile = await loadProfile(options.profile, 'biomarker');
+  const { rawRows, sheetsRead, entries } = parseBiomarkerUpload(file, profile);
+  if (entries.length === 0) throw new Error('No rows with data found in file');
+
+  await progress.start(entries.length);
+  const { errors, ...result } = await withImportBatch(
+    { target: 'biomarker', kind: 'file_import', file, user, profile: profile?.name, job: jobId },
+    async (batch) => ({
+      ...(await insertBiomarkersInBatches(entries, { batchSize, onProgress: progress.update, importBatchId: batch._id })),
+      total: rawRows.length
+    })
+  );
+
+  return {
+    result: { ...result, sheetsRead, profile: profile?.name || null },
+    rowErrors: errors,
+    written: result.inserted,
+    failed: result.failed
+  };
+};
+
+const runBiomarkerServerImport = async ({ user, jobId, batchSize }, progress) => {
+  if (!serverFileExists()) throw new Error('Server data file not found');
+  const { profile } = await resolveImportProfile(null, 'biomarker');
+  const { rawRows, entries, checksum } = parseServerFile(profile);
+  if (entries.length === 0) throw new Error('No rows with data in file');
+
+  const plan = await planBiomarkerSync(entries);
+  await progress.start(countSyncWrites(plan));
+  const { errors, ...result } = await withImportBatch(
+    {
+      target: 'biomarker',
+      kind: 'server_file_import',
+      fileName: path.basename(SERVER_DATA_FILE),
+      checksum,
+      user,
+      job: jobId
+    },
+    async (batch) => ({
+      ...(await applyBiomarkerSync(plan, { batchSize, onProgress: progress.update, importBatchId: batch._id })),
+      total: rawRows.length
+    })
+  );
+
+  return {
+    result,
+    rowErrors: errors,
+    written: result.inserted + result.updated + result.removed,
+    failed: result.failed
+  };
+};
+
+export const jobHandlers = {
+  disease_file_import: runDiseaseFileImport,
+  biomarker_file_import: runBiomarkerFileImport,
+  biomarker_server_import: runBiomarkerServerImport
+};
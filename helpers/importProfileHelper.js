@@ -0,0 +1,103 @@
+import ImportProfile from '../models/importProfileModel.js';
+import { parseMetric } from './metricHelper.js';
+
+// Same header normalisation the alias-based importers use
+const normalizeHeader = (h) => h.toString().trim().toLowerCase().replace(/\s+/g, '');
+
+// Cells that are only a number or a range, with or without "%"
+const BARE_PERCENT = /^\d+(?:\.\d+)?\s*%?(?:\s*[-–]\s*\d+(?:\.\d+)?\s*%?)?$/;
+
+// "65", "65 %", "0.65" -> "65%"; "60-80" -> "60-80%". Values are read by the disease metric
+// parser, so bare proportions (0.65, 1) agree with it; anything else is left alone.
+export const normalizePercent = (value) => {
+  const text = value.toString().trim();
+  const metric = BARE_PERCENT.test(text) ? parseMetric(text) : null;
+  if (!metric) return text;
+  return metric.qualifier === 'range' ? `${metric.min}-${metric.max}%` : `${metric.point}%`;
+};
+
+const TRANSFORMS = {
+  trim: (v) => v.trim(),
+  lowercase: (v) => v.toLowerCase(),
+  uppercase: (v) => v.toUpperCase(),
+  percent: (v) => normalizePercent(v)
+};
+
+// Apply a column's transforms in order. `split` breaks the value on the separator, applies
+// the remaining transforms to each part and re-joins with a normalised "; " separator.
+export const applyTransforms = (value, transforms = [], separator = ';') => {
+  if (value === undefined || value === null) return '';
+  let parts = [value.toString()];
+  transforms.forEach((name) => {
+    if (name === 'split') {
+      parts = parts.flatMap((p) => p.split(separator)).map((p) => p.trim()).filter(Boolean);
+    } else if (TRANSFORMS[name]) {
+      parts = parts.map(TRANSFORMS[name]);
+    }
+  });
+  return parts.join('; ').trim();
+};
+
+// Validate a profile's column definitions against the fields its target allows;
+// returns a list of messages. `allowAdditional` permits `additional.<key>` targets.
+export const validateProfileColumns = (columns, allowedFields, { allowAdditional = false } = {}) => {
+  const errors = [];
+  if (!Array.isArray(columns) || columns.length === 0) {
+    errors.push('At least one column mapping is required');
+    return errors;
+  }
+  columns.forEach((col, index) => {
+    if (!col || !col.column || !col.field) {
+      errors.push(`Column ${index + 1}: column and field are required`);
+      return;
+    }
+    const isAdditional = allowAdditional && /^additional\.[^.]+$/.test(col.field);
+    if (!isAdditional && !allowedFields.includes(col.field)) {
+      errors.push(`Column ${index + 1}: "${col.field}" is not a valid field`);
+    }
+  });
+  return errors;
+};
+
+export const findImportProfile = (name, target) =>
+  ImportProfile.findOne({ name: name.trim(), target }).lean();
+
+// The profile an import uses: the one named, else the target's default profile. Returns
+// { profile } (null when there is no default, so the built-in aliases apply) or { notFound }.
+export const resolveImportProfile = async (name, target) => {
+  if (name) {
+    const profile = await findImportProfile(name.toString(), target);
+    return profile ? { profile } : { notFound: `Import profile "${name}" not found` };
+  }
+  return { profile: await ImportProfile.findOne({ target, isDefault: true }).lean() };
+};
+
+// Profile columns equivalent to a built-in alias table ({ field: [aliases] })
+export const aliasColumns = (fieldMap) =>
+  Object.entries(fieldMap).flatMap(([field, aliases]) => aliases.map((column) => ({ column, field, transforms: ['trim'] })));
+
+// Map a spreadsheet row using a profile. Returns the mapped fields, the values routed to
+// `additional`, and the original headers that were not covered by the profile.
+export const mapRowWithProfile = (row, profile) => {
+  const byHeader = {};
+  Object.keys(row).forEach((k) => { byHeader[normalizeHeader(k)] = k; });
+
+  const fields = {};
+  const additional = {};
+  const used = new Set();
+  profile.columns.forEach(({ column, field, transforms, separator }) => {
+    const header = byHeader[normalizeHeader(column)];
+    if (header === undefined) return;
+    used.add(header);
+    const value = applyTransforms(row[header], transforms, separator);
+    if (!value) return;
+    if (field.startsWith('additional.')) {
+      additional[field.slice('additional.'.length)] = value;
+    } else if (!fields[field]) {
+      fields[field] = value;
+    }
+  });
+
+  const unmapped = Object.keys(row).filter((k) => !used.has(k));
+  return { fields, additional, unmapped };
+};
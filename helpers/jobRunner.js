@@ -0,0 +1,150 @@
+import { EventEmitter } from 'events';
+import ImportJob from '../models/importJobModel.js';
+import { jobsConfig } from '../config/jobs.js';
+import { jobHandlers } from './importJobHandlers.js';
+
+// Progress and status changes are published as `job:<id>` events for SSE subscribers
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+export const TERMINAL_STATUSES = ['succeeded', 'failed', 'partially_succeeded'];
+
+// Public view of a job (no payload)
+export const toJobSummary = (job) => ({
+  _id: job._id,
+  type: job.type,
+  status: job.status,
+  fileName: job.fileName,
+  total: job.total,
+  processed: job.processed,
+  errorCount: job.errorCount,
+  message: job.message,
+  result: job.result,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  createdAt: job.createdAt
+});
+
+const publish = (job) => jobEvents.emit(`job:${job._id}`, toJobSummary(job));
+
+// Persist a new queued job and nudge the runner
+export const enqueueJob = async ({ type, file, fileName, options = {}, user }) => {
+  const job = await ImportJob.create({
+    type,
+    fileName: fileName || file?.originalname,
+    payload: { file: file?.buffer, options },
+    createdBy: user
+  });
+  setImmediate(runQueuedJobs);
+  return job;
+};
+
+// Atomically move the oldest queued job to running so it is only picked up once
+const claimNextJob = () =>
+  ImportJob.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() } },
+    { new: true, sort: { createdAt: 1 } }
+  ).select('+payload.file');
+
+const progressReporter = (job) => ({
+  start: async (total) => {
+    job.total = total;
+    job.processed = 0;
+    await ImportJob.updateOne({ _id: job._id }, { $set: { total, processed: 0 } });
+    publish(job);
+  },
+  update: async (processed) => {
+    job.processed = processed;
+    await ImportJob.updateOne({ _id: job._id }, { $set: { processed } });
+    publish(job);
+  }
+});
+
+const finishJob = async (job, fields) => {
+  const finished = await ImportJob.findByIdAndUpdate(
+    job._id,
+    { $set: { ...fields, finishedAt: new Date() }, $unset: { 'payload.file': 1 } },
+    { new: true }
+  );
+  publish(finished || { ...job.toObject(), ...fields });
+};
+
+const runJob = async (job) => {
+  publish(job);
+  const handler = jobHandlers[job.type];
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+    const context = {
+      file: job.payload?.file ? { buffer: job.payload.file, originalname: job.fileName || '' } : null,
+      options: job.payload?.options || {},
+      user: job.createdBy,
+      jobId: job._id,
+      batchSize: jobsConfig.batchSize
+    };
+    const { result, rowErrors = [], written, failed } = await handler(context, progressReporter(job));
+
+    let status = 'succeeded';
+    if (failed > 0) status = written > 0 ? 'partially_succeeded' : 'failed';
+
+    await finishJob(job, {
+      status,
+      result,
+      processed: job.total,
+      rowErrors: rowErrors.slice(0, jobsConfig.maxStoredErrors),
+      errorCount: rowErrors.length,
+      message: status === 'succeeded'
+        ? `Import complete: ${written} written`
+        : `${written} written, ${failed} failed`
+    });
+    console.log(`Import job ${job._id} (${job.type}) ${status}: ${written} written, ${failed} failed`);
+  } catch (error) {
+    console.error(`Import job ${job._id} (${job.type}) failed:`, error);
+    await finishJob(job, { status: 'failed', message: error.message || 'Import failed' });
+  }
+};
+
+// Jobs run one at a time in this process; concurrent calls return immediately
+let draining = false;
+export const runQueuedJobs = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Job runner error:', error);
+  } finally {
+    draining = false;
+  }
+};
+
+// Jobs left running by a previous process can't resume; mark them failed
+const failInterruptedJobs = async () => {
+  const result = await ImportJob.updateMany(
+    { status: 'running' },
+    {
+      $set: { status: 'failed', message: 'Interrupted by server restart', finishedAt: new Date() },
+      $unset: { 'payload.file': 1 }
+    }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Job runner: marked ${result.modifiedCount} interrupted job(s) as failed`);
+  }
+};
+
+// Recover after a restart, then poll the queue
+export const startJobRunner = async () => {
+  try {
+    await failInterruptedJobs();
+  } catch (error) {
+    console.error('Job runner recovery error:', error);
+  }
+  runQueuedJobs();
+  const timer = setInterval(runQueuedJobs, jobsConfig.pollIntervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,166 @@
+// Structured values for the free-text diagnostic metrics. "60-80%", "~70 %", "0.65" and
+// "up to 90% in SLE" become { min, max, point, unit, qualifier }; the text itself is kept as entered.
+
+// Metric fields and whether a bare number in them is a percentage
+export const METRIC_FIELDS = ['sensitivity', 'positivePredictiveValues', 'negativePredictiveValues', 'epitopePrevalence', 'diseaseAssociation'];
+const PERCENT_FIELDS = ['sensitivity', 'positivePredictiveValues', 'negativePredictiveValues', 'epitopePrevalence'];
+
+// qualifier: exact | approximate | range | upTo | atLeast
+const UP_TO = /(?:\bup\s+to\b|\bless\s+than\b|\bbelow\b|\bunder\b|\bat\s+most\b|≤|<=?)\s*$/i;
+const AT_LEAST = /(?:\bat\s+least\b|\bmore\s+than\b|\bover\b|\babove\b|\bgreater\s+than\b|≥|>=?)\s*$/i;
+const APPROXIMATE = /(?:~|≈|\bapprox(?:\.|imately)?|\babout\b|\baround\b|\bca\.?|\bnearly\b|\broughly\b)\s*$/i;
+const NUMBER = /(\d+(?:[.,]\d+)?|\.\d+)/;
+const TITRE = /\b1\s*:\s*\d{2,}\b/;
+const COUNT = /\b(\d+)\s*(?:\/|of|out\s+of)\s*(\d+)\b/i;
+const RANGE = new RegExp(`${NUMBER.source}\\s*(%?)\\s*(?:-|–|—|to)\\s*${NUMBER.source}\\s*(%?)`, 'i');
+
+const toNumber = (text) => Number(text.replace(',', '.'));
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const unitAfter = (text) => {
+  if (/^\s*%/.test(text)) return '%';
+  if (/^\s*(?:per\s*cent|percent)\b/i.test(text)) return '%';
+  return null;
+};
+
+// Ratio metrics such as "OR 5.2" or "RR: 3" in diseaseAssociation
+const ratioUnit = (before) => {
+  const match = before.match(/\b(OR|RR|HR|odds\s+ratio|relative\s+risk|hazard\s+ratio)\b[\s:=]*$/i);
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  if (name.startsWith('odds') || name === 'or') return 'OR';
+  if (name.startsWith('relative') || name === 'rr') return 'RR';
+  return 'HR';
+};
+
+// Numbers that label something rather than measure it: "Type 1 diabetes", "IgG4", "HLA-B27", "stage 2"
+const LABEL_BEFORE = /(?:[A-Za-z]|\b(?:type|class|grade|stage|group|phase|step|day|week|month|year)\s+)$/i;
+// Confidence levels: the "95%" of "95% CI" or "95 % confidence interval"
+const CONFIDENCE_LEVEL = /^\s*%?\s*(?:CI\b|conf(?:idence)?\b)/i;
+
+// Every value stated in a text: ranges and single numbers with their unit and qualifier
+const metricCandidates = (text) => {
+  const pattern = new RegExp(`${RANGE.source}|${NUMBER.source}`, 'gi');
+  const candidates = [];
+  for (const match of text.matchAll(pattern)) {
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + match[0].length);
+    if (LABEL_BEFORE.test(before)) continue;
+    if (match[5] === undefined) {
+      let min = toNumber(match[1]);
+      let max = toNumber(match[3]);
+      if (min > max) [min, max] = [max, min];
+      candidates.push({ min, max, unit: match[2] || match[4] ? '%' : null, qualifier: 'range', before });
+      continue;
+    }
+    if (CONFIDENCE_LEVEL.test(after)) continue;
+    const number = toNumber(match[5]);
+    const unit = unitAfter(after);
+    if (UP_TO.test(before)) candidates.push({ min: null, max: number, unit, qualifier: 'upTo', before });
+    else if (AT_LEAST.test(before)) candidates.push({ min: number, max: null, unit, qualifier: 'atLeast', before });
+    else candidates.push({ min: number, max: number, unit, qualifier: APPROXIMATE.test(before) ? 'approximate' : 'exact', before });
+  }
+  return candidates;
+};
+
+// The value a metric text states: the first one with an explicit "%" when there is one
+// ("Type 1 diabetes 40%" is 40%), otherwise the first one
+const pickCandidate = (text) => {
+  const candidates = metricCandidates(text);
+  return candidates.find((candidate) => candidate.unit === '%') || candidates[0] || null;
+};
+
+// Parse one metric string. Returns null when the text holds no usable number ("High", "NA").
+export const parseMetric = (value, field) => {
+  if (value === undefined || value === null) return null;
+  const percentField = !field || PERCENT_FIELDS.includes(field);
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    const point = percentField && value <= 1 ? value * 100 : value;
+    return { min: round(point), max: round(point), point: round(point), unit: percentField ? '%' : null, qualifier: 'exact' };
+  }
+
+  const text = value.toString().trim();
+  if (!text) return null;
+
+  // Titres ("1:160") are cutoffs, not proportions
+  if (TITRE.test(text)) return null;
+
+  // Counts such as "12/20" or "12 of 20 patients"
+  const count = percentField && text.match(COUNT);
+  if (count && toNumber(count[2]) > 0 && toNumber(count[1]) <= toNumber(count[2])) {
+    const point = (toNumber(count[1]) / toNumber(count[2])) * 100;
+    return { min: round(point), max: round(point), point: round(point), unit: '%', qualifier: 'exact' };
+  }
+
+  const candidate = pickCandidate(text);
+  if (!candidate) return null;
+  let { min, max, unit } = candidate;
+  const { qualifier, before } = candidate;
+
+  if (!unit) unit = ratioUnit(before);
+  if (!unit && percentField) {
+    // Bare numbers up to 1 ("0.65", "1") are proportions, as they are when stored as numbers;
+    // larger bare numbers are read as percentages
+    const values = [min, max].filter((n) => n !== null);
+    const isFraction = values.every((n) => n <= 1);
+    if (isFraction) {
+      min = min === null ? null : min * 100;
+      max = max === null ? null : max * 100;
+    }
+    unit = '%';
+  }
+  if (unit === '%' && [min, max].some((n) => n !== null && n > 100)) return null;
+
+  const point = qualifier === 'range' ? (min + max) / 2 : (qualifier === 'upTo' ? max : min);
+  return { min: round(min), max: round(max), point: round(point), unit, qualifier };
+};
+
+// { field: parsed | null } for every metric field present on an entry or update
+export const parseEntryMetrics = (entry) => {
+  const metrics = {};
+  METRIC_FIELDS.forEach((field) => {
+    if (entry[field] !== undefined) metrics[field] = parseMetric(entry[field], field);
+  });
+  return metrics;
+};
+
+// Filters such as ?sensitivityMin=70&positivePredictiveValuesMax=90 compare against the parsed
+// point value. Returns { sensitivityRange: condition, ... } alongside the exact-match field filters.
+export const metricRangeConditions = (params) => {
+  const conditions = {};
+  METRIC_FIELDS.forEach((field) => {
+    const bounds = {};
+    const min = parseFloat(params[`${field}Min`]);
+    const max = parseFloat(params[`${field}Max`]);
+    if (Number.isFinite(min)) bounds.$gte = min;
+    if (Number.isFinite(max)) bounds.$lte = max;
+    if (Object.keys(bounds).length > 0) conditions[`${field}Range`] = { [`metrics.${field}.point`]: bounds };
+  });
+  return conditions;
+};
+
+// The range query parameters present in a request, for handlers that pick their parameters explicitly
+export const metricRangeParams = (params) =>
+  Object.fromEntries(
+    METRIC_FIELDS.flatMap((field) => [`${field}Min`, `${field}Max`])
+      .filter((key) => params[key] !== undefined)
+      .map((key) => [key, params[key]])
+  );
+
+// Sort keys like ?sortBy=sensitivityValue order by the parsed point value
+export const METRIC_SORT_FIELDS = Object.fromEntries(METRIC_FIELDS.map((field) => [`${field}Value`, `metrics.${field}.point`]));
+
+// Query-language paths for ranges on metric fields (sensitivity:>=70)
+export const METRIC_NUMERIC_PATHS = Object.fromEntries(METRIC_FIELDS.map((field) => [field, `metrics.${field}.point`]));
+
+// Display text for a parsed metric ("60–80%", "~70%", "≤90%")
+export const formatMetric = (metric) => {
+  if (!metric || metric.point === null || metric.point === undefined) return null;
+  const unit = metric.unit === '%' ? '%' : (metric.unit ? ` ${metric.unit}` : '');
+  if (metric.qualifier === 'range') return `${metric.min}–${metric.max}${unit}`;
+  if (metric.qualifier === 'upTo') return `≤${metric.max}${unit}`;
+  if (metric.qualifier === 'atLeast') return `≥${metric.min}${unit}`;
+  return `${metric.qualifier === 'approximate' ? '~' : ''}${metric.point}${unit}`;
+};
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import { once } from 'events';
+
+// Cursor pagination: a listing sorted on some keys plus _id returns a `next` token holding the
+// last document's sort values; the following page asks for documents strictly after them.
+// Tokens are opaque to clients (base64url JSON) and tied to the sort they were issued for.
+
+// Cursor mode is chosen with ?cursor= (empty for the first page, then the `next` token)
+export const wantsCursor = (query) => query.cursor !== undefined;
+
+// Sort spec with _id appended as the tie-breaker, in the direction of the last key
+export const withIdTieBreaker = (sort) => {
+  if (sort._id !== undefined) return sort;
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length > 0 ? directions[directions.length - 1] : 1 };
+};
+
+const tagValue = (value) => {
+  if (value === undefined || value === null) return ['z', null];
+  if (value instanceof Date) return ['d', value.toISOString()];
+  if (value instanceof mongoose.Types.ObjectId) return ['o', value.toString()];
+  if (typeof value === 'number') return ['n', value];
+  if (typeof value === 'boolean') return ['b', value];
+  return ['s', value.toString()];
+};
+
+const untagValue = ([tag, value]) => {
+  if (tag === 'z') return null;
+  if (tag === 'd') return new Date(value);
+  if (tag === 'o') return new mongoose.Types.ObjectId(value);
+  return value;
+};
+
+// Sort keys may be dotted paths into subdocuments (metrics.sensitivity.point)
+const valueAt = (doc, key) => key.split('.').reduce((value, part) => value?.[part], doc);
+
+export const encodeCursor = (sort, doc) => {
+  const keys = Object.keys(sort);
+  const payload = { k: keys, v: keys.map((key) => tagValue(valueAt(doc, key))) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Sort values stored in a token, or null when the token is malformed or was issued for another sort
+export const decodeCursor = (token, sort) => {
+  if (!token) return null;
+  try {
+    const { k, v } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const keys = Object.keys(sort);
+    if (!Array.isArray(k) || !Array.isArray(v) || k.join(',') !== keys.join(',') || v.length !== keys.length) return null;
+    return v.map(untagValue);
+  } catch {
+    return null;
+  }
+};
+
+// Condition for "strictly after `values` in `sort` order". Missing/null values sort first in
+// MongoDB, which range operators don't cover, so they are handled explicitly.
+const afterValue = (key, direction, value) => {
+  if (direction === 1) return value === null ? { [key]: { $ne: null } } : { [key]: { $gt: value } };
+  return value === null ? null : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+export const cursorCondition = (sort, values) => {
+  const keys = Object.keys(sort);
+  const branches = [];
+  keys.forEach((key, i) => {
+    const after = afterValue(key, sort[key], values[i]);
+    if (!after) return;
+    const equalities = keys.slice(0, i).map((previous, j) => ({ [previous]: values[j] }));
+    branches.push(equalities.length > 0 ? { $and: [...equalities, after] } : after);
+  });
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+// Read and validate ?cursor against a sort. Returns { condition } (null on the first page)
+// or { error } for a token that can't be used.
+export const parseCursorParam = (token, sort) => {
+  if (!token) return { condition: null };
+  const values = decodeCursor(token, sort);
+  if (!values) return { error: 'Invalid or expired cursor' };
+  return { condition: cursorCondition(sort, values) };
+};
+
+// Trim the extra document fetched to detect another page and build the `next` token
+export const cursorPage = (docs, sort, limit) => {
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    page,
+    pagination: {
+      limit,
+      hasMore,
+      next: hasMore ? encodeCursor(sort, page[page.length - 1]) : null
+    }
+  };
+};
+
+// Wait until a stream that returned false from write() drains or closes. The listener that
+// didn't fire is removed so long streams don't pile up listeners.
+export const waitForDrain = async (stream) => {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, 'drain', { signal: controller.signal }),
+      once(stream, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+// Stream documents from a query or aggregation cursor as newline-delimited JSON,
+// honouring back-pressure and stopping when the client disconnects
+export const streamNdjson = async (res, cursor, { transform = (doc) => doc, filename } = {}) => {
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  if (filename) res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  try {
+    for await (const doc of cursor) {
+      if (closed) break;
+      if (!res.write(`${JSON.stringify(transform(doc))}\n`)) {
+        await waitForDrain(res);
+      }
+    }
+  } catch (error) {
+    console.error('Error streaming NDJSON:', error);
+    // Headers are gone; tell the client in-band that the stream is incomplete
+    if (!closed) res.write(`${JSON.stringify({ error: 'Stream interrupted', message: error.message })}\n`);
+  } finally {
+    if (typeof cursor.close === 'function') await cursor.close().catch(() => {});
+    res.end();
+  }
+};
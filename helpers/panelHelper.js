@@ -0,0 +1,179 @@
+import DiseaseData from '../models/diseaseModel.js';
+import { exactMatchCondition, canonicalName } from './synonymHelper.js';
+import { interpretMeasurement } from './referenceRangeHelper.js';
+import { interpretationConfig } from '../config/interpretation.js';
+
+// Panel interpretation: a ranked list of candidate diseases for a set of autoantibody results,
+// built from the disease–autoantibody associations and their parsed metrics. This is a
+// weighted evidence heuristic (weights in config/interpretation.js), not a probability.
+
+export const PANEL_RESULTS = ['positive', 'negative', 'equivocal'];
+
+const RESULT_WORDS = [
+  [/^(\+|pos|positive|detected|reactive)$/i, 'positive'],
+  [/^(-|−|–|neg|negative|not detected|non-?reactive)$/i, 'negative'],
+  [/^(±|equivocal|borderline|indeterminate|weak(ly)? positive)$/i, 'equivocal']
+];
+
+export const normalizeResultWord = (word) =>
+  RESULT_WORDS.find(([pattern]) => pattern.test((word ?? '').toString().trim()))?.[1] || null;
+
+// "ANA+", "anti-Sm −", "anti-dsDNA positive" -> { autoantibody, result }
+export const parseResultShorthand = (text) => {
+  const match = text.toString().trim().match(/^(.*?)\s*(\+|−|–|-|±|pos(?:itive)?|neg(?:ative)?|equivocal|borderline)$/i);
+  if (!match || !match[1].trim()) return null;
+  return { autoantibody: match[1].trim(), result: normalizeResultWord(match[2]) };
+};
+
+// Validate the submitted results. Each item is a shorthand string, { autoantibody, result }
+// or { autoantibody, assay, value, unit? } classified against the stored cutoffs.
+export const normalizePanelResults = async (items) => {
+  const results = [];
+  const errors = [];
+  for (const [index, item] of items.entries()) {
+    if (typeof item === 'string') {
+      const parsed = parseResultShorthand(item);
+      if (parsed) results.push({ ...parsed, source: 'reported' });
+      else errors.push({ index, message: `Could not read "${item}"; use e.g. "ANA+" or "anti-Sm-"` });
+      continue;
+    }
+    const autoantibody = item?.autoantibody?.toString().trim();
+    if (!autoantibody) {
+      errors.push({ index, message: 'autoantibody is required' });
+      continue;
+    }
+    if (item.result !== undefined) {
+      const result = normalizeResultWord(item.result);
+      if (result) results.push({ autoantibody, result, source: 'reported' });
+      else errors.push({ index, message: `result must be one of: ${PANEL_RESULTS.join(', ')}` });
+      continue;
+    }
+    if (item.value !== undefined && item.assay) {
+      const measurement = await interpretMeasurement({ ...item, autoantibody });
+      if (measurement.status) {
+        errors.push({ index, message: measurement.message });
+        continue;
+      }
+      results.push({
+        autoantibody,
+        result: measurement.classification,
+        source: 'measured',
+        measurement: { value: measurement.measured, unit: measurement.cutoff.unit, assay: measurement.cutoff.assay, cutoffId: measurement.cutoff._id }
+      });
+      continue;
+    }
+    errors.push({ index, message: 'Give either a result or an assay and value' });
+  }
+  return { results, errors };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Patterns an entry's autoantibody must match: the dictionary aliases plus the name with or without "Anti-"
+export const antibodyPatterns = (name) => {
+  const condition = exactMatchCondition('autoantibody', name).autoantibody;
+  const aliases = condition instanceof RegExp ? [condition] : condition.$in;
+  const bare = name.replace(/^anti[-\s]?/i, '');
+  return [...aliases, new RegExp(`^(anti[-\\s]?)?${escapeRegex(bare)}$`, 'i')];
+};
+
+const isYes = (value) => /^(yes|y|true)\b/i.test((value || '').toString().trim());
+
+// Parsed percentage as 0-1, or null when the entry has no usable value
+const metricValue = (entry, field) => {
+  const metric = entry.metrics?.[field];
+  return metric && metric.unit === '%' && metric.point !== null ? metric.point / 100 : null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Weight of one result for one entry and the facts it was based on
+const weighResult = (entry, result) => {
+  const { positive, negative, equivocalFactor, unknownMetric } = interpretationConfig;
+  const sensitivity = metricValue(entry, 'sensitivity');
+  const ppv = metricValue(entry, 'positivePredictiveValues');
+  const npv = metricValue(entry, 'negativePredictiveValues');
+  const diagnosticMarker = isYes(entry.diagnosticMarker);
+  const diseaseActivity = isYes(entry.associationWithDiseaseActivity);
+
+  let weight;
+  if (result === 'negative') {
+    weight = (sensitivity ?? unknownMetric) * negative.sensitivity +
+      (npv ?? unknownMetric) * negative.npv +
+      (diagnosticMarker ? negative.diagnosticMarker : 0);
+  } else {
+    weight = positive.base +
+      (sensitivity ?? unknownMetric) * positive.sensitivity +
+      (ppv ?? unknownMetric) * positive.ppv +
+      (diagnosticMarker ? positive.diagnosticMarker : 0) +
+      (diseaseActivity ? positive.diseaseActivity : 0);
+    if (result === 'equivocal') weight *= equivocalFactor;
+  }
+
+  return {
+    weight: round(weight),
+    evidence: {
+      sensitivity: entry.sensitivity || null,
+      positivePredictiveValue: entry.positivePredictiveValues || null,
+      negativePredictiveValue: entry.negativePredictiveValues || null,
+      diagnosticMarker,
+      associationWithDiseaseActivity: diseaseActivity,
+      metricsUsed: { sensitivity, ppv, npv }
+    }
+  };
+};
+
+// Ranked differential for normalized results: [{ disease, score, supporting, against }],
+// plus the results that matched no entry at all
+export const rankDifferential = async (results, { limit = interpretationConfig.maxCandidates } = {}) => {
+  const patterns = results.map((result) => antibodyPatterns(result.autoantibody));
+  const entries = await DiseaseData.find({
+    $or: patterns.map((regexes) => ({ autoantibody: { $in: regexes } }))
+  })
+    .select('disease autoantibody sensitivity positivePredictiveValues negativePredictiveValues diagnosticMarker associationWithDiseaseActivity metrics reference')
+    .lean();
+
+  const matched = new Set();
+  // disease key -> { disease, findings: Map<result index, finding> }
+  const candidates = new Map();
+  entries.forEach((entry) => {
+    const disease = canonicalName(entry.disease, 'disease');
+    const key = disease.toLowerCase();
+    results.forEach((result, index) => {
+      if (!patterns[index].some((regex) => regex.test(entry.autoantibody))) return;
+      matched.add(index);
+      if (!candidates.has(key)) candidates.set(key, { disease, findings: new Map() });
+      const { weight, evidence } = weighResult(entry, result.result);
+      // Several entries can link the same antibody and disease (one per epitope); the strongest counts
+      const current = candidates.get(key).findings.get(index);
+      if (current && current.weight >= weight) return;
+      candidates.get(key).findings.set(index, {
+        autoantibody: result.autoantibody,
+        result: result.result,
+        matchedAutoantibody: entry.autoantibody,
+        entryId: entry._id,
+        weight,
+        evidence,
+        reference: entry.reference || null
+      });
+    });
+  });
+
+  const ranked = [...candidates.values()]
+    .map(({ disease, findings }) => {
+      const all = [...findings.values()];
+      const supporting = all.filter((finding) => finding.result !== 'negative').sort((a, b) => b.weight - a.weight);
+      const against = all.filter((finding) => finding.result === 'negative').sort((a, b) => b.weight - a.weight);
+      const sum = (list) => list.reduce((total, finding) => total + finding.weight, 0);
+      return { disease, score: round(sum(supporting) - sum(against)), supporting, against };
+    })
+    // A disease is only a candidate when at least one result points towards it
+    .filter((candidate) => candidate.supporting.length > 0)
+    .sort((a, b) => b.score - a.score || b.supporting.length - a.supporting.length || a.disease.localeCompare(b.disease));
+
+  return {
+    candidates: ranked.slice(0, limit),
+    totalCandidates: ranked.length,
+    unmatched: results.filter((_, index) => !matched.has(index)).map((result) => result.autoantibody)
+  };
+};
@@ -0,0 +1,178 @@
+import DiseaseData from '../models/diseaseModel.js';
+import { exactMatchCondition } from './synonymHelper.js';
+import { antibodyPatterns, normalizeResultWord } from './panelHelper.js';
+
+// Post-test probability from stored diagnostic accuracy. The database holds sensitivity, PPV and
+// NPV but not specificity; with all three, specificity and the prevalence of the study
+// population follow from Bayes' rule:
+//   A = Se(1 - PPV) / PPV,  B = (1 - Se)NPV / (1 - NPV)
+//   Sp = B / (A + B),       study prevalence = 1 / (1 + A + B)
+
+const clampProbability = (value) => Math.min(Math.max(value, 0), 1);
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Parsed percentage as 0-1, or null
+const metricProbability = (entry, field) => {
+  const metric = entry.metrics?.[field];
+  return metric && metric.unit === '%' && metric.point !== null ? clampProbability(metric.point / 100) : null;
+};
+
+// Probability from a request: 0-1, or a percentage string such as "12%"
+export const parseProbability = (value) => {
+  if (typeof value === 'number') return value > 0 && value < 1 ? value : null;
+  const text = (value ?? '').toString().trim();
+  const percent = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (percent) {
+    const probability = Number(percent[1]) / 100;
+    return probability > 0 && probability < 1 ? probability : null;
+  }
+  const number = Number(text);
+  return text && number > 0 && number < 1 ? number : null;
+};
+
+export const specificityFromPredictiveValues = (sensitivity, ppv, npv) => {
+  if ([sensitivity, ppv, npv].some((value) => value === null) || ppv <= 0 || npv >= 1) return null;
+  const a = (sensitivity * (1 - ppv)) / ppv;
+  const b = ((1 - sensitivity) * npv) / (1 - npv);
+  if (a + b === 0) return null;
+  return { specificity: b / (a + b), studyPrevalence: 1 / (1 + a + b) };
+};
+
+export const likelihoodRatios = (sensitivity, specificity) => ({
+  positive: specificity < 1 ? sensitivity / (1 - specificity) : Infinity,
+  negative: specificity > 0 ? (1 - sensitivity) / specificity : Infinity
+});
+
+const toOdds = (probability) => probability / (1 - probability);
+const fromOdds = (odds) => odds / (1 + odds);
+
+const percent = (probability) => `${round(probability * 100, 2)}%`;
+
+const degenerateAccuracyMessage = (autoantibody, result, limit, { sensitivity, specificity, sources }) =>
+  `The accuracy data for ${autoantibody} is degenerate (sensitivity ${percent(sensitivity)}, ${sources.sensitivity}; ` +
+  `specificity ${percent(specificity)}, ${sources.specificity}): a ${result} result would make the probability exactly ` +
+  `${limit}. Supply a sensitivity and specificity between 0 and 100%`;
+
+// The entry for a disease and autoantibody with the most complete accuracy data
+export const findAccuracyEntry = async (disease, autoantibody) => {
+  const entries = await DiseaseData.find({
+    ...exactMatchCondition('disease', disease),
+    autoantibody: { $in: antibodyPatterns(autoantibody) }
+  })
+    .select('disease autoantibody sensitivity positivePredictiveValues negativePredictiveValues metrics reference metadata.source')
+    .lean();
+  const completeness = (entry) => ['sensitivity', 'positivePredictiveValues', 'negativePredictiveValues']
+    .filter((field) => metricProbability(entry, field) !== null).length;
+  return entries.sort((a, b) => completeness(b) - completeness(a))[0] || null;
+};
+
+// Sensitivity and specificity for one test: supplied values win, otherwise stored ones.
+// Returns { sensitivity, specificity, sources, entry } or { status, message } when the data is missing.
+export const resolveAccuracy = async (disease, test) => {
+  const entry = await findAccuracyEntry(disease, test.autoantibody);
+  const suppliedSensitivity = test.sensitivity !== undefined ? parseProbability(test.sensitivity) : null;
+  const suppliedSpecificity = test.specificity !== undefined ? parseProbability(test.specificity) : null;
+  if (test.sensitivity !== undefined && suppliedSensitivity === null) return { status: 400, message: 'sensitivity must be between 0 and 1 (or a percentage)' };
+  if (test.specificity !== undefined && suppliedSpecificity === null) return { status: 400, message: 'specificity must be between 0 and 1 (or a percentage)' };
+  if (!entry && (suppliedSensitivity === null || suppliedSpecificity === null)) {
+    return { status: 422, message: `No entry links ${test.autoantibody} to ${disease}; supply sensitivity and specificity to use it` };
+  }
+
+  const sensitivity = suppliedSensitivity ?? metricProbability(entry, 'sensitivity');
+  if (sensitivity === null) {
+    return { status: 422, message: `The ${entry.autoantibody} entry for ${entry.disease} has no numeric sensitivity ("${entry.sensitivity || ''}"); supply one` };
+  }
+
+  let specificity = suppliedSpecificity;
+  let specificitySource = 'supplied';
+  let studyPrevalence = null;
+  if (specificity === null) {
+    const derived = specificityFromPredictiveValues(
+      sensitivity,
+      metricProbability(entry, 'positivePredictiveValues'),
+      metricProbability(entry, 'negativePredictiveValues')
+    );
+    if (!derived) {
+      return { status: 422, message: `Specificity for ${entry.autoantibody} in ${entry.disease} can't be derived without numeric PPV and NPV; supply a specificity` };
+    }
+    specificity = derived.specificity;
+    studyPrevalence = derived.studyPrevalence;
+    specificitySource = 'derived from stored sensitivity, PPV and NPV';
+  }
+
+  return {
+    entry,
+    sensitivity,
+    specificity,
+    sources: {
+      sensitivity: suppliedSensitivity !== null ? 'supplied' : 'stored',
+      specificity: specificitySource
+    },
+    studyPrevalence
+  };
+};
+
+// Apply each test in turn, the post-test probability of one being the pre-test probability of the next.
+// Returns { steps, posttestProbability } or { status, message }.
+export const chainTests = async (disease, pretestProbability, tests) => {
+  const steps = [];
+  let probability = pretestProbability;
+  for (const [index, test] of tests.entries()) {
+    const result = normalizeResultWord(test.result);
+    if (result !== 'positive' && result !== 'negative') {
+      return { status: 400, message: `Test ${index + 1}: result must be positive or negative` };
+    }
+    const accuracy = await resolveAccuracy(disease, test);
+    if (accuracy.status) return { status: accuracy.status, message: `Test ${index + 1}: ${accuracy.message}` };
+
+    const ratios = likelihoodRatios(accuracy.sensitivity, accuracy.specificity);
+    const ratio = result === 'positive' ? ratios.positive : ratios.negative;
+    // A sensitivity or specificity of 100% gives an infinite or zero likelihood ratio: the
+    // probability becomes exactly 0 or 1 and no later test could move it
+    const odds = toOdds(probability) * ratio;
+    if (!Number.isFinite(odds) || odds <= 0) {
+      return { status: 422, message: `Test ${index + 1}: ${degenerateAccuracyMessage(test.autoantibody, result, odds > 0 ? 1 : 0, accuracy)}` };
+    }
+    const posttest = fromOdds(odds);
+    steps.push({
+      autoantibody: test.autoantibody,
+      result,
+      entryId: accuracy.entry?._id || null,
+      storedValues: accuracy.entry
+        ? {
+          sensitivity: accuracy.entry.sensitivity || null,
+          positivePredictiveValue: accuracy.entry.positivePredictiveValues || null,
+          negativePredictiveValue: accuracy.entry.negativePredictiveValues || null
+        }
+        : null,
+      sensitivity: round(accuracy.sensitivity),
+      specificity: round(accuracy.specificity),
+      sources: accuracy.sources,
+      studyPrevalence: round(accuracy.studyPrevalence),
+      likelihoodRatioPositive: Number.isFinite(ratios.positive) ? round(ratios.positive, 3) : null,
+      likelihoodRatioNegative: Number.isFinite(ratios.negative) ? round(ratios.negative, 3) : null,
+      likelihoodRatioApplied: Number.isFinite(ratio) ? round(ratio, 3) : null,
+      pretestProbability: round(probability),
+      posttestProbability: round(posttest),
+      reference: accuracy.entry?.reference || null
+    });
+    probability = posttest;
+  }
+  return { steps, posttestProbability: probability };
+};
+
+// Assumptions behind a calculation, stated in the response
+export const calculationAssumptions = (steps) => {
+  const assumptions = [
+    'Post-test odds = pre-test odds × likelihood ratio (Bayes\' rule); probabilities are converted to odds and back.',
+    'Stored ranges ("60-80%") are represented by their midpoint; "up to" and "at least" values by the stated bound.'
+  ];
+  if (steps.some((step) => step.sources.specificity !== 'supplied')) {
+    assumptions.push('Specificity is not stored; it was derived from sensitivity, PPV and NPV, which assumes all three come from the same study population.');
+  }
+  if (steps.length > 1) {
+    assumptions.push('Tests are treated as conditionally independent given disease status, so their likelihood ratios multiply. Correlated antibodies (e.g. from the same antigen complex) make the result overconfident.');
+  }
+  assumptions.push('The pre-test probability supplied by the caller is used as given; the accuracy data were measured in the study populations cited, which may differ from the patient\'s setting.');
+  return assumptions;
+};
@@ -0,0 +1,290 @@
+import { synonymSearchConditions, wholeWordRegex } from './synonymHelper.js';
+
+// Query syntax for power users, e.g.
+//   disease:"Systemic lupus" AND (autoantibody:dsDNA OR autoantigen:Sm) NOT diagnosticMarker:No
+// Supports field prefixes, quoted phrases, * and ? wildcards, AND / OR / NOT (adjacent
+// terms are ANDed), grouping with parentheses (also after a field: autoantibody:(Ro52 OR La))
+// and ranges on numeric fields: priority:[1 TO 5], priority:{1 TO *}, priority:>=3
+
+const MAX_QUERY_LENGTH = 2000;
+const MAX_DEPTH = 32;
+
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const isWhitespace = (char) => /\s/.test(char);
+// Characters that end a bare word
+const isDelimiter = (char) => isWhitespace(char) || ['(', ')', '"', ':'].includes(char);
+
+// Parse query text into a tree of { type: 'and' | 'or' | 'not' | 'term' | 'range', ... } nodes.
+// Every node keeps the offset it starts at so compile errors can point back into the text.
+export const parseQuery = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new QuerySyntaxError('Query is empty', 0);
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new QuerySyntaxError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  let pos = 0;
+  let depth = 0;
+
+  const atEnd = () => pos >= text.length;
+  const skipWhitespace = () => {
+    while (!atEnd() && isWhitespace(text[pos])) pos += 1;
+  };
+  const readWord = () => {
+    const start = pos;
+    while (!atEnd() && !isDelimiter(text[pos])) pos += 1;
+    return text.slice(start, pos);
+  };
+  // Operator keyword at the current position (upper case only, so "and" stays a search word)
+  const peekOperator = () => {
+    const match = /^(AND|OR|NOT)(?=[\s()"]|$)/.exec(text.slice(pos));
+    return match ? match[1] : null;
+  };
+
+  const readPhrase = () => {
+    const start = pos;
+    pos += 1;
+    let value = '';
+    while (!atEnd() && text[pos] !== '"') {
+      if (text[pos] === '\\' && pos + 1 < text.length) pos += 1;
+      value += text[pos];
+      pos += 1;
+    }
+    if (atEnd()) throw new QuerySyntaxError('Unterminated quoted phrase', start);
+    pos += 1;
+    if (!value.trim()) throw new QuerySyntaxError('Empty quoted phrase', start);
+    return value.trim();
+  };
+
+  const readNumber = (allowOpen) => {
+    skipWhitespace();
+    const start = pos;
+    while (!atEnd() && !isWhitespace(text[pos]) && ![']', '}', ')'].includes(text[pos])) pos += 1;
+    const raw = text.slice(start, pos);
+    if (allowOpen && raw === '*') return null;
+    if (!/^-?\d+(\.\d+)?$/.test(raw)) {
+      throw new QuerySyntaxError(raw ? `Expected a number but found "${raw}"` : 'Expected a number', start);
+    }
+    return Number(raw);
+  };
+
+  // [min TO max] is inclusive, {min TO max} exclusive; * leaves a side open
+  const parseRange = (field, position) => {
+    const inclusive = text[pos] === '[';
+    const close = inclusive ? ']' : '}';
+    pos += 1;
+    const min = readNumber(true);
+    skipWhitespace();
+    const afterTo = text[pos + 2];
+    if (text.slice(pos, pos + 2) !== 'TO' || (afterTo !== undefined && afterTo !== close && !isWhitespace(afterTo))) {
+      throw new QuerySyntaxError('Expected "TO" in range', pos);
+    }
+    pos += 2;
+    skipWhitespace();
+    if (atEnd() || text[pos] === close) throw new QuerySyntaxError('Expected a value after TO', pos);
+    const max = readNumber(true);
+    skipWhitespace();
+    if (text[pos] !== close) throw new QuerySyntaxError(`Expected "${close}" to close the range`, pos);
+    pos += 1;
+    if (min !== null && max !== null && min > max) {
+      throw new QuerySyntaxError('Range minimum is greater than its maximum', position);
+    }
+    return {
+      type: 'range',
+      field,
+      position,
+      ...(min !== null && { [inclusive ? 'gte' : 'gt']: min }),
+      ...(max !== null && { [inclusive ? 'lte' : 'lt']: max })
+    };
+  };
+
+  const parseComparison = (field, position) => {
+    const operator = /^(>=|<=|>|<)/.exec(text.slice(pos))[1];
+    pos += operator.length;
+    const value = readNumber(false);
+    const key = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' }[operator];
+    return { type: 'range', field, position, [key]: value };
+  };
+
+  const parseGroup = (field) => {
+    const start = pos;
+    pos += 1;
+    depth += 1;
+    if (depth > MAX_DEPTH) throw new QuerySyntaxError(`Groups are nested more than ${MAX_DEPTH} levels deep`, start);
+    skipWhitespace();
+    if (text[pos] === ')') throw new QuerySyntaxError('Empty group', start);
+    const node = parseOr(field);
+    skipWhitespace();
+    if (text[pos] !== ')') {
+      throw new QuerySyntaxError(`Expected ")" to close the group opened at position ${start}`, pos);
+    }
+    pos += 1;
+    depth -= 1;
+    return node;
+  };
+
+  const parsePrimary = (field) => {
+    skipWhitespace();
+    const start = pos;
+    if (atEnd()) throw new QuerySyntaxError('Unexpected end of query', pos);
+
+    const char = text[pos];
+    if (char === '(') return parseGroup(field);
+    if (char === ')') throw new QuerySyntaxError('Unexpected ")"', pos);
+    if (char === ':') throw new QuerySyntaxError('Expected a field name before ":"', pos);
+    if (char === '"') return { type: 'term', field, value: readPhrase(), phrase: true, position: start };
+
+    const operator = peekOperator();
+    if (operator) throw new QuerySyntaxError(`Expected a search term but found ${operator}`, pos);
+
+    const word = readWord();
+    if (text[pos] !== ':') return { type: 'term', field, value: word, phrase: false, position: start };
+
+    // field:value
+    if (field) throw new QuerySyntaxError(`Field "${word}" cannot be used inside a "${field}:" group`, start);
+    pos += 1;
+    const next = text[pos];
+    if (atEnd() || isWhitespace(next)) throw new QuerySyntaxError(`Expected a value after "${word}:"`, pos);
+    if (next === '[' || next === '{') return parseRange(word, start);
+    if (next === '>' || next === '<') return parseComparison(word, start);
+    if (next === '(') return parseGroup(word);
+    const node = parsePrimary(word);
+    return { ...node, position: start };
+  };
+
+  const parseUnary = (field) => {
+    skipWhitespace();
+    if (peekOperator() === 'NOT') {
+      const start = pos;
+      pos += 3;
+      return { type: 'not', child: parseUnary(field), position: start };
+    }
+    return parsePrimary(field);
+  };
+
+  // Adjacent terms and explicit AND bind tighter than OR
+  const parseAnd = (field) => {
+    const start = pos;
+    const children = [parseUnary(field)];
+    for (;;) {
+      skipWhitespace();
+      if (atEnd() || text[pos] === ')') break;
+      const operator = peekOperator();
+      if (operator === 'OR') break;
+      if (operator === 'AND') {
+        pos += 3;
+        skipWhitespace();
+        if (atEnd()) throw new QuerySyntaxError('Expected a search term after AND', pos);
+      }
+      children.push(parseUnary(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children, position: start };
+  };
+
+  const parseOr = (field) => {
+    const start = pos;
+    const children = [parseAnd(field)];
+    for (;;) {
+      skipWhitespace();
+      if (peekOperator() !== 'OR') break;
+      pos += 2;
+      skipWhitespace();
+      if (atEnd()) throw new QuerySyntaxError('Expected a search term after OR', pos);
+      children.push(parseAnd(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children, position: start };
+  };
+
+  const tree = parseOr(null);
+  skipWhitespace();
+  if (!atEnd()) throw new QuerySyntaxError(`Unexpected "${text[pos]}"`, pos);
+  return tree;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// dsDNA* -> words starting with dsDNA; ? matches a single character
+const wildcardRegex = (value) => {
+  const body = value.split('').map((char) => {
+    if (char === '*') return '\\S*';
+    if (char === '?') return '\\S';
+    return escapeRegex(char);
+  }).join('');
+  const start = /^\w/.test(value) ? '\\b' : '';
+  const end = /\w$/.test(value) ? '\\b' : '';
+  return new RegExp(`${start}${body}${end}`, 'i');
+};
+
+// Numeric fields may be stored as text (priority), so compare on a converted value
+const numericRangeCondition = (field, bounds) => {
+  const value = { $convert: { input: `$${field}`, to: 'double', onError: null, onNull: null } };
+  const comparisons = ['gt', 'gte', 'lt', 'lte']
+    .filter((key) => bounds[key] !== undefined)
+    .map((key) => ({ [`$${key}`]: [value, bounds[key]] }));
+  return { $expr: { $and: [{ $ne: [value, null] }, ...comparisons] } };
+};
+
+// Numbers stored as numbers under another path (parsed metrics) compare directly
+const storedRangeCondition = (path, bounds) => {
+  const comparisons = {};
+  ['gt', 'gte', 'lt', 'lte'].filter((key) => bounds[key] !== undefined).forEach((key) => {
+    comparisons[`$${key}`] = bounds[key];
+  });
+  return { [path]: { $ne: null, ...comparisons } };
+};
+
+const anyOf = (conditions) => (conditions.length === 1 ? conditions[0] : { $or: conditions });
+
+// Compile a parsed query into a MongoDB filter. `fields` is the whitelist of searchable
+// fields (unprefixed terms search all of them); `numericFields` accept ranges, compared on
+// the path in `numericPaths` when the field has one.
+export const compileQuery = (tree, { fields, numericFields = [], numericPaths = {} }) => {
+  const resolveField = (name, position) => {
+    const match = fields.find((field) => field.toLowerCase() === name.toLowerCase());
+    if (!match) throw new QuerySyntaxError(`Unknown field "${name}"`, position);
+    return match;
+  };
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'and':
+        return { $and: node.children.map(compile) };
+      case 'or':
+        return { $or: node.children.map(compile) };
+      case 'not':
+        return { $nor: [compile(node.child)] };
+      case 'range': {
+        const field = resolveField(node.field, node.position);
+        if (!numericFields.includes(field)) {
+          throw new QuerySyntaxError(`Ranges are only supported on numeric fields (${numericFields.join(', ')})`, node.position);
+        }
+        return numericPaths[field] ? storedRangeCondition(numericPaths[field], node) : numericRangeCondition(field, node);
+      }
+      case 'term': {
+        const field = node.field ? resolveField(node.field, node.position) : null;
+        const targets = field ? [field] : fields;
+        // field:* matches entries where the field has any value
+        if (!node.phrase && node.value === '*') {
+          return anyOf(targets.map((target) => ({ [target]: { $nin: [null, ''] } })));
+        }
+        const hasWildcard = !node.phrase && /[*?]/.test(node.value);
+        const regex = hasWildcard ? wildcardRegex(node.value) : wholeWordRegex(node.value);
+        const conditions = targets.map((target) => ({ [target]: regex }));
+        if (!hasWildcard) conditions.push(...synonymSearchConditions(node.value, field || 'all'));
+        return anyOf(conditions);
+      }
+      default:
+        throw new QuerySyntaxError(`Unsupported query node "${node.type}"`, node.position);
+    }
+  };
+
+  return compile(tree);
+};
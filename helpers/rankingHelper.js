@@ -0,0 +1,87 @@
+import RankingProfile from '../models/rankingProfileModel.js';
+
+// Used when no profile in the database is marked as the default
+export const BUILT_IN_RANKING_PROFILE = {
+  name: 'default',
+  description: 'Built-in weights favouring disease and antibody names',
+  weights: {
+    disease: 10,
+    autoantibody: 8,
+    autoantigen: 6,
+    diagnosticMarker: 5,
+    epitope: 4,
+    diseaseAssociation: 3,
+    pathogenesisInvolvement: 3,
+    uniprotId: 2,
+    reference: 1
+  },
+  exactMatchBoost: 2,
+  priorityWeight: 0,
+  isDefault: true
+};
+
+// Numeric value of the free-text priority field; non-numeric values count as 0
+export const priorityNumber = {
+  $cond: [
+    { $eq: [{ $type: '$priority' }, 'number'] },
+    '$priority',
+    {
+      $cond: [
+        {
+          $and: [
+            { $eq: [{ $type: '$priority' }, 'string'] },
+            { $regexMatch: { input: '$priority', regex: /^-?\d+(\.\d+)?$/ } }
+          ]
+        },
+        { $toDouble: '$priority' },
+        0
+      ]
+    }
+  ]
+};
+
+// Profile by name, or the default profile when no name is given. Returns null for an unknown name.
+export const resolveRankingProfile = async (name) => {
+  if (name && name.trim()) {
+    const key = name.trim().toLowerCase();
+    const profile = await RankingProfile.findOne({ name: key }).lean();
+    if (profile) return profile;
+    return key === BUILT_IN_RANKING_PROFILE.name ? BUILT_IN_RANKING_PROFILE : null;
+  }
+  return (await RankingProfile.findOne({ isDefault: true }).lean()) || BUILT_IN_RANKING_PROFILE;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Field value as a string, '' when missing
+const textOf = (field) => ({ $ifNull: [{ $toString: `$${field}` }, ''] });
+
+// $addFields stage scoring each entry into `relevanceScore` with a profile. With search text a
+// field scores its weight when it contains the text and weight x exactMatchBoost when it equals
+// it; without, a field scores its weight when it has a value.
+export const relevanceScoreStage = (profile, searchText) => {
+  const weights = Object.entries(profile.weights || {}).filter(([, weight]) => weight);
+  let terms;
+  if (searchText && searchText.trim()) {
+    const escaped = escapeRegex(searchText.trim());
+    const partial = new RegExp(escaped, 'i');
+    const exact = new RegExp(`^${escaped}$`, 'i');
+    terms = weights.map(([field, weight]) => ({
+      $switch: {
+        branches: [
+          { case: { $regexMatch: { input: textOf(field), regex: exact } }, then: weight * (profile.exactMatchBoost || 1) },
+          { case: { $regexMatch: { input: textOf(field), regex: partial } }, then: weight }
+        ],
+        default: 0
+      }
+    }));
+  } else {
+    terms = weights.map(([field, weight]) => ({
+      $cond: [{ $gt: [{ $strLenCP: { $trim: { input: textOf(field) } } }, 0] }, weight, 0]
+    }));
+  }
+  if (profile.priorityWeight) {
+    terms.push({ $multiply: [priorityNumber, profile.priorityWeight] });
+  }
+  return { $addFields: { relevanceScore: terms.length > 0 ? { $sum: terms } : 0 } };
+};
@@ -0,0 +1,184 @@
+import { rdfConfig } from '../config/rdf.js';
+
+// Each entry becomes a DiseaseAutoantibodyAssociation resource linking shared disease,
+// autoantibody, autoantigen and epitope resources. Shared resources are described the first
+// time they appear in an export, so the output can be written entry by entry.
+
+const UNIPROT_ACCESSION = /^([OPQ][0-9][A-Z0-9]{3}[0-9]|[A-NR-Z][0-9]([A-Z][A-Z0-9]{2}[0-9]){1,2})(-\d+)?$/;
+
+const text = (value) => (value === undefined || value === null ? '' : value.toString().trim());
+
+const slug = (value) => encodeURIComponent(text(value).toLowerCase().replace(/\s+/g, '-'));
+
+const resourceIri = (kind, ...names) => `${rdfConfig.baseUri}${kind}/${names.map(slug).join('/')}`;
+
+const iri = (value) => ({ iri: value });
+const literal = (value, datatype) => ({ literal: text(value), datatype });
+
+// UniProt accessions in a field that may hold several ("P12345, Q67890") or "Multiple"
+export const uniprotAccessions = (value) =>
+  text(value).split(/[\s,;/]+/).map((id) => id.toUpperCase()).filter((id) => UNIPROT_ACCESSION.test(id));
+
+// Resolvable identifiers cited in a reference: URLs, DOIs and PubMed IDs
+export const referenceIris = (reference) => {
+  const value = text(reference);
+  const iris = new Set();
+  (value.match(/https?:\/\/[^\s,;)]+/g) || []).forEach((url) => iris.add(url));
+  (value.match(/\b10\.\d{4,9}\/[^\s,;)]+/g) || []).forEach((doi) => iris.add(`https://doi.org/${doi}`));
+  (value.match(/\bPMID:?\s*(\d{4,9})\b/gi) || []).forEach((pmid) =>
+    iris.add(`https://pubmed.ncbi.nlm.nih.gov/${pmid.replace(/\D/g, '')}/`));
+  return [...iris];
+};
+
+// Triples ({ subject, predicate, object }) for one entry. `seen` holds the shared resources and
+// links already written in this export so they aren't repeated.
+export const entryTriples = (entry, seen = new Set()) => {
+  const { classes, properties, associationFields } = rdfConfig;
+  const triples = [];
+  const add = (subject, predicate, object) => triples.push({ subject, predicate, object });
+  const addOnce = (subject, predicate, object) => {
+    const key = `${subject} ${predicate} ${object.iri || object.literal}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    add(subject, predicate, object);
+  };
+  const describe = (subject, type, label) => {
+    addOnce(subject, 'rdf:type', iri(type));
+    addOnce(subject, properties.label, literal(label));
+  };
+
+  const association = resourceIri('association', entry._id);
+  add(association, 'rdf:type', iri(classes.association));
+
+  const disease = text(entry.disease) && resourceIri('disease', entry.disease);
+  if (disease) {
+    describe(disease, classes.disease, entry.disease);
+    add(association, properties.disease, iri(disease));
+  }
+
+  const antibody = text(entry.autoantibody) && resourceIri('autoantibody', entry.autoantibody);
+  if (antibody) {
+    describe(antibody, classes.autoantibody, entry.autoantibody);
+    text(entry.synonym).split(/\s*[,;]\s*/).filter(Boolean).forEach((synonym) =>
+      addOnce(antibody, properties.synonym, literal(synonym)));
+    add(association, properties.autoantibody, iri(antibody));
+  }
+
+  const antigen = text(entry.autoantigen) && resourceIri('autoantigen', entry.autoantigen);
+  if (antigen) {
+    describe(antigen, classes.autoantigen, entry.autoantigen);
+    uniprotAccessions(entry.uniprotId).forEach((accession) =>
+      addOnce(antigen, properties.sameAs, iri(`${rdfConfig.uniprotBaseUri}${accession}`)));
+    if (antibody) addOnce(antibody, properties.targets, iri(antigen));
+    add(association, properties.autoantigen, iri(antigen));
+  }
+
+  // Epitope names ("N-terminal", "C-terminal") are only meaningful per antigen
+  const epitope = text(entry.epitope) && resourceIri('epitope', entry.autoantigen || 'unknown', entry.epitope);
+  if (epitope) {
+    describe(epitope, classes.epitope, entry.epitope);
+    if (antigen) addOnce(epitope, properties.epitopeOf, iri(antigen));
+    add(association, properties.epitope, iri(epitope));
+  }
+
+  Object.entries(associationFields).forEach(([field, predicate]) => {
+    if (text(entry[field])) add(association, predicate, literal(entry[field]));
+  });
+  if (text(entry.databaseAccessionNumbers)) {
+    add(association, properties.accession, literal(entry.databaseAccessionNumbers));
+  }
+
+  // Provenance
+  if (text(entry.reference)) {
+    add(association, properties.citation, literal(entry.reference));
+    referenceIris(entry.reference).forEach((reference) => add(association, properties.derivedFrom, iri(reference)));
+  }
+  if (text(entry.metadata?.source)) add(association, properties.source, literal(entry.metadata.source));
+  if (entry.metadata?.lastUpdated) {
+    add(association, properties.modified, literal(new Date(entry.metadata.lastUpdated).toISOString(), 'xsd:dateTime'));
+  }
+  if (entry.metadata?.verified !== undefined) {
+    add(association, properties.verified, literal(Boolean(entry.metadata.verified), 'xsd:boolean'));
+  }
+
+  return triples;
+};
+
+const groupBySubject = (triples) => {
+  const groups = new Map();
+  triples.forEach((triple) => {
+    if (!groups.has(triple.subject)) groups.set(triple.subject, []);
+    groups.get(triple.subject).push(triple);
+  });
+  return groups;
+};
+
+// Turtle
+
+const turtleIri = (value) =>
+  /^[a-z][\w-]*:[\w-]*$/i.test(value) && rdfConfig.prefixes[value.split(':')[0]] ? value : `<${value.replace(/[<>"{}|^`\\\s]/g, encodeURIComponent)}>`;
+
+const turtleLiteral = ({ literal: value, datatype }) => {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"${datatype ? `^^${datatype}` : ''}`;
+};
+
+const turtleTerm = (object) => (object.iri ? turtleIri(object.iri) : turtleLiteral(object));
+
+const turtleBlock = (triples) =>
+  [...groupBySubject(triples)].map(([subject, group]) => {
+    const predicates = group.map(({ predicate, object }) =>
+      `${predicate === 'rdf:type' ? 'a' : turtleIri(predicate)} ${turtleTerm(object)}`);
+    return `${turtleIri(subject)}\n    ${predicates.join(' ;\n    ')} .\n`;
+  }).join('\n');
+
+export const writeTurtle = async (write, cursor) => {
+  const seen = new Set();
+  let count = 0;
+  await write(Object.entries(rdfConfig.prefixes).map(([prefix, uri]) => `@prefix ${prefix}: <${uri}> .`).join('\n') + '\n\n');
+  for await (const entry of cursor) {
+    await write(`${turtleBlock(entryTriples(entry, seen))}\n`);
+    count += 1;
+  }
+  return count;
+};
+
+// JSON-LD: an @graph of node objects whose keys are the configured CURIEs
+
+const jsonLdValue = (object) => {
+  if (object.iri) return { '@id': object.iri };
+  return object.datatype ? { '@value': object.literal, '@type': object.datatype } : object.literal;
+};
+
+const jsonLdNodes = (triples) =>
+  [...groupBySubject(triples)].map(([subject, group]) => {
+    const node = { '@id': subject };
+    group.forEach(({ predicate, object }) => {
+      const key = predicate === 'rdf:type' ? '@type' : predicate;
+      const value = predicate === 'rdf:type' ? object.iri : jsonLdValue(object);
+      if (node[key] === undefined) node[key] = value;
+      else node[key] = [].concat(node[key], value);
+    });
+    return node;
+  });
+
+export const writeJsonLd = async (write, cursor) => {
+  const seen = new Set();
+  let count = 0;
+  let first = true;
+  await write(`{"@context":${JSON.stringify(rdfConfig.prefixes)},"@graph":[`);
+  for await (const entry of cursor) {
+    for (const node of jsonLdNodes(entryTriples(entry, seen))) {
+      await write(`${first ? '' : ','}\n${JSON.stringify(node)}`);
+      first = false;
+    }
+    count += 1;
+  }
+  await write('\n]}\n');
+  return count;
+};
@@ -0,0 +1,163 @@
+import ReferenceRange from '../models/referenceRangeModel.js';
+import { exactMatchCondition } from './synonymHelper.js';
+
+// Structured cutoffs (models/referenceRangeModel.js): reading measured values, classifying them
+// and extracting cutoff records from the free-text referenceRangesAndCutoffValues field.
+
+export const CLASSIFICATIONS = ['negative', 'equivocal', 'positive'];
+
+const UNITS = [
+  [/\bIU\s*\/\s*ml\b/i, 'IU/mL'],
+  [/\bAU\s*\/\s*ml\b/i, 'AU/mL'],
+  [/\bRU\s*\/\s*ml\b/i, 'RU/mL'],
+  [/\bEU\s*\/\s*ml\b/i, 'EU/mL'],
+  [/\bCU\b/, 'CU'],
+  [/\bU\s*\/\s*ml\b/i, 'U/mL'],
+  [/\bAI\b|\bantibody index\b|\bindex\b/i, 'AI'],
+  [/\bratio\b/i, 'ratio'],
+  [/\btit(?:er|re)s?\b|\b1\s*:\s*\d+/i, 'titre']
+];
+
+const ASSAYS = [
+  [/\bELISA\b|\bEIA\b/i, 'ELISA'],
+  [/\bCLIA\b|\bCLEIA\b|\bchemilumines/i, 'CLIA'],
+  [/\bFEIA\b|\bEliA\b/i, 'FEIA'],
+  [/\bIIF\b|\bIFA\b|\bimmunofluorescen/i, 'IIF'],
+  [/\bRIA\b|\bradioimmuno/i, 'RIA'],
+  [/\bALBIA\b|\bmultiplex\b|\bbead/i, 'Multiplex'],
+  [/\bline\s*(?:blot|immunoassay)\b|\bimmunoblot\b|\bLIA\b/i, 'Line blot']
+];
+
+// Canonical spelling of a unit ("iu/ml" -> "IU/mL"); unknown units are returned trimmed
+export const normalizeUnit = (unit) => {
+  const text = (unit || '').toString().trim();
+  const match = UNITS.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : text;
+};
+
+// Number from a measured value: 12.5, "12.5", "12,5" or a titre "1:160" (read as 160).
+// Returns null for anything else.
+export const parseMeasuredValue = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = (value ?? '').toString().trim();
+  const titre = text.match(/^1\s*:\s*(\d+)$/);
+  if (titre) return Number(titre[1]);
+  if (!/^\d+(?:[.,]\d+)?$/.test(text)) return null;
+  return Number(text.replace(',', '.'));
+};
+
+export const classifyValue = (value, range) => {
+  if (value >= range.positiveFrom) return 'positive';
+  if (value < range.negativeBelow) return 'negative';
+  return 'equivocal';
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+export const exactText = (value) => new RegExp(`^${escapeRegex(value.toString().trim())}$`, 'i');
+
+// Cutoff records for an autoantibody (aliases from the synonym dictionary included),
+// optionally narrowed to one assay; most recently updated first
+export const findReferenceRanges = (autoantibody, assay) => ReferenceRange.find({
+  ...exactMatchCondition('autoantibody', autoantibody.toString()),
+  ...(assay ? { assay: exactText(assay) } : {})
+}).sort({ updatedAt: -1 });
+
+// Classify a measurement against the stored cutoffs. Returns { measured, cutoff, classification,
+// alternatives } or { status, message, ...details } when it can't be interpreted.
+export const interpretMeasurement = async ({ autoantibody, assay, value, unit, manufacturer }) => {
+  const measured = parseMeasuredValue(value);
+  if (measured === null) {
+    return { status: 400, message: 'value must be a number or a titre such as 1:160' };
+  }
+
+  let ranges = await findReferenceRanges(autoantibody, assay);
+  if (ranges.length === 0) {
+    const available = await findReferenceRanges(autoantibody);
+    return {
+      status: 404,
+      message: `No cutoffs are recorded for ${autoantibody} on ${assay}`,
+      availableAssays: [...new Set(available.map((range) => range.assay))]
+    };
+  }
+
+  // Titres only compare with titre cutoffs; otherwise a given unit must match the record's
+  const isTitre = /^\s*1\s*:/.test(value.toString());
+  const wantedUnit = isTitre ? 'titre' : (unit ? normalizeUnit(unit) : null);
+  if (wantedUnit) {
+    const sameUnit = ranges.filter((range) => range.unit.toLowerCase() === wantedUnit.toLowerCase());
+    if (sameUnit.length === 0) {
+      return {
+        status: 400,
+        message: `Cutoffs for ${autoantibody} on ${assay} are not recorded in ${wantedUnit}`,
+        availableUnits: [...new Set(ranges.map((range) => range.unit))]
+      };
+    }
+    ranges = sameUnit;
+  }
+
+  // Prefer the manufacturer's own cutoffs, then the most recently updated record
+  const cutoff = (manufacturer && ranges.find((range) => range.manufacturer && exactText(manufacturer).test(range.manufacturer))) || ranges[0];
+  return { measured, cutoff, classification: classifyValue(measured, cutoff), alternatives: ranges.length - 1 };
+};
+
+const formatThreshold = (value, unit) => (unit === 'titre' ? `1:${value}` : `${value} ${unit}`);
+
+// One-sentence reading of a classification for the response
+export const describeClassification = (value, range, classification) => {
+  const shown = formatThreshold(value, range.unit);
+  if (classification === 'positive') return `${shown} is at or above the positive cutoff of ${formatThreshold(range.positiveFrom, range.unit)}`;
+  if (classification === 'negative') return `${shown} is below the negative cutoff of ${formatThreshold(range.negativeBelow, range.unit)}`;
+  return `${shown} is in the equivocal range ${formatThreshold(range.negativeBelow, range.unit)} to below ${formatThreshold(range.positiveFrom, range.unit)}`;
+};
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+const VALUE = `(?:1\\s*:\\s*)?${NUMBER}`;
+const toNumber = (text) => Number(text.replace(',', '.'));
+
+// Threshold stated next to a label, or null: "Negative: <20", "positive > 25", "cut-off 10", "≥ 1:80 positive"
+const labelled = (text, label) => {
+  const after = text.match(new RegExp(`(?:${label})\\s*[:=]?\\s*(<|≤|<=|>|≥|>=)?\\s*${VALUE}`, 'i'));
+  if (after) return toNumber(after[2]);
+  const before = text.match(new RegExp(`(<|≤|<=|>|≥|>=)\\s*${VALUE}\\s*[A-Za-z/%]*\\s*(?:=|:|is|are)?\\s*(?:${label})`, 'i'));
+  if (before) return toNumber(before[2]);
+  return null;
+};
+
+// Cutoff records in a referenceRangesAndCutoffValues text, one per ";"-separated assay
+// statement. Returns [] when no threshold can be read; assay and unit may be null.
+export const parseReferenceRangeText = (text) => {
+  const value = (text || '').toString().trim();
+  if (!value) return [];
+  const assayOf = (part) => ASSAYS.find(([pattern]) => pattern.test(part))?.[1] || null;
+  const unitOf = (part) => UNITS.find(([pattern]) => pattern.test(part))?.[1] || null;
+
+  // Statements for different assays are usually separated by ";" or new lines
+  const parts = value.split(/\s*(?:;|\n)\s*/).filter(Boolean);
+  const statements = parts.some((part) => assayOf(part)) && parts.filter((part) => assayOf(part)).length > 1
+    ? parts
+    : [value];
+
+  return statements.map((statement) => {
+    const negative = labelled(statement, 'negative|normal');
+    const positive = labelled(statement, 'positive|cut-?\\s*off|threshold');
+    const equivocal = statement.match(new RegExp(`(?:equivocal|borderline|indeterminate|grey zone)\\s*[:=]?\\s*${VALUE}\\s*(?:-|–|to)\\s*${VALUE}`, 'i'));
+
+    let negativeBelow = null;
+    let positiveFrom = null;
+    if (equivocal) {
+      negativeBelow = toNumber(equivocal[1]);
+      positiveFrom = toNumber(equivocal[2]);
+    }
+    if (positive !== null && positiveFrom === null) positiveFrom = positive;
+    if (negative !== null && negativeBelow === null) negativeBelow = negative;
+    if (positiveFrom === null) return null;
+    if (negativeBelow === null || negativeBelow > positiveFrom) negativeBelow = positiveFrom;
+
+    return {
+      assay: assayOf(statement),
+      unit: unitOf(statement),
+      negativeBelow,
+      positiveFrom
+    };
+  }).filter(Boolean);
+};
@@ -0,0 +1,134 @@
+import DiseaseRevision from '../models/diseaseRevisionModel.js';
+
+// Fields that describe the document rather than its curated content
+const NON_CONTENT_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'deletedAt', 'deletedBy', 'importBatchId'];
+// Bookkeeping paths that change on every write and would drown out real diffs
+const IGNORED_DIFF_PATHS = ['metadata.lastUpdated'];
+
+// Convert a mongoose document or lean object into a plain, JSON-safe snapshot of its content
+export const toSnapshot = (doc) => {
+  if (!doc) return {};
+  const obj = typeof doc.toObject === 'function'
+    ? doc.toObject({ flattenMaps: true, virtuals: false, depopulate: true })
+    : { ...doc };
+  NON_CONTENT_FIELDS.forEach((key) => delete obj[key]);
+  return JSON.parse(JSON.stringify(obj));
+};
+
+const TRASH_FIELDS = ['deletedAt', 'deletedBy'];
+const trashState = (doc) => JSON.parse(JSON.stringify(Object.fromEntries(TRASH_FIELDS.map((field) => [field, doc[field] ?? null]))));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const flatten = (obj, prefix = '', out = {}) => {
+  Object.entries(obj || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Field-level diff between two snapshots; nested objects (additional, metadata) are compared per key
+export const diffSnapshots = (before, after) => {
+  const a = flatten(before);
+  const b = flatten(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const diff = [];
+  fields.forEach((field) => {
+    if (IGNORED_DIFF_PATHS.includes(field)) return;
+    const from = a[field];
+    const to = b[field];
+    if (isEmpty(from) && isEmpty(to)) return;
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+    diff.push({ field, from: isEmpty(from) ? null : from, to: isEmpty(to) ? null : to });
+  });
+  return diff.sort((x, y) => x.field.localeCompare(y.field));
+};
+
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const nextRevisionNumber = async (entryId) => {
+  const latest = await DiseaseRevision.findOne({ entry: entryId })
+    .sort({ revisionNumber: -1 })
+    .select('revisionNumber')
+    .lean();
+  return (latest?.revisionNumber || 0) + 1;
+};
+
+// Record a single revision. `before`/`after` may be documents or lean objects; deletes and
+// purges store the pre-delete state as the snapshot, and purges omit `after`.
+export const recordRevision = async ({ entryId, action, before, after, source = 'manual', user, restoredFrom }) => {
+  try {
+    const beforeSnapshot = before ? toSnapshot(before) : {};
+    const afterSnapshot = after ? toSnapshot(after) : {};
+    // Snapshots hold content only, but moving in or out of the trash belongs in the diff
+    const diff = before && after
+      ? diffSnapshots({ ...beforeSnapshot, ...trashState(before) }, { ...afterSnapshot, ...trashState(after) })
+      : diffSnapshots(beforeSnapshot, afterSnapshot);
+    const revision = {
+      entry: entryId,
+      action,
+      source,
+      snapshot: ['delete', 'purge'].includes(action) ? beforeSnapshot : afterSnapshot,
+      diff,
+      user,
+      restoredFrom
+    };
+    // A concurrent write can take the same number first; the unique index rejects the
+    // second insert, which then retries with the next number
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await DiseaseRevision.create({ ...revision, revisionNumber: await nextRevisionNumber(entryId) });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_NUMBERING_ATTEMPTS) throw error;
+      }
+    }
+  } catch (error) {
+    console.error('Error recording revision:', error);
+    return null;
+  }
+};
+
+// Record "create" revisions for a batch of freshly inserted documents
+export const recordCreateRevisions = async (docs, { source, user }) => {
+  try {
+    if (!docs || docs.length === 0) return [];
+    const revisions = docs.map((doc) => {
+      const snapshot = toSnapshot(doc);
+      return {
+        entry: doc._id,
+        revisionNumber: 1,
+        action: 'create',
+        source,
+        snapshot,
+        diff: diffSnapshots({}, snapshot),
+        user
+      };
+    });
+    return await DiseaseRevision.insertMany(revisions, { ordered: false });
+  } catch (error) {
+    console.error('Error recording import revisions:', error);
+    return [];
+  }
+};
+
+// Overwrite the content fields of `doc` with the values captured in `snapshot`
+export const applySnapshot = (doc, snapshot) => {
+  const paths = Object.keys(doc.schema.paths).filter((path) =>
+    !NON_CONTENT_FIELDS.includes(path) &&
+    !path.includes('$*') &&
+    path !== 'metadata.dateAdded' &&
+    path !== 'metadata.lastUpdated'
+  );
+  paths.forEach((path) => {
+    const value = path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), snapshot);
+    doc.set(path, value);
+  });
+  return doc;
+};
@@ -0,0 +1,152 @@
+import DiseaseData, { diseaseDataEvents } from '../models/diseaseModel.js';
+import { searchConfig } from '../config/search.js';
+
+// Fields whose distinct values are offered as "did you mean" suggestions
+export const SUGGESTION_FIELDS = ['disease', 'autoantibody', 'autoantigen', 'synonym'];
+
+// Distinct values of a field, trimmed and deduplicated case-insensitively (first-seen spelling wins)
+export const uniqueFieldValues = async (field) => {
+  const values = await DiseaseData.distinct(field);
+  const seen = new Map();
+  values.forEach((value) => {
+    if (!value) return;
+    const original = value.toString().trim();
+    if (!original) return;
+    const key = original.toLowerCase();
+    if (!seen.has(key)) {
+      seen.set(key, original);
+    }
+  });
+  return Array.from(seen.values());
+};
+
+// Lower-case, punctuation-free form used for comparisons. A leading "anti" is dropped so
+// antibody names are compared on what follows it ("Anti-TPO" -> "tpo").
+const normalize = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim().replace(/^anti (?=\S)/, '');
+
+const trigrams = (text) => {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i += 1) grams.add(padded.slice(i, i + 3));
+  return grams;
+};
+
+// Dice coefficient of two trigram sets
+const trigramSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((gram) => {
+    if (b.has(gram)) shared += 1;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+// Edit distance counting a swap of adjacent characters as one edit ("Hahsimoto")
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+const editSimilarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+// Score a query against an indexed value. Besides the whole value, the query is compared
+// with each run of as many words as it has, so "hashimoto" finds "Hashimoto's thyroiditis".
+const scoreValue = (query, entry) => {
+  let best = Math.max(trigramSimilarity(query.grams, entry.grams), editSimilarity(query.key, entry.key));
+  if (entry.words.length > query.words.length) {
+    for (let i = 0; i + query.words.length <= entry.words.length; i += 1) {
+      const window = entry.words.slice(i, i + query.words.length).join(' ');
+      // Partial matches rank just below equally close whole-value matches
+      best = Math.max(best, editSimilarity(query.key, window) * 0.95);
+    }
+  }
+  return best;
+};
+
+const toIndexEntry = (value) => {
+  const key = normalize(value);
+  return { value, key, words: key.split(' '), grams: trigrams(key) };
+};
+
+// In-memory index: field -> [{ value, key, words, grams }]
+let index = null;
+let building = null;
+let refreshTimer = null;
+
+export const refreshSuggestionIndex = async () => {
+  const next = {};
+  for (const field of SUGGESTION_FIELDS) {
+    next[field] = (await uniqueFieldValues(field))
+      .map(toIndexEntry)
+      .filter((entry) => entry.key);
+  }
+  index = next;
+  return SUGGESTION_FIELDS.reduce((sum, field) => sum + next[field].length, 0);
+};
+
+const ensureIndex = () => {
+  if (index) return Promise.resolve();
+  if (!building) {
+    building = refreshSuggestionIndex().finally(() => {
+      building = null;
+    });
+  }
+  return building;
+};
+
+// Rebuild shortly after entries change; a burst of writes (an import) triggers one rebuild
+const scheduleRefresh = () => {
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshSuggestionIndex().catch((error) => console.error('Error refreshing suggestion index:', error));
+  }, searchConfig.indexRefreshDelayMs);
+  refreshTimer.unref();
+};
+
+export const loadSuggestionIndex = () => {
+  diseaseDataEvents.on('change', scheduleRefresh);
+  return refreshSuggestionIndex()
+    .then((count) => console.log(`Suggestion index loaded: ${count} values`))
+    .catch((error) => console.error('Error loading suggestion index:', error));
+};
+
+// Ranked "did you mean" suggestions for a search term: [{ value, fields, score }].
+// Values identical to the term (ignoring case and punctuation) are not suggested.
+export const suggestValues = async (text, { fields = SUGGESTION_FIELDS, limit = searchConfig.maxSuggestions } = {}) => {
+  const key = normalize(text || '');
+  if (key.length < 2) return [];
+  await ensureIndex();
+
+  const query = { key, words: key.split(' '), grams: trigrams(key) };
+  const byValue = new Map();
+  fields.filter((field) => SUGGESTION_FIELDS.includes(field)).forEach((field) => {
+    index[field].forEach((entry) => {
+      if (entry.key === key) return;
+      const score = scoreValue(query, entry);
+      if (score < searchConfig.minSuggestionScore) return;
+      const existing = byValue.get(entry.key);
+      if (existing) {
+        existing.score = Math.max(existing.score, score);
+        if (!existing.fields.includes(field)) existing.fields.push(field);
+      } else {
+        byValue.set(entry.key, { value: entry.value, fields: [field], score });
+      }
+    });
+  });
+
+  return Array.from(byValue.values())
+    .sort((a, b) => b.score - a.score || a.value.localeCompare(b.value))
+    .slice(0, limit)
+    .map((suggestion) => ({ ...suggestion, score: Math.round(suggestion.score * 1000) / 1000 }));
+};
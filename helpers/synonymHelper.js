@@ -0,0 +1,126 @@
+import Synonym from '../models/synonymModel.js';
+
+// diseaseData fields each synonym type applies to
+export const SYNONYM_FIELDS = {
+  antibody: ['autoantibody', 'synonym'],
+  antigen: ['autoantigen'],
+  disease: ['disease'],
+};
+
+const FIELD_TYPES = { autoantibody: 'antibody', synonym: 'antibody', autoantigen: 'antigen', disease: 'disease' };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Anti-Ro52", "anti Ro52" and "Ro52" all name the same antibody
+const stripAntiPrefix = (value) => value.replace(/^anti[-\s]?/i, '');
+
+const normalize = (value, type) => {
+  const text = (value || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  return type === 'antibody' ? stripAntiPrefix(text) : text;
+};
+
+// In-memory copy of the dictionary; search builds queries synchronously from it
+let groupsByType = { antibody: [], antigen: [], disease: [] };
+
+export const refreshSynonyms = async () => {
+  const groups = await Synonym.find({}).select('type canonical aliases').lean();
+  const next = { antibody: [], antigen: [], disease: [] };
+  groups.forEach(({ type, canonical, aliases }) => {
+    const names = [canonical, ...(aliases || [])];
+    next[type].push({
+      canonical,
+      names,
+      keys: new Set(names.map((name) => normalize(name, type))),
+    });
+  });
+  groupsByType = next;
+  return groups.length;
+};
+
+export const loadSynonyms = () =>
+  refreshSynonyms()
+    .then((count) => console.log(`Synonym dictionary loaded: ${count} groups`))
+    .catch((error) => console.error('Error loading synonym dictionary:', error));
+
+// Group whose canonical name or alias equals the value
+export const findSynonymGroup = (value, type) => {
+  const key = normalize(value, type);
+  if (!key) return null;
+  return (groupsByType[type] || []).find((group) => group.keys.has(key)) || null;
+};
+
+// Groups with a name that appears in free text as a whole word, so "ro" inside
+// "thyroid" never matches while "anti-Ro52 positive" matches the Ro52 group
+export const findSynonymGroupsInText = (text, type) => {
+  const haystack = normalize(text, type);
+  if (!haystack) return [];
+  return (groupsByType[type] || []).filter((group) =>
+    [...group.keys].some((key) =>
+      key === haystack ||
+      new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(key)}($|[^\\p{L}\\p{N}])`, 'iu').test(haystack)
+    )
+  );
+};
+
+// Canonical name for a value, or the value itself when it is not in the dictionary
+export const canonicalName = (value, type) => findSynonymGroup(value, type)?.canonical || value;
+
+// Every name a value is known by (itself included)
+export const expandName = (value, type) => {
+  const group = findSynonymGroup(value, type);
+  return group ? [...new Set([value, ...group.names])] : [value];
+};
+
+// Case-insensitive exact-match condition for a filter value, widened to the value's
+// aliases. Antibody names may also carry an "Anti-" prefix.
+export const exactMatchCondition = (field, value) => {
+  const trimmed = value.trim();
+  const type = FIELD_TYPES[field];
+  const group = type ? findSynonymGroup(trimmed, type) : null;
+  if (!group) {
+    return { [field]: new RegExp(`^${escapeRegex(trimmed)}$`, 'i') };
+  }
+  const patterns = [...new Set([trimmed, ...group.names].map((name) => normalize(name, type)))].map((name) =>
+    type === 'antibody'
+      ? new RegExp(`^(anti[-\\s]?)?${escapeRegex(name)}$`, 'i')
+      : new RegExp(`^${escapeRegex(name)}$`, 'i')
+  );
+  return { [field]: { $in: patterns } };
+};
+
+// Whole-word match so short aliases such as "SLE" don't hit "measles"; a boundary is
+// only required on sides where the name starts or ends with a word character
+export const wholeWordRegex = (name) => {
+  const start = /^\w/.test(name) ? '\\b' : '';
+  const end = /\w$/.test(name) ? '\\b' : '';
+  return new RegExp(`${start}${escapeRegex(name)}${end}`, 'i');
+};
+
+// Extra conditions for a free-text search: one per alias of every group
+// mentioned in the text, restricted to `field` when a single field is searched
+export const synonymSearchConditions = (text, field = 'all') => {
+  const types = field === 'all' ? Object.keys(SYNONYM_FIELDS) : [FIELD_TYPES[field]].filter(Boolean);
+  const conditions = [];
+  types.forEach((type) => {
+    const fields = field === 'all' ? SYNONYM_FIELDS[type] : [field];
+    findSynonymGroupsInText(text, type).forEach((group) => {
+      group.names.forEach((name) => {
+        const regex = wholeWordRegex(normalize(name, type));
+        fields.forEach((f) => conditions.push({ [f]: regex }));
+      });
+    });
+  });
+  return conditions;
+};
+
+// Map each value to its canonical name when the dictionary knows it (for unique-value lists)
+export const canonicalNamesFor = (values, field) => {
+  const type = FIELD_TYPES[field];
+  if (!type) return {};
+  const result = {};
+  values.forEach((value) => {
+    const group = findSynonymGroup(value, type);
+    if (group && group.canonical !== value) result[value] = group.canonical;
+  });
+  return result;
+};
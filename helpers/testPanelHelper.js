@@ -0,0 +1,150 @@
+import DiseaseData from '../models/diseaseModel.js';
+import { exactMatchCondition, canonicalName } from './synonymHelper.js';
+import { formatMetric } from './metricHelper.js';
+import { escapeHtml } from './highlightHelper.js';
+
+// Recommended test panel for a disease: every linked autoantibody placed on an ordered
+// diagnostic pathway from the screening, confirmation and monitoring fields of its entries.
+
+export const PATHWAY_STAGES = [
+  { stage: 'screening', field: 'screening', title: 'Screening' },
+  { stage: 'confirmation', field: 'confirmation', title: 'Confirmation' },
+  { stage: 'monitoring', field: 'monitoring', title: 'Monitoring' }
+];
+
+// "No", "N/A", "-" and the like mean the antibody is not used at that stage
+const isNotUsed = (value) => /^(no|none|n\/?a|not applicable|not used|-|—|–)?$/i.test((value || '').toString().trim());
+const isBareYes = (value) => /^(yes|y|true)$/i.test((value || '').toString().trim());
+
+const priorityOf = (entry) => {
+  const number = Number(entry.priority);
+  return entry.priority !== undefined && entry.priority !== null && entry.priority !== '' && Number.isFinite(number) ? number : null;
+};
+
+const compareSteps = (a, b) =>
+  (b.priority ?? -Infinity) - (a.priority ?? -Infinity) ||
+  (b.sensitivityValue ?? -Infinity) - (a.sensitivityValue ?? -Infinity) ||
+  a.autoantibody.localeCompare(b.autoantibody);
+
+// Several entries can link the same antibody to the disease (one per epitope or study);
+// a step keeps the highest priority and sensitivity and lists every method and reference
+const mergeIntoStep = (step, entry, stageValue) => {
+  const sensitivity = entry.metrics?.sensitivity;
+  const priority = priorityOf(entry);
+  if (priority !== null && (step.priority === null || priority > step.priority)) step.priority = priority;
+  if (sensitivity?.point !== null && sensitivity?.point !== undefined && sensitivity.unit === '%' &&
+    (step.sensitivityValue === null || sensitivity.point > step.sensitivityValue)) {
+    step.sensitivityValue = sensitivity.point;
+    step.sensitivity = formatMetric(sensitivity) || entry.sensitivity;
+  } else if (!step.sensitivity && entry.sensitivity) {
+    step.sensitivity = entry.sensitivity;
+  }
+  if (!isBareYes(stageValue) && !step.methods.includes(stageValue)) step.methods.push(stageValue);
+  if (entry.reference && !step.references.includes(entry.reference)) step.references.push(entry.reference);
+  step.entryIds.push(entry._id);
+  return step;
+};
+
+// { disease, stages: [{ stage, title, steps }], unassigned, entryCount }, or null when no entry links to the disease
+export const buildTestPanel = async (disease) => {
+  const entries = await DiseaseData.find(exactMatchCondition('disease', disease))
+    .select('disease autoantibody sensitivity priority reference screening confirmation monitoring metrics.sensitivity')
+    .lean();
+  if (entries.length === 0) return null;
+
+  // stage -> autoantibody key -> step
+  const byStage = new Map(PATHWAY_STAGES.map(({ stage }) => [stage, new Map()]));
+  const assigned = new Set();
+  entries.forEach((entry) => {
+    const autoantibody = canonicalName(entry.autoantibody, 'antibody');
+    PATHWAY_STAGES.forEach(({ stage, field }) => {
+      const value = (entry[field] || '').toString().trim();
+      if (isNotUsed(value)) return;
+      const steps = byStage.get(stage);
+      const key = autoantibody.toLowerCase();
+      if (!steps.has(key)) {
+        steps.set(key, { autoantibody, methods: [], sensitivity: null, sensitivityValue: null, priority: null, references: [], entryIds: [] });
+      }
+      mergeIntoStep(steps.get(key), entry, value);
+      assigned.add(key);
+    });
+  });
+
+  // Antibodies linked to the disease but not placed at any stage are listed so nothing is silently dropped
+  const unassigned = [...new Set(entries.map((entry) => canonicalName(entry.autoantibody, 'antibody')))]
+    .filter((name) => !assigned.has(name.toLowerCase()))
+    .sort((a, b) => a.localeCompare(b));
+
+  let order = 0;
+  const stages = PATHWAY_STAGES.map(({ stage, title }) => ({
+    stage,
+    title,
+    steps: [...byStage.get(stage).values()]
+      .sort(compareSteps)
+      .map((step) => ({ order: ++order, stage, ...step }))
+  }));
+
+  return {
+    disease: canonicalName(entries[0].disease, 'disease'),
+    stages,
+    unassigned,
+    entryCount: entries.length
+  };
+};
+
+const cell = (value) => escapeHtml((value ?? '—').toString());
+
+// Printable order sheet for a panel; the browser's print dialog gives a PDF
+export const renderOrderSheet = (panel, { generatedAt = new Date() } = {}) => {
+  const stageSection = ({ title, steps }) => {
+    if (steps.length === 0) return '';
+    const rows = steps.map((step) => `
+        <tr>
+          <td class="tick">☐</td>
+          <td>${step.order}</td>
+          <td><strong>${cell(step.autoantibody)}</strong>${step.methods.length ? `<div class="method">${cell(step.methods.join('; '))}</div>` : ''}</td>
+          <td>${cell(step.sensitivity)}</td>
+          <td>${cell(step.priority)}</td>
+          <td class="ref">${cell(step.references.join('; ') || null)}</td>
+        </tr>`).join('');
+    return `
+    <h2>${cell(title)}</h2>
+    <table>
+      <thead><tr><th></th><th>#</th><th>Test</th><th>Sensitivity</th><th>Priority</th><th>Reference</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Test panel: ${cell(panel.disease)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    h2 { font-size: 14px; margin: 20px 0 6px; border-bottom: 1px solid #999; }
+    table { width: 100%; border-collapse: collapse; page-break-inside: auto; }
+    tr { page-break-inside: avoid; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #f2f2f2; }
+    .tick { width: 18px; text-align: center; }
+    .method, .ref { color: #555; font-size: 11px; }
+    .patient { margin: 12px 0; }
+    .patient span { display: inline-block; min-width: 260px; border-bottom: 1px solid #999; margin-right: 24px; }
+    .note { color: #555; font-size: 11px; margin-top: 16px; }
+    @media print { body { margin: 12mm; } }
+  </style>
+</head>
+<body>
+  <h1>Recommended test panel: ${cell(panel.disease)}</h1>
+  <div class="patient"><span>Patient:</span><span>Date of birth:</span></div>
+  <div class="patient"><span>Requested by:</span><span>Date:</span></div>
+${panel.stages.map(stageSection).join('')}
+${panel.unassigned.length ? `  <p class="note">Also linked to this disease, with no pathway stage recorded: ${cell(panel.unassigned.join(', '))}</p>` : ''}
+  <p class="note">Generated ${cell(generatedAt.toISOString().slice(0, 10))} from ${panel.entryCount} database entries. Within each stage tests are ordered by priority, then sensitivity. This sheet supports, and does not replace, clinical judgement.</p>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,26 @@
+import DiseaseData from '../models/diseaseModel.js';
+import { trashConfig } from '../config/trash.js';
+import { recordRevision } from './revisionHelper.js';
+
+// Permanently remove trashed entries older than the retention period
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - trashConfig.retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await DiseaseData.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  if (expired.length === 0) return 0;
+
+  for (const entry of expired) {
+    await recordRevision({ entryId: entry._id, action: 'purge', before: entry });
+  }
+  const result = await DiseaseData.deleteMany({ _id: { $in: expired.map((e) => e._id) } });
+  console.log(`Trash purge: removed ${result.deletedCount} entries deleted before ${cutoff.toISOString()}`);
+  return result.deletedCount;
+};
+
+// Run the purge once at startup and then on a fixed interval
+export const scheduleTrashPurge = () => {
+  const run = () => purgeExpiredTrash().catch((error) => console.error('Trash purge error:', error));
+  run();
+  const timer = setInterval(run, trashConfig.purgeIntervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
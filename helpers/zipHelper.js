@@ -0,0 +1,136 @@
+import zlib from 'zlib';
+import { once } from 'events';
+import { waitForDrain } from './paginationHelper.js';
+
+// Minimal streaming ZIP writer (deflate, data descriptors, UTF-8 names) used for XLSX files
+// and export archives. Entries are written one after another straight to the output, so
+// nothing is buffered beyond the current chunk. No ZIP64: entries and archives stay under 4 GB.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Bit 3: sizes and CRC follow the data; bit 11: names are UTF-8
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+
+// Write to a stream, waiting for it to drain when its buffer is full
+export const createStreamWriter = (output) => async (chunk) => {
+  if (output.destroyed) throw new Error('Output stream closed');
+  if (!output.write(chunk)) await waitForDrain(output);
+};
+
+export const createZipWriter = (output) => {
+  const writeOut = createStreamWriter(output);
+  const entries = [];
+  let offset = 0;
+  const { time, date } = dosDateTime(new Date());
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    await writeOut(buffer);
+  };
+
+  // Start an entry; returns { write(chunk), end() }. Only one entry may be open at a time.
+  const openEntry = async (name) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await write(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    // The pump fails when the output closes mid-entry (a client disconnecting). Its error is
+    // kept here and rethrown by write()/end(), so the rejection is never left unhandled.
+    let pumpError = null;
+    const pump = (async () => {
+      for await (const compressed of deflate) {
+        entry.compressedSize += compressed.length;
+        await write(compressed);
+      }
+    })().catch((error) => {
+      pumpError = error;
+      deflate.destroy();
+    });
+
+    return {
+      write: async (chunk) => {
+        if (pumpError) throw pumpError;
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        // A failed pump stops reading, so 'drain' would never come
+        if (!deflate.write(buffer)) await Promise.race([once(deflate, 'drain'), pump]);
+        if (pumpError) throw pumpError;
+      },
+      end: async () => {
+        if (!pumpError) deflate.end();
+        await pump;
+        if (pumpError) throw pumpError;
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await write(descriptor);
+        entries.push(entry);
+      }
+    };
+  };
+
+  const addEntry = async (name, content) => {
+    const entry = await openEntry(name);
+    await entry.write(content);
+    await entry.end();
+  };
+
+  // Write the central directory; the caller ends the output stream
+  const finish = async () => {
+    const start = offset;
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.nameBuffer]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await write(end);
+  };
+
+  return { openEntry, addEntry, finish };
+};
@@ -11,6 +11,10 @@ export const authenticateJWT = async (req, res, next) => {
   }
   try {
     const decoded = jwt.verify(token, jwtConfig.secret);
+    // Stream tokens are scoped to one resource and never act as a login
+    if (decoded.purpose) {
+      return res.status(403).json({ message: 'Invalid token, access denied' });
+    }
     req.user = decoded; 
     next();
   } catch (error) {
@@ -18,6 +22,32 @@ export const authenticateJWT = async (req, res, next) => {
   }
 };
 
+// Short-lived token for one resource (req.params.id), for clients like EventSource that
+// can't set headers
+export const signStreamToken = (user, purpose, resource) =>
+  jwt.sign({ id: user.id || user._id, role: user.role, purpose, resource: resource.toString() }, jwtConfig.secret, {
+    expiresIn: jwtConfig.streamTokenExpiresIn,
+  });
+
+// Stream endpoints accept the usual Authorization header or a stream token in ?token=
+export const authenticateStreamToken = (purpose) => async (req, res, next) => {
+  if (req.headers.authorization) return authenticateJWT(req, res, next);
+  const { token } = req.query;
+  if (!token || typeof token !== 'string') {
+    return res.status(401).json({ message: 'Access denied, no token provided' });
+  }
+  try {
+    const decoded = jwt.verify(token, jwtConfig.secret);
+    if (decoded.purpose !== purpose || decoded.resource !== req.params.id) {
+      return res.status(403).json({ message: 'Invalid token, access denied' });
+    }
+    req.user = { id: decoded.id, role: decoded.role };
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token, access denied' });
+  }
+};
+
 // Middleware for Role-Based Access Control (RBAC)
 export const authorizeRoles = (...roles) => {
   return (req, res, next) => {
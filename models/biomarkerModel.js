@@ -2,12 +2,25 @@ import mongoose from 'mongoose';
 
 const biomarkerSchema = new mongoose.Schema(
   {
-    name: { type: String, required: false },
-    manifestation: { type: String, required: false },
-    prevalence: { type: String, required: false },
+    name: { type: String, required: false, trim: true },
+    disease: { type: String, required: false, trim: true },
+    // Association as written in the source ("50%", "NA") and its numeric value
+    diseaseAssociation: { type: String, required: false, trim: true },
+    diseaseAssociationPercent: { type: Number, required: false },
+    manifestation: { type: String, required: false, trim: true },
+    // Prevalence as written in the source ("40-50%", "~30%") and its numeric value (ranges use the midpoint)
+    prevalence: { type: String, required: false, trim: true },
+    prevalencePercent: { type: Number, required: false },
+    // Original spreadsheet row, kept for reference
     raw: { type: mongoose.Schema.Types.Mixed },
+    // Import batch that inserted the document (see models/importBatchModel.js)
+    importBatchId: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch', index: true },
   },
   { timestamps: true }
 );
 
+biomarkerSchema.index({ name: 1, disease: 1 });
+biomarkerSchema.index({ disease: 1, prevalencePercent: -1 });
+biomarkerSchema.index({ manifestation: 1 });
+
 export default mongoose.model('Biomarker', biomarkerSchema);
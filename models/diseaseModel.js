@@ -1,4 +1,24 @@
 import mongoose from "mongoose";
+import { EventEmitter } from "events";
+import { METRIC_FIELDS, parseMetric, parseEntryMetrics, formatMetric } from "../helpers/metricHelper.js";
+
+// Emits "change" after any write, so in-memory indexes built from entries can refresh
+export const diseaseDataEvents = new EventEmitter();
+
+// Numeric reading of a free-text metric (see helpers/metricHelper.js); percentages are 0-100
+const metricSchema = new mongoose.Schema(
+  {
+    min: { type: Number, default: null },
+    max: { type: Number, default: null },
+    point: { type: Number, default: null },
+    unit: { type: String, default: null },
+    qualifier: {
+      type: String,
+      enum: ['exact', 'approximate', 'range', 'upTo', 'atLeast'],
+    },
+  },
+  { _id: false }
+);
 
 const dataSchema = new mongoose.Schema(
   {
@@ -140,6 +160,14 @@ const dataSchema = new mongoose.Schema(
       required: false,
       trim: true,
     },
+    // Parsed values of the metric text fields, kept in sync by the hooks below; null when unparseable
+    metrics: {
+      sensitivity: { type: metricSchema, default: null },
+      positivePredictiveValues: { type: metricSchema, default: null },
+      negativePredictiveValues: { type: metricSchema, default: null },
+      epitopePrevalence: { type: metricSchema, default: null },
+      diseaseAssociation: { type: metricSchema, default: null },
+    },
     // Keep the original additional field for any extra data
     additional: {
       type: Map,
@@ -168,6 +196,35 @@ const dataSchema = new mongoose.Schema(
         default: '1.0'
       }
     },
+    // Curator who created / last modified the entry
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    // Soft delete: a non-null deletedAt puts the entry in the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    // Import batch that inserted the entry (see models/importBatchModel.js)
+    importBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      required: false,
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -182,6 +239,9 @@ dataSchema.index({ autoantigen: 1, uniprotId: 1 });
 dataSchema.index({ disease: 1, diagnosticMarker: 1 });
 dataSchema.index({ affinity: 1, sensitivity: 1 });
 dataSchema.index({ synonym: 1, type: 1 });
+dataSchema.index({ 'metrics.sensitivity.point': -1 });
+dataSchema.index({ 'metrics.positivePredictiveValues.point': -1 });
+dataSchema.index({ 'metrics.negativePredictiveValues.point': -1 });
 
 // Text search index for full-text search capabilities
 dataSchema.index({
@@ -199,10 +259,7 @@ dataSchema.index({
 
 // Virtual for formatted epitope prevalence
 dataSchema.virtual('formattedEpitopePrevalence').get(function() {
-  if (typeof this.epitopePrevalence === 'number') {
-    return `${(this.epitopePrevalence * 100).toFixed(1)}%`;
-  }
-  return this.epitopePrevalence;
+  return formatMetric(this.metrics?.epitopePrevalence) || this.epitopePrevalence;
 });
 
 // Virtual for combined diagnostic methods
@@ -230,6 +287,58 @@ dataSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the parsed metrics in step with their text fields
+dataSchema.pre('save', function(next) {
+  METRIC_FIELDS.forEach((field) => {
+    if (this.isNew || this.isModified(field)) {
+      this.set(`metrics.${field}`, parseMetric(this[field], field));
+    }
+  });
+  next();
+});
+
+dataSchema.pre('insertMany', function(next, docs) {
+  (Array.isArray(docs) ? docs : [docs]).forEach((doc) => {
+    doc.metrics = { ...(doc.metrics || {}), ...parseEntryMetrics(doc) };
+  });
+  next();
+});
+
+dataSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+  METRIC_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) this.set(`metrics.${field}`, parseMetric(changes[field], field));
+    else if (update.$unset?.[field] !== undefined) this.set(`metrics.${field}`, null);
+  });
+  next();
+});
+
+// Hide trashed entries from every query unless the caller asks for them,
+// either with the `withTrashed` query option or by filtering on deletedAt itself
+const excludeTrashed = function(next) {
+  if (this.getOptions().withTrashed || this.getFilter().deletedAt !== undefined) {
+    return next();
+  }
+  this.where({ deletedAt: null });
+  next();
+};
+
+dataSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], excludeTrashed);
+
+dataSchema.pre('aggregate', function(next) {
+  const [first] = this.pipeline();
+  if (first?.$match && first.$match.deletedAt !== undefined) {
+    return next();
+  }
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+  next();
+});
+
+const emitChange = () => diseaseDataEvents.emit('change');
+dataSchema.post(['save', 'insertMany'], emitChange);
+dataSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany', 'findOneAndDelete', 'deleteOne', 'deleteMany'], emitChange);
+
 // Static method to get diseases summary
 dataSchema.statics.getDiseasesSummary = function() {
   return this.aggregate([
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One revision per write to a diseaseData entry: the full snapshot after the
+// change (before it, for deletes) plus a field-level diff.
+const revisionSchema = new mongoose.Schema(
+  {
+    entry: { type: mongoose.Schema.Types.ObjectId, ref: 'diseaseData', required: true, index: true },
+    revisionNumber: { type: Number, required: true },
+    action: { type: String, enum: ['create', 'update', 'delete', 'restore', 'purge'], required: true },
+    source: {
+      type: String,
+      enum: ['manual', 'bulk_import', 'file_import', 'submission', 'import_rollback'],
+      default: 'manual',
+      index: true
+    },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    diff: [{
+      _id: false,
+      field: { type: String, required: true },
+      from: { type: mongoose.Schema.Types.Mixed },
+      to: { type: mongoose.Schema.Types.Mixed }
+    }],
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'diseaseRevision' }
+  },
+  { timestamps: true }
+);
+
+// Unique so two concurrent writes to an entry can't both take the same number (see recordRevision);
+// databases written before the index existed need `npm run migrate:revision-numbers`
+revisionSchema.index({ entry: 1, revisionNumber: -1 }, { unique: true });
+
+export default mongoose.model('diseaseRevision', revisionSchema);
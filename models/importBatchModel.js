@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const countsSchema = new mongoose.Schema(
+  {
+    total: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// One record per import run. Inserted documents carry its _id as importBatchId;
+// documents the run updated or removed are kept in ImportBatchSnapshot so the
+// whole batch can be rolled back.
+const importBatchSchema = new mongoose.Schema(
+  {
+    target: { type: String, enum: ['disease', 'biomarker'], required: true, index: true },
+    kind: { type: String, enum: ['bulk_import', 'file_import', 'server_file_import'], required: true },
+    status: {
+      type: String,
+      enum: ['in_progress', 'completed', 'failed', 'rolling_back', 'rolled_back'],
+      default: 'in_progress',
+      index: true,
+    },
+    fileName: { type: String },
+    // SHA-256 of the uploaded file
+    checksum: { type: String, index: true },
+    mode: { type: String },
+    source: { type: String },
+    profile: { type: String },
+    columnMapping: { type: mongoose.Schema.Types.Mixed },
+    counts: { type: countsSchema, default: () => ({}) },
+    message: { type: String },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportJob' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    finishedAt: { type: Date },
+    rolledBackAt: { type: Date },
+    rolledBackBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rollback: {
+      deleted: { type: Number },
+      restored: { type: Number },
+      reverted: { type: Number },
+    },
+  },
+  { timestamps: true }
+);
+
+importBatchSchema.index({ createdAt: -1 });
+
+export default mongoose.model('ImportBatch', importBatchSchema);
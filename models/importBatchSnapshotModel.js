@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// State of a document before an import batch updated or removed it
+const importBatchSnapshotSchema = new mongoose.Schema(
+  {
+    batch: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch', required: true, index: true },
+    target: { type: String, enum: ['disease', 'biomarker'], required: true },
+    action: { type: String, enum: ['update', 'remove'], required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('ImportBatchSnapshot', importBatchSnapshotSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'partially_succeeded'];
+
+// Persisted background import. Queued jobs are claimed by the in-process runner
+// (helpers/jobRunner.js); the collection itself is the queue.
+const importJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['disease_file_import', 'biomarker_file_import', 'biomarker_server_import'],
+      required: true,
+    },
+    status: { type: String, enum: JOB_STATUSES, default: 'queued', index: true },
+    fileName: { type: String },
+    // Uploaded file and import options; the file is dropped once the job finishes
+    payload: {
+      file: { type: Buffer, select: false },
+      options: { type: mongoose.Schema.Types.Mixed, default: {} },
+    },
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    result: { type: mongoose.Schema.Types.Mixed },
+    rowErrors: [{
+      _id: false,
+      row: { type: Number },
+      message: { type: String },
+    }],
+    errorCount: { type: Number, default: 0 },
+    message: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+importJobSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model('ImportJob', importJobSchema);
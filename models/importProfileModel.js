@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+export const PROFILE_TRANSFORMS = ['trim', 'lowercase', 'uppercase', 'split', 'percent'];
+
+const columnSchema = new mongoose.Schema(
+  {
+    // Header as it appears in the source file (matched case-insensitively, ignoring whitespace)
+    column: { type: String, required: true, trim: true },
+    // Model field, or `additional.<key>` to store the value under a custom additional key
+    field: { type: String, required: true, trim: true },
+    transforms: [{ type: String, enum: PROFILE_TRANSFORMS }],
+    // Separator used by the `split` transform
+    separator: { type: String, default: ';' }
+  },
+  { _id: false }
+);
+
+const importProfileSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, 'Profile name is required'], unique: true, trim: true },
+    target: { type: String, enum: ['disease', 'biomarker'], required: true, index: true },
+    description: { type: String, trim: true },
+    columns: {
+      type: [columnSchema],
+      validate: [(v) => Array.isArray(v) && v.length > 0, 'At least one column mapping is required']
+    },
+    // Disease imports: when false, columns not listed in the profile are dropped instead of kept in `additional`
+    keepUnmappedColumns: { type: Boolean, default: true },
+    // Used by imports of this target that don't name a profile; at most one per target
+    isDefault: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('ImportProfile', importProfileSchema);
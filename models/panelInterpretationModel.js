@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// A panel interpretation kept because the caller asked for it (store: true). Only the
+// submitted results and the returned differential are stored, nothing identifying a patient.
+const panelInterpretationSchema = new mongoose.Schema(
+  {
+    results: [
+      {
+        _id: false,
+        autoantibody: { type: String, required: true, trim: true },
+        result: { type: String, enum: ['positive', 'negative', 'equivocal'], required: true },
+        source: { type: String, enum: ['reported', 'measured'], default: 'reported' },
+        measurement: {
+          value: Number,
+          unit: String,
+          assay: String,
+          cutoffId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReferenceRange' }
+        }
+      }
+    ],
+    // Snapshot of the ranked candidates as returned
+    candidates: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    unmatched: { type: [String], default: [] },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('PanelInterpretation', panelInterpretationSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const rankingProfileSchema = new mongoose.Schema(
+  {
+    // Selected with ?rank=<name>
+    name: {
+      type: String,
+      required: [true, 'Profile name is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9_-]+$/, 'Profile name may only contain letters, numbers, "-" and "_"']
+    },
+    description: { type: String, trim: true },
+    // Field -> weight. In searches a field matching the term adds its weight;
+    // in plain listings a field with a value does.
+    weights: { type: Map, of: Number, default: {} },
+    // Multiplier on a field's weight when the term matches the whole value rather than part of it
+    exactMatchBoost: { type: Number, default: 2, min: 1 },
+    // Added to the score per point of the entry's numeric priority
+    priorityWeight: { type: Number, default: 0 },
+    // Used when no ?rank is given; at most one profile is the default
+    isDefault: { type: Boolean, default: false, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('RankingProfile', rankingProfileSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Cutoffs for one autoantibody on one assay. Results below negativeBelow are negative, results
+// at or above positiveFrom are positive and anything in between is equivocal.
+const referenceRangeSchema = new mongoose.Schema(
+  {
+    autoantibody: {
+      type: String,
+      required: [true, 'Autoantibody is required'],
+      trim: true,
+      index: true
+    },
+    // Assay method, e.g. ELISA, CLIA, IIF
+    assay: {
+      type: String,
+      required: [true, 'Assay method is required'],
+      trim: true
+    },
+    // Kit or platform when cutoffs are manufacturer-specific
+    manufacturer: { type: String, trim: true },
+    // Titres are stored as the reciprocal dilution (1:160 -> 160) with unit "titre"
+    unit: {
+      type: String,
+      required: [true, 'Unit is required'],
+      trim: true
+    },
+    negativeBelow: {
+      type: Number,
+      required: [true, 'Negative threshold is required']
+    },
+    positiveFrom: {
+      type: Number,
+      required: [true, 'Positive threshold is required']
+    },
+    // Where the cutoffs come from: kit insert, guideline, publication
+    source: { type: String, trim: true },
+    reference: { type: String, trim: true },
+    notes: { type: String, trim: true },
+    // Disease entry whose referenceRangesAndCutoffValues text the record was extracted from
+    entry: { type: mongoose.Schema.Types.ObjectId, ref: 'diseaseData', index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+referenceRangeSchema.index({ autoantibody: 1, assay: 1, manufacturer: 1 });
+
+referenceRangeSchema.pre('validate', function(next) {
+  if (this.negativeBelow > this.positiveFrom) {
+    this.invalidate('positiveFrom', 'Positive threshold must not be below the negative threshold');
+  }
+  next();
+});
+
+// The band between the two thresholds, or null when there is none
+referenceRangeSchema.virtual('equivocalRange').get(function() {
+  if (this.positiveFrom === this.negativeBelow) return null;
+  return { from: this.negativeBelow, below: this.positiveFrom };
+});
+
+referenceRangeSchema.set('toJSON', { virtuals: true });
+referenceRangeSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model('ReferenceRange', referenceRangeSchema);
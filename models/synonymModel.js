@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+export const SYNONYM_TYPES = ['antibody', 'antigen', 'disease'];
+
+// A curated group of names that refer to the same antibody, antigen or disease,
+// e.g. Ro52 ⇄ TRIM21 ⇄ SSA/Ro. Search, unique-value lookups and imports expand
+// any member of a group to all of its names.
+const synonymSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: SYNONYM_TYPES, required: true, index: true },
+    canonical: { type: String, required: true, trim: true },
+    aliases: [{ type: String, trim: true }],
+    // Lowercased canonical name and aliases, used for lookups and the uniqueness check
+    terms: [{ type: String }],
+    notes: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+synonymSchema.index({ type: 1, terms: 1 });
+
+synonymSchema.pre('validate', function (next) {
+  const names = [this.canonical, ...(this.aliases || [])]
+    .map((name) => (name || '').toString().trim())
+    .filter(Boolean);
+  this.aliases = [...new Set(names.slice(1))].filter((alias) => alias.toLowerCase() !== this.canonical.toLowerCase());
+  this.terms = [...new Set(names.map((name) => name.toLowerCase()))];
+  next();
+});
+
+export default mongoose.model('Synonym', synonymSchema);
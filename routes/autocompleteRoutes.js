@@ -0,0 +1,10 @@
+// /routes/autocompleteRoutes.js
+import express from 'express';
+import { getAutocomplete } from '../controllers/autocompleteController.js';
+
+const router = express.Router();
+
+// Public, like the unique-value endpoints it replaces for dropdowns
+router.get('/', getAutocomplete);
+
+export default router;
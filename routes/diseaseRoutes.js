@@ -8,37 +8,77 @@ import {
   createEntry,
   updateEntry,
   deleteEntry,
+  getTrash,
+  restoreFromTrash,
+  purgeFromTrash,
   searchEntries,
   advancedSearch,
+  facetedSearch,
   getEntriesByDisease,
   getEntriesByUniprotId,
   getUniqueValues,
   getFilteredUniqueValues,
   getStatistics,
   getDistinctAdditionalKeys,
+  getUnparsedMetrics,
   bulkImport,
   exportEntries,
   importFromFile
 } from '../controllers/diseaseController.js';
+import { getEntryHistory, getRevision, restoreRevision } from '../controllers/diseaseRevisionController.js';
+import { interpretValue } from '../controllers/referenceRangeController.js';
+import { interpretPanel, getPanelInterpretation } from '../controllers/panelController.js';
+import { calculatePostTestProbability } from '../controllers/probabilityController.js';
+import { getTestPanel } from '../controllers/testPanelController.js';
+import { authenticateJWT, authorizeRoles } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
+// Writes to the curated dataset are limited to curators (Admin and superAdmin)
+const curatorOnly = [authenticateJWT, authorizeRoles('Admin', 'superAdmin')];
+
 // Main CRUD routes
 router.get('/', getAllEntries);
 // Additional info helpers must appear before parameterized routes
 router.get('/additional/keys', getDistinctAdditionalKeys);
+// Metric texts (sensitivity, PPV, ...) that couldn't be parsed into numbers
+router.get('/metrics/unparsed', curatorOnly, getUnparsedMetrics);
+// Trash (soft-deleted entries) - permanent purge is superAdmin only
+router.get('/trash', curatorOnly, getTrash);
+router.post('/trash/:id/restore', curatorOnly, restoreFromTrash);
+router.delete('/trash/:id', authenticateJWT, authorizeRoles('superAdmin'), purgeFromTrash);
 router.get('/:id', getEntryById);
-router.post('/', createEntry);
-router.put('/:id', updateEntry);
-router.delete('/:id', deleteEntry);
+router.post('/', curatorOnly, createEntry);
+router.put('/:id', curatorOnly, updateEntry);
+// Delete entry (soft delete by default, permanent with ?permanent=true)
+// Only superAdmin can permanently delete, Admin can move entries to the trash
+router.delete('/:id', authenticateJWT, (req, res, next) => {
+  const { permanent } = req.query;
+  if (permanent === 'true') {
+    return authorizeRoles('superAdmin')(req, res, next);
+  } else {
+    return authorizeRoles('Admin', 'superAdmin')(req, res, next);
+  }
+}, deleteEntry);
 
 // Search routes
 router.get('/search/entries', searchEntries);
 router.get('/search/advanced', advancedSearch);
+router.get('/search/faceted', facetedSearch);
+
+// Result interpretation against the structured cutoffs (see /reference-ranges)
+router.post('/interpret-value', authenticateJWT, authorizeRoles('Doctor', 'Admin', 'superAdmin'), interpretValue);
+// Ranked differential for an autoantibody panel; saved only when the caller sends store: true
+router.post('/interpret-panel', authenticateJWT, authorizeRoles('Doctor', 'Admin', 'superAdmin'), interpretPanel);
+router.get('/interpret-panel/:id', authenticateJWT, authorizeRoles('Doctor', 'Admin', 'superAdmin'), getPanelInterpretation);
+// Bayesian post-test probability from stored sensitivity, PPV and NPV
+router.post('/post-test-probability', authenticateJWT, authorizeRoles('Doctor', 'Admin', 'superAdmin'), calculatePostTestProbability);
 
 // Filter routes
 router.get('/disease/:disease', getEntriesByDisease);
+// Ordered screening → confirmation → monitoring pathway; ?format=html for a printable order sheet
+router.get('/disease/:disease/test-panel', getTestPanel);
 router.get('/uniprot/:uniprotId', getEntriesByUniprotId);
 
 // Unique values routes
@@ -49,8 +89,13 @@ router.get('/unique-filtered/:field', getFilteredUniqueValues);
 router.get('/statistics/overview', getStatistics);
 
 // Bulk operations
-router.post('/bulk/import', bulkImport);
+router.post('/bulk/import', curatorOnly, bulkImport);
 router.get('/export/data', exportEntries);
-router.post('/import/file', upload.single('file'), importFromFile);
+router.post('/import/file', curatorOnly, upload.single('file'), importFromFile);
+
+// Revision history - kept last so they don't shadow the two-segment routes above
+router.get('/:id/history', authenticateJWT, getEntryHistory);
+router.get('/:id/history/:revisionId', authenticateJWT, getRevision);
+router.post('/:id/history/:revisionId/restore', curatorOnly, restoreRevision);
 
 export default router;
\ No newline at end of file
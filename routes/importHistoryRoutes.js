@@ -0,0 +1,17 @@
+// /routes/importHistoryRoutes.js
+import express from 'express';
+import { listImports, getImport, rollbackImport } from '../controllers/importHistoryController.js';
+import { authenticateJWT, authorizeRoles } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+
+router.get('/', authorizeRoles('superAdmin', 'Admin', 'Doctor'), listImports);
+router.get('/:id', authorizeRoles('superAdmin', 'Admin', 'Doctor'), getImport);
+
+// Rolling back writes to the shared data, so it is limited to curators
+router.post('/:id/rollback', authorizeRoles('Admin', 'superAdmin'), rollbackImport);
+
+export default router;
@@ -0,0 +1,26 @@
+// /routes/importProfileRoutes.js
+import express from 'express';
+import {
+  listImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
+} from '../controllers/importProfileController.js';
+import { authenticateJWT, authorizeRoles } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+
+// Readable by curators, who run disease imports, and Doctors, who run biomarker imports
+router.get('/', authorizeRoles('superAdmin', 'Admin', 'Doctor'), listImportProfiles);
+router.get('/:id', authorizeRoles('superAdmin', 'Admin', 'Doctor'), getImportProfile);
+
+// Creating and editing profiles is limited to curators
+router.post('/', authorizeRoles('Admin', 'superAdmin'), createImportProfile);
+router.put('/:id', authorizeRoles('Admin', 'superAdmin'), updateImportProfile);
+router.delete('/:id', authorizeRoles('Admin', 'superAdmin'), deleteImportProfile);
+
+export default router;
@@ -6,6 +6,13 @@ import diseaseRoutes from './diseaseRoutes.js';
 import biomarkerRoutes from './biomarkerRoutes.js';
 import submissionRoutes from './submissionRoutes.js';
 import articleRoutes from './articleRoutes.js';
+import importProfileRoutes from './importProfileRoutes.js';
+import jobRoutes from './jobRoutes.js';
+import importHistoryRoutes from './importHistoryRoutes.js';
+import synonymRoutes from './synonymRoutes.js';
+import autocompleteRoutes from './autocompleteRoutes.js';
+import rankingProfileRoutes from './rankingProfileRoutes.js';
+import referenceRangeRoutes from './referenceRangeRoutes.js';
 
 
 const router = express.Router();
@@ -17,6 +24,13 @@ router.use('/disease', diseaseRoutes);
 router.use('/biomarkers', biomarkerRoutes);
 router.use('/submissions', submissionRoutes);
 router.use('/articles', articleRoutes);
+router.use('/import-profiles', importProfileRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/import-history', importHistoryRoutes);
+router.use('/synonyms', synonymRoutes);
+router.use('/autocomplete', autocompleteRoutes);
+router.use('/ranking-profiles', rankingProfileRoutes);
+router.use('/reference-ranges', referenceRangeRoutes);
 
 
 
@@ -0,0 +1,20 @@
+// /routes/jobRoutes.js
+import express from 'express';
+import { listJobs, getJob, streamJobEvents, createJobEventsToken } from '../controllers/jobController.js';
+import { authenticateJWT, authenticateStreamToken, authorizeRoles } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const jobRoles = ['superAdmin', 'Admin', 'Doctor'];
+
+// Progress stream: also takes a token from POST /:id/events/token in ?token= for EventSource
+router.get('/:id/events', authenticateStreamToken('job-events'), authorizeRoles(...jobRoles), streamJobEvents);
+
+// Background import jobs are visible to anyone who can run imports
+router.use(authenticateJWT, authorizeRoles(...jobRoles));
+
+router.get('/', listJobs);
+router.get('/:id', getJob);
+router.post('/:id/events/token', createJobEventsToken);
+
+export default router;
@@ -0,0 +1,23 @@
+// /routes/rankingProfileRoutes.js
+import express from 'express';
+import {
+  listRankingProfiles,
+  getRankingProfile,
+  createRankingProfile,
+  updateRankingProfile,
+  deleteRankingProfile
+} from '../controllers/rankingProfileController.js';
+import { authenticateJWT, authorizeRoles } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public so search pages can offer the available ?rank= profiles
+router.get('/', listRankingProfiles);
+router.get('/:id', getRankingProfile);
+
+// Profiles change everyone's result order, so editing is limited to curators
+router.post('/', authenticateJWT, authorizeRoles('Admin', 'superAdmin'), createRankingProfile);
+router.put('/:id', authenticateJWT, authorizeRoles('Admin', 'superAdmin'), updateRankingProfile);
+router.delete('/:id', authenticateJWT, authorizeRoles('Admin', 'superAdmin'), deleteRankingProfile);
+
+export default router;
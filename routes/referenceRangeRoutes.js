@@ -0,0 +1,23 @@
+// /routes/referenceRangeRoutes.js
+import express from 'express';
+import {
+  listReferenceRanges,
+  getReferenceRange,
+  createReferenceRange,
+  updateReferenceRange,
+  deleteReferenceRange
+} from '../controllers/referenceRangeController.js';
+import { authenticateJWT, authorizeRoles } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public like the disease entries the cutoffs are taken from
+router.get('/', listReferenceRanges);
+router.get('/:id', getReferenceRange);
+
+// Cutoffs drive result interpretation, so editing is limited to curators
+router.post('/', authenticateJWT, authorizeRoles('Admin', 'superAdmin'), createReferenceRange);
+router.put('/:id', authenticateJWT, authorizeRoles('Admin', 'superAdmin'), updateReferenceRange);
+router.delete('/:id', authenticateJWT, authorizeRoles('Admin', 'superAdmin'), deleteReferenceRange);
+
+export default router;
@@ -0,0 +1,31 @@
+// /routes/synonymRoutes.js
+import express from 'express';
+import multer from 'multer';
+import {
+  listSynonyms,
+  expandSynonym,
+  getSynonym,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  importSynonyms
+} from '../controllers/synonymController.js';
+import { authenticateJWT, authorizeRoles } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Apply authentication middleware to all routes
+router.use(authenticateJWT);
+
+router.get('/', listSynonyms);
+router.get('/expand', expandSynonym);
+router.get('/:id', getSynonym);
+
+// The dictionary changes how everyone's searches expand, so writes are admin-only
+router.post('/', authorizeRoles('Admin', 'superAdmin'), createSynonym);
+router.post('/import', authorizeRoles('Admin', 'superAdmin'), upload.single('file'), importSynonyms);
+router.put('/:id', authorizeRoles('Admin', 'superAdmin'), updateSynonym);
+router.delete('/:id', authorizeRoles('Admin', 'superAdmin'), deleteSynonym);
+
+export default router;
@@ -0,0 +1,102 @@
+// backfillMetrics.js
+// Run from backend folder: node scripts/backfillMetrics.js [--dry-run] [--report=unparsed-metrics.csv]
+// Parses sensitivity, PPV/NPV, epitope prevalence and disease association text into the
+// structured `metrics` values, then syncs the collection indexes. Texts that couldn't be
+// parsed are listed at the end (and written to the --report CSV when given).
+
+import mongoose from 'mongoose';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import DiseaseData from '../models/diseaseModel.js';
+import { METRIC_FIELDS, parseEntryMetrics } from '../helpers/metricHelper.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const BATCH_SIZE = 500;
+const REPORT_PREVIEW = 20;
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const backfillMetrics = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const reportArg = process.argv.find((arg) => arg.startsWith('--report='));
+  const reportPath = reportArg ? path.resolve(reportArg.slice('--report='.length)) : null;
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let scanned = 0;
+    let updated = 0;
+    let ops = [];
+    // field -> text -> number of entries
+    const unparsed = Object.fromEntries(METRIC_FIELDS.map((field) => [field, new Map()]));
+
+    const flush = async () => {
+      if (ops.length === 0) return;
+      if (!dryRun) await DiseaseData.collection.bulkWrite(ops, { ordered: false });
+      ops = [];
+    };
+
+    // Trashed entries are backfilled too so they are complete if restored
+    const cursor = DiseaseData.find({}).setOptions({ withTrashed: true }).lean().cursor();
+    for await (const doc of cursor) {
+      scanned++;
+      const metrics = parseEntryMetrics(doc);
+      const changes = {};
+      METRIC_FIELDS.forEach((field) => {
+        const parsed = metrics[field] ?? null;
+        const text = doc[field]?.toString().trim();
+        if (text && !parsed) unparsed[field].set(text, (unparsed[field].get(text) || 0) + 1);
+        if (JSON.stringify(doc.metrics?.[field] ?? null) !== JSON.stringify(parsed)) {
+          changes[`metrics.${field}`] = parsed;
+        }
+      });
+      if (Object.keys(changes).length === 0) continue;
+
+      // Written straight to the collection: a backfill isn't a curation change, so no
+      // lastUpdated bump and no change events
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: changes } } });
+      updated++;
+      if (ops.length >= BATCH_SIZE) {
+        await flush();
+        console.log(`Processed ${scanned} entries...`);
+      }
+    }
+    await flush();
+
+    if (!dryRun) {
+      await DiseaseData.syncIndexes();
+      console.log('🗂️ Indexes synced');
+    }
+
+    console.log(`${dryRun ? '🔍 Dry run: would update' : '✅ Updated'} ${updated} of ${scanned} entries`);
+
+    const reportRows = [];
+    METRIC_FIELDS.forEach((field) => {
+      const values = [...unparsed[field]].sort((a, b) => b[1] - a[1]);
+      const entries = values.reduce((sum, [, count]) => sum + count, 0);
+      console.log(`ℹ️ ${field}: ${values.length} distinct unparsed texts in ${entries} entries`);
+      values.slice(0, REPORT_PREVIEW).forEach(([text, count]) => console.log(`   ${count}× ${JSON.stringify(text)}`));
+      values.forEach(([text, count]) => reportRows.push([field, text, count]));
+    });
+
+    if (reportPath) {
+      const csv = [['field', 'text', 'entries'], ...reportRows].map((row) => row.map(csvCell).join(',')).join('\n');
+      fs.writeFileSync(reportPath, `${csv}\n`);
+      console.log(`📝 Unparsed report written to ${reportPath}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling metrics:', error);
+    process.exit(1);
+  }
+};
+
+backfillMetrics();
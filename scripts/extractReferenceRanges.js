@@ -0,0 +1,75 @@
+// extractReferenceRanges.js
+// Run from backend folder: node scripts/extractReferenceRanges.js [--dry-run]
+// Reads the free-text referenceRangesAndCutoffValues of every entry and creates structured
+// reference range records from the cutoffs it can read. Entries that already have records
+// are skipped so curated cutoffs are never overwritten. Texts without a readable assay,
+// unit and threshold are listed for manual curation.
+
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import DiseaseData from '../models/diseaseModel.js';
+import ReferenceRange from '../models/referenceRangeModel.js';
+import { parseReferenceRangeText } from '../helpers/referenceRangeHelper.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const REPORT_PREVIEW = 30;
+
+const extractReferenceRanges = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const extracted = new Set((await ReferenceRange.distinct('entry', { entry: { $ne: null } })).map(String));
+    let scanned = 0;
+    let skipped = 0;
+    let created = 0;
+    const incomplete = [];
+
+    const cursor = DiseaseData.find({ referenceRangesAndCutoffValues: { $nin: [null, ''] } })
+      .select('disease autoantibody referenceRangesAndCutoffValues reference')
+      .lean()
+      .cursor();
+    for await (const entry of cursor) {
+      scanned++;
+      if (extracted.has(String(entry._id))) {
+        skipped++;
+        continue;
+      }
+
+      const records = parseReferenceRangeText(entry.referenceRangesAndCutoffValues);
+      const complete = records.filter((record) => record.assay && record.unit);
+      if (complete.length === 0) {
+        incomplete.push(entry);
+        continue;
+      }
+
+      const docs = complete.map((record) => ({
+        ...record,
+        autoantibody: entry.autoantibody,
+        source: 'Extracted from entry text',
+        reference: entry.reference,
+        notes: entry.referenceRangesAndCutoffValues,
+        entry: entry._id
+      }));
+      if (!dryRun) await ReferenceRange.insertMany(docs);
+      created += docs.length;
+    }
+
+    console.log(`${dryRun ? '🔍 Dry run: would create' : '✅ Created'} ${created} reference ranges from ${scanned} entries (${skipped} already extracted)`);
+    console.log(`ℹ️ ${incomplete.length} entries need manual curation (no assay, unit or threshold found)`);
+    incomplete.slice(0, REPORT_PREVIEW).forEach((entry) =>
+      console.log(`   ${entry._id} ${entry.autoantibody}: ${JSON.stringify(entry.referenceRangesAndCutoffValues)}`));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error extracting reference ranges:', error);
+    process.exit(1);
+  }
+};
+
+extractReferenceRanges();
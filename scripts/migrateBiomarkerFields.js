@@ -0,0 +1,73 @@
+// migrateBiomarkerFields.js
+// Run from backend folder: node scripts/migrateBiomarkerFields.js [--dry-run]
+// Backfills disease, diseaseAssociation(Percent) and prevalencePercent on existing
+// biomarkers from the columns stored in `raw`, then syncs the collection indexes.
+
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import Biomarker from '../models/biomarkerModel.js';
+import { withStructuredFields } from '../helpers/biomarkerImportHelper.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const BATCH_SIZE = 500;
+const STRUCTURED_FIELDS = ['disease', 'diseaseAssociation', 'diseaseAssociationPercent', 'prevalence', 'prevalencePercent'];
+
+const migrateBiomarkerFields = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let scanned = 0;
+    let updated = 0;
+    let ops = [];
+    const unparsed = { diseaseAssociation: 0, prevalence: 0 };
+
+    const flush = async () => {
+      if (ops.length === 0) return;
+      if (!dryRun) await Biomarker.bulkWrite(ops, { ordered: false });
+      ops = [];
+    };
+
+    const cursor = Biomarker.find({}).lean().cursor();
+    for await (const doc of cursor) {
+      scanned++;
+      const structured = withStructuredFields(doc);
+      if (structured.diseaseAssociation && structured.diseaseAssociationPercent === null) unparsed.diseaseAssociation++;
+      if (structured.prevalence && structured.prevalencePercent === null) unparsed.prevalence++;
+
+      const changes = {};
+      STRUCTURED_FIELDS.forEach((field) => {
+        if ((doc[field] ?? null) !== structured[field]) changes[field] = structured[field];
+      });
+      if (Object.keys(changes).length === 0) continue;
+
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: changes } } });
+      updated++;
+      if (ops.length >= BATCH_SIZE) {
+        await flush();
+        console.log(`Processed ${scanned} biomarkers...`);
+      }
+    }
+    await flush();
+
+    if (!dryRun) {
+      await Biomarker.syncIndexes();
+      console.log('🗂️ Indexes synced');
+    }
+
+    console.log(`${dryRun ? '🔍 Dry run: would update' : '✅ Updated'} ${updated} of ${scanned} biomarkers`);
+    console.log(`ℹ️ Values without a number (left null): ${unparsed.diseaseAssociation} disease association, ${unparsed.prevalence} prevalence`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating biomarkers:', error);
+    process.exit(1);
+  }
+};
+
+migrateBiomarkerFields();
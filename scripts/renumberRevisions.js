@@ -0,0 +1,54 @@
+// renumberRevisions.js
+// Run from backend folder: node scripts/renumberRevisions.js [--dry-run]
+// Revision numbers are unique per entry. Entries whose history has duplicate numbers (written
+// by concurrent updates before the unique index existed) are renumbered 1..n in the order the
+// revisions were created, then the collection indexes are synced. Restores reference
+// revisions by id, so renumbering doesn't break them.
+
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import DiseaseRevision from '../models/diseaseRevisionModel.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const renumberRevisions = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const duplicated = await DiseaseRevision.aggregate([
+      { $group: { _id: { entry: '$entry', revisionNumber: '$revisionNumber' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $group: { _id: '$_id.entry' } }
+    ]);
+    console.log(`ℹ️ ${duplicated.length} entries have duplicate revision numbers`);
+
+    let renumbered = 0;
+    for (const { _id: entryId } of duplicated) {
+      const revisions = await DiseaseRevision.find({ entry: entryId }).sort({ createdAt: 1, _id: 1 }).select('_id revisionNumber').lean();
+      const ops = revisions.map((revision, index) => ({
+        updateOne: { filter: { _id: revision._id }, update: { $set: { revisionNumber: index + 1 } } }
+      }));
+      if (!dryRun) {
+        // Negate the old numbers first so the new ones never collide with them mid-way
+        await DiseaseRevision.updateMany({ entry: entryId }, { $mul: { revisionNumber: -1 } });
+        await DiseaseRevision.bulkWrite(ops, { ordered: false });
+      }
+      renumbered += revisions.length;
+    }
+
+    if (!dryRun) await DiseaseRevision.syncIndexes();
+    console.log(`${dryRun ? '🔍 Dry run: would renumber' : '✅ Renumbered'} ${renumbered} revisions of ${duplicated.length} entries`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error renumbering revisions:', error);
+    process.exit(1);
+  }
+};
+
+renumberRevisions();
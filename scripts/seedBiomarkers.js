@@ -9,6 +9,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import Biomarker from '../models/biomarkerModel.js';
+import { withStructuredFields } from '../helpers/biomarkerImportHelper.js';
 import dotenv from 'dotenv';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -57,12 +58,12 @@ const seedBiomarkers = async () => {
       const prevalence =
         row['Prevelanse (% percentage)'] || row.Prevelanse || row.Prevalence;
 
-      return {
+      return withStructuredFields({
         name: name ? String(name).trim() : 'Unknown',
         manifestation: manifestation ? String(manifestation).trim() : '',
         prevalence: prevalence ? String(prevalence).trim() : '',
         raw: row,
-      };
+      });
     });
 
     await Biomarker.deleteMany({});
@@ -0,0 +1,58 @@
+// seedImportProfiles.js
+// Run from backend folder: node scripts/seedImportProfiles.js
+// Saves the built-in header aliases as the default disease and biomarker import profiles, so
+// imports without ?profile= map columns through a profile curators can edit. Existing profiles
+// are left as curated, and a target that already has a default keeps it.
+
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import ImportProfile from '../models/importProfileModel.js';
+import { aliasColumns } from '../helpers/importProfileHelper.js';
+import { DISEASE_FIELD_MAP } from '../helpers/diseaseImportHelper.js';
+import { biomarkerAliasTable } from '../helpers/biomarkerImportHelper.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const DEFAULT_PROFILES = [
+  {
+    name: 'default-disease',
+    target: 'disease',
+    description: 'Built-in header aliases for disease imports',
+    columns: aliasColumns(DISEASE_FIELD_MAP),
+    keepUnmappedColumns: true
+  },
+  {
+    name: 'default-biomarker',
+    target: 'biomarker',
+    description: 'Built-in header aliases for biomarker imports',
+    columns: aliasColumns(biomarkerAliasTable())
+  }
+];
+
+const seedImportProfiles = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    for (const profile of DEFAULT_PROFILES) {
+      const existing = await ImportProfile.findOne({ name: profile.name });
+      if (existing) {
+        console.log(`⏭️  Skipped existing profile "${profile.name}"`);
+        continue;
+      }
+      const hasDefault = await ImportProfile.exists({ target: profile.target, isDefault: true });
+      await ImportProfile.create({ ...profile, isDefault: !hasDefault });
+      console.log(`✅ Created profile "${profile.name}"${hasDefault ? '' : ` (default for ${profile.target} imports)`}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding import profiles:', error);
+    process.exit(1);
+  }
+};
+
+seedImportProfiles();
@@ -0,0 +1,80 @@
+// seedRankingProfiles.js
+// Run from backend folder: node scripts/seedRankingProfiles.js
+// Creates the starter ranking profiles. Profiles that already exist are left as curated.
+
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import RankingProfile from '../models/rankingProfileModel.js';
+import { BUILT_IN_RANKING_PROFILE } from '../helpers/rankingHelper.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const STARTER_PROFILES = [
+  BUILT_IN_RANKING_PROFILE,
+  {
+    name: 'clinical',
+    description: 'Favours diagnostic markers, sensitivity and testing methods',
+    weights: {
+      diagnosticMarker: 10,
+      sensitivity: 8,
+      autoantibody: 7,
+      disease: 6,
+      positivePredictiveValues: 5,
+      negativePredictiveValues: 5,
+      screening: 4,
+      confirmation: 4,
+      referenceRangesAndCutoffValues: 3,
+      associationWithDiseaseActivity: 3
+    },
+    exactMatchBoost: 2,
+    priorityWeight: 1,
+    isDefault: false
+  },
+  {
+    name: 'research',
+    description: 'Favours mechanism, pathogenesis and epitope detail',
+    weights: {
+      mechanism: 10,
+      pathogenesisInvolvement: 9,
+      epitope: 7,
+      autoantigen: 6,
+      isotypeSubclasses: 5,
+      crossReactivityPatterns: 4,
+      affinity: 3,
+      avidity: 3,
+      reference: 2
+    },
+    exactMatchBoost: 2,
+    priorityWeight: 0,
+    isDefault: false
+  }
+];
+
+const seedRankingProfiles = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    for (const profile of STARTER_PROFILES) {
+      const existing = await RankingProfile.findOne({ name: profile.name });
+      if (existing) {
+        console.log(`⏭️  Skipped existing profile "${profile.name}"`);
+        continue;
+      }
+      // The database default takes over from the built-in one only if none is set yet
+      const hasDefault = await RankingProfile.exists({ isDefault: true });
+      await RankingProfile.create({ ...profile, isDefault: profile.isDefault && !hasDefault });
+      console.log(`✅ Created profile "${profile.name}"`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding ranking profiles:', error);
+    process.exit(1);
+  }
+};
+
+seedRankingProfiles();
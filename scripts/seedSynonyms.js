@@ -0,0 +1,48 @@
+// seedSynonyms.js
+// Run from backend folder: node scripts/seedSynonyms.js
+// Loads the starter synonym groups. Existing groups keep their aliases; missing
+// aliases are added. Larger dictionaries can be loaded with POST /synonyms/import.
+
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import Synonym from '../models/synonymModel.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Ro52 was previously expanded to these SSA spellings by a hard-coded search rule
+const STARTER_GROUPS = [
+  {
+    type: 'antibody',
+    canonical: 'Ro52',
+    aliases: ['TRIM21', 'SSA/Ro', 'Ro/SSA', 'Ro (SSA)', 'Ro/SS-A', 'Ro SS-A', 'SSA'],
+  },
+];
+
+const seedSynonyms = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    for (const { type, canonical, aliases } of STARTER_GROUPS) {
+      const existing = await Synonym.findOne({ type, terms: canonical.toLowerCase() });
+      if (existing) {
+        existing.aliases.push(...aliases.filter((alias) => !existing.terms.includes(alias.toLowerCase())));
+        await existing.save();
+        console.log(`🔁 Updated ${type} group "${existing.canonical}"`);
+      } else {
+        await Synonym.create({ type, canonical, aliases });
+        console.log(`✅ Created ${type} group "${canonical}"`);
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding synonyms:', error);
+    process.exit(1);
+  }
+};
+
+seedSynonyms();
@@ -4,6 +4,11 @@ import dotenv from 'dotenv';
 import connectDB from './config/db.js';
 import cors from 'cors';
 import routes from './routes/index.js';
+import { scheduleTrashPurge } from './helpers/trashHelper.js';
+import { startJobRunner } from './helpers/jobRunner.js';
+import { loadSynonyms } from './helpers/synonymHelper.js';
+import { loadSuggestionIndex } from './helpers/suggestionHelper.js';
+import { loadAutocompleteIndex } from './helpers/autocompleteHelper.js';
 
 // Load environment variables
 dotenv.config();
@@ -36,6 +41,11 @@ const PORT = process.env.PORT || 5001;
 async function startServer() {
   try {
     await connectDB();
+    scheduleTrashPurge();
+    startJobRunner();
+    await loadSynonyms();
+    await loadSuggestionIndex();
+    await loadAutocompleteIndex();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
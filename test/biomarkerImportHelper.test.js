@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePercent } from '../helpers/biomarkerImportHelper.js';
+import { parseMetric } from '../helpers/metricHelper.js';
+
+test('parsePercent reads cells the way the disease metrics do', () => {
+  ['50%', '~30%', '40-50%', '0.65', 0.65, '1', 1, '12/20', 'up to 90%', 'Type 1 diabetes 40%'].forEach((value) => {
+    assert.equal(parsePercent(value), parseMetric(value, 'sensitivity').point, `for ${JSON.stringify(value)}`);
+  });
+  assert.equal(parsePercent('40-50%'), 45);
+  assert.equal(parsePercent('0.65'), 65);
+  assert.equal(parsePercent(0.65), 65);
+});
+
+test('parsePercent returns null without a usable number', () => {
+  [undefined, null, '', 'NA', 'Rare', '1:160', '150%'].forEach((value) => {
+    assert.equal(parsePercent(value), null, `for ${JSON.stringify(value)}`);
+  });
+});
@@ -0,0 +1,155 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DiseaseData from '../models/diseaseModel.js';
+import DiseaseRevision from '../models/diseaseRevisionModel.js';
+import Synonym from '../models/synonymModel.js';
+import { refreshSynonyms } from '../helpers/synonymHelper.js';
+import { planImport, executeImport } from '../helpers/diseaseImportHelper.js';
+
+// Query stand-in: chainable like a mongoose query and awaitable with `result`
+const query = (result) => ({
+  select() { return this; },
+  collation() { return this; },
+  lean: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const originals = {
+  find: DiseaseData.find,
+  insertMany: DiseaseData.insertMany,
+  updateMany: DiseaseData.updateMany,
+  findByIdAndUpdate: DiseaseData.findByIdAndUpdate,
+  revisionCreate: DiseaseRevision.create,
+  revisionFindOne: DiseaseRevision.findOne,
+  revisionInsertMany: DiseaseRevision.insertMany,
+  synonymFind: Synonym.find
+};
+
+let calls;
+beforeEach(async () => {
+  calls = { updateMany: [], insertMany: [] };
+  DiseaseData.insertMany = async (docs) => {
+    calls.insertMany.push(docs);
+    return docs.map((doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() }));
+  };
+  DiseaseData.updateMany = async (filter, update) => {
+    calls.updateMany.push({ filter, update });
+    return { modifiedCount: filter._id.$in.length };
+  };
+  DiseaseRevision.create = async (revision) => revision;
+  DiseaseRevision.findOne = () => query(null);
+  DiseaseRevision.insertMany = async (revisions) => revisions;
+  Synonym.find = () => query([{ type: 'antibody', canonical: 'Ro52', aliases: ['TRIM21'] }]);
+  await refreshSynonyms();
+});
+
+afterEach(() => {
+  DiseaseData.find = originals.find;
+  DiseaseData.insertMany = originals.insertMany;
+  DiseaseData.updateMany = originals.updateMany;
+  DiseaseData.findByIdAndUpdate = originals.findByIdAndUpdate;
+  DiseaseRevision.create = originals.revisionCreate;
+  DiseaseRevision.findOne = originals.revisionFindOne;
+  DiseaseRevision.insertMany = originals.revisionInsertMany;
+  Synonym.find = originals.synonymFind;
+});
+
+const entry = (overrides = {}) => ({
+  disease: 'Sjögren syndrome',
+  autoantibody: 'Anti-Ro52',
+  autoantigen: 'TRIM21',
+  epitope: 'Coiled-coil',
+  uniprotId: 'P19474',
+  sensitivity: '70%',
+  ...overrides
+});
+const existing = (overrides = {}) => ({ _id: new mongoose.Types.ObjectId(), ...entry(overrides) });
+
+test('upsert inserts new rows, updates changed ones and keeps unchanged ones', async () => {
+  const changed = existing({ autoantibody: 'Anti-La', autoantigen: 'La' });
+  const same = existing({ autoantibody: 'Anti-Ro60', autoantigen: 'Ro60' });
+  DiseaseData.find = () => query([changed, same]);
+
+  const plan = await planImport([
+    entry({ autoantibody: 'Anti-La', autoantigen: 'La', sensitivity: '40%' }),
+    entry({ autoantibody: 'Anti-Ro60', autoantigen: 'Ro60' }),
+    entry({ autoantibody: 'Anti-CENP-B', autoantigen: 'CENP-B' }),
+    entry({ autoantibody: 'Anti-CENP-B', autoantigen: 'CENP-B' })
+  ], { mode: 'upsert' });
+
+  assert.equal(plan.toUpdate.length, 1);
+  assert.equal(plan.toUpdate[0].existing._id, changed._id);
+  assert.deepEqual(plan.toUpdate[0].changes, { sensitivity: '40%' });
+  assert.deepEqual(plan.unchanged, [{ index: 1, id: same._id }]);
+  assert.equal(plan.toInsert.length, 1);
+  assert.deepEqual(plan.skipped, [{ index: 3, reason: 'Duplicate of an earlier row in the same import' }]);
+});
+
+test('upsert matches existing entries through synonyms', async () => {
+  const stored = existing({ autoantibody: 'Anti-TRIM21', sensitivity: '60%' });
+  DiseaseData.find = () => query([stored]);
+  const plan = await planImport([entry()], { mode: 'upsert' });
+  assert.equal(plan.toInsert.length, 0);
+  assert.equal(plan.toUpdate[0].existing._id, stored._id);
+});
+
+test('upsert skips rows whose key matches several existing entries', async () => {
+  const first = existing();
+  const second = existing({ disease: 'sjögren syndrome' });
+  DiseaseData.find = () => query([first, second]);
+
+  const plan = await planImport([entry({ sensitivity: '90%' })], { mode: 'upsert' });
+  assert.equal(plan.toUpdate.length, 0);
+  assert.equal(plan.toInsert.length, 0);
+  assert.equal(plan.skipped.length, 1);
+  assert.equal(plan.skipped[0].index, 0);
+  assert.match(plan.skipped[0].reason, /^Ambiguous existing match: 2 entries/);
+  assert.ok(plan.skipped[0].reason.includes(String(first._id)) && plan.skipped[0].reason.includes(String(second._id)));
+});
+
+test('replace-source trashes the old entries once every row is in', async () => {
+  const old = [existing(), existing({ autoantibody: 'Anti-La' })];
+  DiseaseData.find = () => query(old);
+
+  const plan = await planImport([entry(), entry({ autoantibody: 'Anti-Ro60' })], { mode: 'replace-source', source: 'atlas' });
+  assert.deepEqual(plan.toRemove, old.map((e) => e._id));
+
+  const result = await executeImport(plan, { user: null, revisionSource: 'import' });
+  assert.equal(result.inserted, 2);
+  assert.equal(result.failed, 0);
+  assert.equal(result.removed, 2);
+  assert.equal(calls.updateMany.length, 1);
+  assert.deepEqual(calls.updateMany[0].filter, { _id: { $in: plan.toRemove } });
+  assert.ok(calls.updateMany[0].update.deletedAt instanceof Date);
+});
+
+test('replace-source keeps the old entries when a row fails validation', async () => {
+  DiseaseData.find = () => query([existing()]);
+  const plan = await planImport([entry(), entry({ uniprotId: '' })], { mode: 'replace-source', source: 'atlas' });
+
+  const result = await executeImport(plan, { user: null, revisionSource: 'import' });
+  assert.equal(result.inserted, 1);
+  assert.equal(result.failed, 1);
+  assert.equal(result.removed, 0);
+  assert.equal(calls.updateMany.length, 0);
+  assert.equal(calls.insertMany[0].length, 1);
+  assert.ok(result.errors.some((message) => /1 existing entries for atlas were kept/.test(message)));
+});
+
+test('replace-source keeps the old entries when the database rejects a row', async () => {
+  DiseaseData.find = () => query([existing()]);
+  DiseaseData.insertMany = async (docs) => {
+    const error = new Error('E11000 duplicate key');
+    error.insertedDocs = docs.slice(1).map((doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() }));
+    error.writeErrors = [{ errmsg: 'E11000 duplicate key' }];
+    throw error;
+  };
+  const plan = await planImport([entry(), entry({ autoantibody: 'Anti-Ro60' })], { mode: 'replace-source', source: 'atlas' });
+
+  const result = await executeImport(plan, { user: null, revisionSource: 'import' });
+  assert.equal(result.inserted, 1);
+  assert.equal(result.failed, 1);
+  assert.equal(result.removed, 0);
+  assert.equal(calls.updateMany.length, 0);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePercent, applyTransforms } from '../helpers/importProfileHelper.js';
+
+test('normalizePercent agrees with the metric parser on bare proportions', () => {
+  assert.equal(normalizePercent('65'), '65%');
+  assert.equal(normalizePercent('65 %'), '65%');
+  assert.equal(normalizePercent('0.65'), '65%');
+  assert.equal(normalizePercent('1'), '100%');
+  assert.equal(normalizePercent('1.0'), '100%');
+  assert.equal(normalizePercent('60-80'), '60-80%');
+  assert.equal(normalizePercent('0.6-0.8'), '60-80%');
+});
+
+test('normalizePercent leaves text it cannot read alone', () => {
+  assert.equal(normalizePercent('High'), 'High');
+  assert.equal(normalizePercent('~70%'), '~70%');
+  assert.equal(normalizePercent('150%'), '150%');
+});
+
+test('applyTransforms applies the percent transform to each split part', () => {
+  assert.equal(applyTransforms(' 0.5 ; 70 ', ['split', 'percent']), '50%; 70%');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMetric, formatMetric } from '../helpers/metricHelper.js';
+
+const point = (value, field = 'sensitivity') => parseMetric(value, field)?.point ?? null;
+
+test('reads percentages, ranges and qualifiers', () => {
+  assert.deepEqual(parseMetric('60-80%', 'sensitivity'), { min: 60, max: 80, point: 70, unit: '%', qualifier: 'range' });
+  assert.deepEqual(parseMetric('~70 %', 'sensitivity'), { min: 70, max: 70, point: 70, unit: '%', qualifier: 'approximate' });
+  assert.deepEqual(parseMetric('up to 90% in SLE', 'sensitivity'), { min: null, max: 90, point: 90, unit: '%', qualifier: 'upTo' });
+  assert.deepEqual(parseMetric('>95%', 'sensitivity'), { min: 95, max: null, point: 95, unit: '%', qualifier: 'atLeast' });
+  assert.equal(point('Anti-Ro52 in 70%'), 70);
+});
+
+test('prefers the number stated with a %', () => {
+  assert.equal(point('Type 1 diabetes 40%'), 40);
+  assert.equal(point('70% (95% CI 60-80)'), 70);
+  assert.equal(point('stage 2 disease, 35%'), 35);
+});
+
+test('does not read a confidence level as the value', () => {
+  assert.deepEqual(parseMetric('95% CI 60-80', 'sensitivity'), { min: 60, max: 80, point: 70, unit: '%', qualifier: 'range' });
+  assert.deepEqual(parseMetric('OR 5.2 (95% CI 2.1-8.0)', 'diseaseAssociation'), { min: 5.2, max: 5.2, point: 5.2, unit: 'OR', qualifier: 'exact' });
+});
+
+test('reads 1 as a proportion however it is written', () => {
+  assert.equal(point('1'), 100);
+  assert.equal(point('1.0'), 100);
+  assert.equal(point(1), 100);
+  assert.equal(point('0.65'), 65);
+  assert.equal(point(0.65), 65);
+  assert.equal(point('65'), 65);
+});
+
+test('reads counts as percentages', () => {
+  assert.equal(point('12/20'), 60);
+  assert.equal(point('12 of 20 patients'), 60);
+});
+
+test('returns null when there is no usable value', () => {
+  assert.equal(parseMetric('1:160', 'sensitivity'), null);
+  assert.equal(parseMetric('150%', 'sensitivity'), null);
+  assert.equal(parseMetric('High', 'sensitivity'), null);
+  assert.equal(parseMetric('', 'sensitivity'), null);
+  assert.equal(parseMetric(null, 'sensitivity'), null);
+});
+
+test('leaves bare numbers in diseaseAssociation unscaled', () => {
+  assert.equal(point(0.5, 'diseaseAssociation'), 0.5);
+  assert.equal(parseMetric('RR: 3', 'diseaseAssociation').unit, 'RR');
+});
+
+test('formats parsed metrics back to text', () => {
+  assert.equal(formatMetric(parseMetric('60-80%', 'sensitivity')), '60–80%');
+  assert.equal(formatMetric(parseMetric('~70 %', 'sensitivity')), '~70%');
+  assert.equal(formatMetric(parseMetric('up to 90% in SLE', 'sensitivity')), '≤90%');
+  assert.equal(formatMetric(parseMetric('OR 5.2', 'diseaseAssociation')), '5.2 OR');
+  assert.equal(formatMetric(null), null);
+});
@@ -0,0 +1,118 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import DiseaseData from '../models/diseaseModel.js';
+import {
+  parseProbability,
+  specificityFromPredictiveValues,
+  likelihoodRatios,
+  chainTests
+} from '../helpers/probabilityHelper.js';
+
+const originalFind = DiseaseData.find;
+afterEach(() => {
+  DiseaseData.find = originalFind;
+});
+
+// Stored entries returned by DiseaseData.find(...).select(...).lean()
+const storedEntries = (entries) => {
+  DiseaseData.find = () => ({ select: () => ({ lean: async () => entries }) });
+};
+
+const metric = (point) => ({ min: point, max: point, point, unit: '%', qualifier: 'exact' });
+const entry = (autoantibody, sensitivity, ppv, npv) => ({
+  _id: `${autoantibody}-id`,
+  disease: 'SLE',
+  autoantibody,
+  sensitivity: `${sensitivity}%`,
+  positivePredictiveValues: `${ppv}%`,
+  negativePredictiveValues: `${npv}%`,
+  metrics: {
+    sensitivity: metric(sensitivity),
+    positivePredictiveValues: metric(ppv),
+    negativePredictiveValues: metric(npv)
+  }
+});
+
+test('parseProbability accepts 0-1 and percentages, excluding 0 and 1', () => {
+  assert.equal(parseProbability(0.2), 0.2);
+  assert.equal(parseProbability('0.2'), 0.2);
+  assert.equal(parseProbability('12%'), 0.12);
+  assert.equal(parseProbability('12.5 %'), 0.125);
+  assert.equal(parseProbability(0), null);
+  assert.equal(parseProbability(1), null);
+  assert.equal(parseProbability('100%'), null);
+  assert.equal(parseProbability('12'), null);
+  assert.equal(parseProbability('high'), null);
+  assert.equal(parseProbability(undefined), null);
+});
+
+test('specificityFromPredictiveValues applies Bayes\' rule', () => {
+  const derived = specificityFromPredictiveValues(0.7, 0.9, 0.8);
+  assert.ok(Math.abs(derived.specificity - 0.9391) < 1e-4);
+  assert.ok(Math.abs(derived.studyPrevalence - 0.439) < 1e-3);
+  // A PPV of 100% means no false positives
+  assert.equal(specificityFromPredictiveValues(0.7, 1, 0.8).specificity, 1);
+  assert.equal(specificityFromPredictiveValues(0.7, null, 0.8), null);
+  assert.equal(specificityFromPredictiveValues(0.7, 0, 0.8), null);
+  assert.equal(specificityFromPredictiveValues(0.7, 0.9, 1), null);
+});
+
+test('likelihoodRatios', () => {
+  const ratios = likelihoodRatios(0.8, 0.9);
+  assert.ok(Math.abs(ratios.positive - 8) < 1e-9);
+  assert.ok(Math.abs(ratios.negative - 0.2222) < 1e-4);
+  assert.equal(likelihoodRatios(0.8, 1).positive, Infinity);
+  assert.equal(likelihoodRatios(1, 0.9).negative, 0);
+});
+
+test('chainTests uses supplied accuracy and multiplies likelihood ratios', async () => {
+  storedEntries([]);
+  const result = await chainTests('SLE', 0.1, [
+    { autoantibody: 'anti-dsDNA', result: 'positive', sensitivity: 0.8, specificity: 0.9 },
+    { autoantibody: 'anti-Sm', result: 'negative', sensitivity: '30%', specificity: '95%' }
+  ]);
+  assert.equal(result.steps.length, 2);
+  // Pre-test odds 1/9 × LR+ 8 = 8/9
+  assert.equal(result.steps[0].posttestProbability, Number((8 / 17).toFixed(4)));
+  assert.equal(result.steps[1].pretestProbability, result.steps[0].posttestProbability);
+  const odds = (1 / 9) * 8 * (0.7 / 0.95);
+  assert.ok(Math.abs(result.posttestProbability - odds / (1 + odds)) < 1e-9);
+  assert.deepEqual(result.steps[0].sources, { sensitivity: 'supplied', specificity: 'supplied' });
+});
+
+test('chainTests derives specificity from the stored entry', async () => {
+  storedEntries([entry('anti-dsDNA', 70, 90, 80)]);
+  const result = await chainTests('SLE', 0.2, [{ autoantibody: 'anti-dsDNA', result: 'positive' }]);
+  const [step] = result.steps;
+  assert.equal(step.entryId, 'anti-dsDNA-id');
+  assert.equal(step.specificity, 0.9391);
+  assert.equal(step.sources.specificity, 'derived from stored sensitivity, PPV and NPV');
+  assert.equal(step.storedValues.sensitivity, '70%');
+});
+
+test('chainTests rejects bad input and missing data', async () => {
+  storedEntries([]);
+  const badResult = await chainTests('SLE', 0.2, [{ autoantibody: 'anti-dsDNA', result: 'maybe' }]);
+  assert.equal(badResult.status, 400);
+  const missing = await chainTests('SLE', 0.2, [{ autoantibody: 'anti-dsDNA', result: 'positive' }]);
+  assert.equal(missing.status, 422);
+  const badSensitivity = await chainTests('SLE', 0.2, [{ autoantibody: 'anti-dsDNA', result: 'positive', sensitivity: 2, specificity: 0.9 }]);
+  assert.equal(badSensitivity.status, 400);
+});
+
+test('chainTests returns 422 for degenerate accuracy instead of null probabilities', async () => {
+  // PPV 100% derives a specificity of 100%: a positive result would be certain
+  storedEntries([entry('anti-Sm', 70, 100, 80)]);
+  const positive = await chainTests('SLE', 0.2, [{ autoantibody: 'anti-Sm', result: 'positive' }]);
+  assert.equal(positive.status, 422);
+  assert.match(positive.message, /^Test 1: .*degenerate.*exactly 1/);
+
+  // A stored sensitivity of 100% makes a negative result rule the disease out
+  storedEntries([entry('anti-Sm', 100, 90, 80)]);
+  const negative = await chainTests('SLE', 0.2, [
+    { autoantibody: 'anti-dsDNA', result: 'positive', sensitivity: 0.8, specificity: 0.9 },
+    { autoantibody: 'anti-Sm', result: 'negative', specificity: 0.9 }
+  ]);
+  assert.equal(negative.status, 422);
+  assert.match(negative.message, /^Test 2: .*exactly 0/);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, compileQuery, QuerySyntaxError } from '../helpers/queryLanguageHelper.js';
+
+const syntaxError = (text, message, position) => {
+  assert.throws(() => parseQuery(text), (error) => {
+    assert.ok(error instanceof QuerySyntaxError);
+    assert.equal(error.message, message);
+    assert.equal(error.position, position);
+    return true;
+  });
+};
+
+test('parses fields, phrases, operators and groups', () => {
+  assert.deepEqual(parseQuery('disease:"Systemic lupus" AND (dsDNA OR Sm)'), {
+    type: 'and',
+    position: 0,
+    children: [
+      { type: 'term', field: 'disease', value: 'Systemic lupus', phrase: true, position: 0 },
+      {
+        type: 'or',
+        position: 30,
+        children: [
+          { type: 'term', field: null, value: 'dsDNA', phrase: false, position: 30 },
+          { type: 'term', field: null, value: 'Sm', phrase: false, position: 39 }
+        ]
+      }
+    ]
+  });
+  assert.deepEqual(parseQuery('NOT lupus'), {
+    type: 'not',
+    position: 0,
+    child: { type: 'term', field: null, value: 'lupus', phrase: false, position: 4 }
+  });
+  // Lower-case operators are search words
+  assert.equal(parseQuery('lupus and nephritis').children.length, 3);
+});
+
+test('parses ranges and comparisons', () => {
+  assert.deepEqual(parseQuery('priority:[1 TO 5]'), { type: 'range', field: 'priority', position: 0, gte: 1, lte: 5 });
+  assert.deepEqual(parseQuery('priority:{1 TO *}'), { type: 'range', field: 'priority', position: 0, gt: 1 });
+  assert.deepEqual(parseQuery('priority:>=3'), { type: 'range', field: 'priority', position: 0, gte: 3 });
+});
+
+test('reports range errors at the offending position', () => {
+  syntaxError('priority:[1 TO', 'Expected a value after TO', 14);
+  syntaxError('priority:[1 TO ', 'Expected a value after TO', 15);
+  syntaxError('priority:[1 TO]', 'Expected a value after TO', 14);
+  syntaxError('priority:[1 5]', 'Expected "TO" in range', 12);
+  syntaxError('priority:[1 TOx 5]', 'Expected "TO" in range', 12);
+  syntaxError('priority:[1 TO 5', 'Expected "]" to close the range', 16);
+  syntaxError('priority:[a TO 5]', 'Expected a number but found "a"', 10);
+  syntaxError('priority:[5 TO 1]', 'Range minimum is greater than its maximum', 0);
+  syntaxError('priority:>=x', 'Expected a number but found "x"', 11);
+});
+
+test('reports structural errors at the offending position', () => {
+  syntaxError('', 'Query is empty', 0);
+  syntaxError('(a OR b', 'Expected ")" to close the group opened at position 0', 7);
+  syntaxError('()', 'Empty group', 0);
+  syntaxError('a)', 'Unexpected ")"', 1);
+  syntaxError('a OR', 'Expected a search term after OR', 4);
+  syntaxError('a AND', 'Expected a search term after AND', 5);
+  syntaxError('AND b', 'Expected a search term but found AND', 0);
+  syntaxError('NOT', 'Unexpected end of query', 3);
+  syntaxError('"abc', 'Unterminated quoted phrase', 0);
+  syntaxError('"  "', 'Empty quoted phrase', 0);
+  syntaxError(':a', 'Expected a field name before ":"', 0);
+  syntaxError('x:', 'Expected a value after "x:"', 2);
+  syntaxError('autoantibody:(disease:x)', 'Field "disease" cannot be used inside a "autoantibody:" group', 14);
+  syntaxError('x'.repeat(2001), 'Query is longer than 2000 characters', 2000);
+  syntaxError(`${'('.repeat(33)}a${')'.repeat(33)}`, 'Groups are nested more than 32 levels deep', 32);
+});
+
+test('compileQuery reports unknown fields and ranges on text fields at the term', () => {
+  const options = { fields: ['disease', 'priority'], numericFields: ['priority'] };
+  assert.throws(() => compileQuery(parseQuery('a AND colour:red'), options), { message: 'Unknown field "colour"', position: 6 });
+  assert.throws(() => compileQuery(parseQuery('disease:[1 TO 2]'), options), {
+    message: 'Ranges are only supported on numeric fields (priority)',
+    position: 0
+  });
+  assert.deepEqual(compileQuery(parseQuery('disease:*'), options), { disease: { $nin: [null, ''] } });
+});
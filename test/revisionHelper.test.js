@@ -0,0 +1,72 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DiseaseData from '../models/diseaseModel.js';
+import DiseaseRevision from '../models/diseaseRevisionModel.js';
+import { diffSnapshots, toSnapshot, recordRevision } from '../helpers/revisionHelper.js';
+
+const originals = { create: DiseaseRevision.create, findOne: DiseaseRevision.findOne };
+afterEach(() => {
+  DiseaseRevision.create = originals.create;
+  DiseaseRevision.findOne = originals.findOne;
+});
+
+const latestRevision = (revisionNumber) => () => ({
+  sort: () => ({ select: () => ({ lean: async () => (revisionNumber ? { revisionNumber } : null) }) })
+});
+
+test('diffSnapshots lists changed fields in order, per key of nested objects', () => {
+  const diff = diffSnapshots(
+    { disease: 'SLE', sensitivity: '70%', additional: { cohort: 'A', notes: 'x' }, metadata: { lastUpdated: '2024-01-01' } },
+    { disease: 'SLE', sensitivity: '75%', additional: { cohort: 'B' }, metadata: { lastUpdated: '2024-02-01' } }
+  );
+  assert.deepEqual(diff, [
+    { field: 'additional.cohort', from: 'A', to: 'B' },
+    { field: 'additional.notes', from: 'x', to: null },
+    { field: 'sensitivity', from: '70%', to: '75%' }
+  ]);
+});
+
+test('diffSnapshots treats missing, null and empty values alike', () => {
+  assert.deepEqual(diffSnapshots({ epitope: '', mechanism: null }, { epitope: null }), []);
+  assert.deepEqual(diffSnapshots({}, { epitope: 'N-terminal' }), [{ field: 'epitope', from: null, to: 'N-terminal' }]);
+  assert.deepEqual(diffSnapshots({ tags: ['a'] }, { tags: ['a', 'b'] }), [{ field: 'tags', from: ['a'], to: ['a', 'b'] }]);
+});
+
+test('toSnapshot keeps content and drops bookkeeping fields', () => {
+  const doc = new DiseaseData({ disease: 'SLE', autoantibody: 'Anti-dsDNA', deletedAt: new Date() });
+  const snapshot = toSnapshot(doc);
+  assert.equal(snapshot.disease, 'SLE');
+  ['_id', '__v', 'deletedAt', 'createdBy', 'importBatchId'].forEach((field) => assert.equal(field in snapshot, false));
+});
+
+test('recordRevision diffs only the move to the trash on delete', async () => {
+  DiseaseRevision.findOne = latestRevision(3);
+  DiseaseRevision.create = async (revision) => revision;
+  const doc = new DiseaseData({ disease: 'SLE', autoantibody: 'Anti-dsDNA', sensitivity: '70%' });
+  const before = doc.toObject();
+  doc.deletedAt = new Date('2024-05-01T00:00:00Z');
+
+  const revision = await recordRevision({ entryId: doc._id, action: 'delete', before, after: doc });
+  assert.equal(revision.revisionNumber, 4);
+  assert.deepEqual(revision.diff, [{ field: 'deletedAt', from: null, to: '2024-05-01T00:00:00.000Z' }]);
+  assert.equal(revision.snapshot.sensitivity, '70%');
+});
+
+test('recordRevision retries with the next number when another write took it', async () => {
+  let latest = 1;
+  DiseaseRevision.findOne = () => latestRevision(latest)();
+  const attempts = [];
+  DiseaseRevision.create = async (revision) => {
+    attempts.push(revision.revisionNumber);
+    if (attempts.length === 1) {
+      latest = 2;
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    return revision;
+  };
+
+  const revision = await recordRevision({ entryId: new mongoose.Types.ObjectId(), action: 'update', before: { disease: 'SLE' }, after: { disease: 'SLE ' } });
+  assert.deepEqual(attempts, [2, 3]);
+  assert.equal(revision.revisionNumber, 3);
+});
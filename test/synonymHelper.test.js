@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Synonym from '../models/synonymModel.js';
+import {
+  refreshSynonyms,
+  findSynonymGroup,
+  findSynonymGroupsInText,
+  canonicalName,
+  expandName,
+  exactMatchCondition,
+  wholeWordRegex,
+  synonymSearchConditions
+} from '../helpers/synonymHelper.js';
+
+const originalFind = Synonym.find;
+before(async () => {
+  const groups = [
+    { type: 'antibody', canonical: 'Ro52', aliases: ['TRIM21', 'SSA/Ro52'] },
+    { type: 'antigen', canonical: 'Ro', aliases: ['SSA'] },
+    { type: 'disease', canonical: 'Systemic lupus erythematosus', aliases: ['SLE', 'Lupus'] }
+  ];
+  Synonym.find = () => ({ select: () => ({ lean: async () => groups }) });
+  await refreshSynonyms();
+});
+after(() => {
+  Synonym.find = originalFind;
+});
+
+const matchesAny = (condition, field, value) => {
+  const target = condition[field];
+  const patterns = target instanceof RegExp ? [target] : target.$in;
+  return patterns.some((pattern) => pattern.test(value));
+};
+
+test('findSynonymGroup matches whole names, ignoring case, spacing and an Anti- prefix', () => {
+  assert.equal(findSynonymGroup('anti-TRIM21', 'antibody').canonical, 'Ro52');
+  assert.equal(findSynonymGroup('Anti Ro52', 'antibody').canonical, 'Ro52');
+  assert.equal(findSynonymGroup('  sle ', 'disease').canonical, 'Systemic lupus erythematosus');
+  assert.equal(findSynonymGroup('Ro5', 'antibody'), null);
+  assert.equal(findSynonymGroup('SLE', 'antibody'), null);
+  assert.equal(findSynonymGroup('', 'disease'), null);
+  assert.equal(canonicalName('TRIM21', 'antibody'), 'Ro52');
+  assert.equal(canonicalName('Jo-1', 'antibody'), 'Jo-1');
+  assert.deepEqual(expandName('SLE', 'disease'), ['SLE', 'Systemic lupus erythematosus', 'Lupus']);
+});
+
+test('findSynonymGroupsInText only matches names as whole words', () => {
+  assert.deepEqual(findSynonymGroupsInText('thyroid disease', 'antigen'), []);
+  assert.deepEqual(findSynonymGroupsInText('anti-Ro52 positive', 'antibody').map((group) => group.canonical), ['Ro52']);
+  assert.deepEqual(findSynonymGroupsInText('measles', 'disease'), []);
+  assert.deepEqual(findSynonymGroupsInText('neuropsychiatric SLE', 'disease').map((group) => group.canonical), ['Systemic lupus erythematosus']);
+});
+
+test('wholeWordRegex needs word boundaries only where the name has word characters', () => {
+  assert.equal(wholeWordRegex('SLE').test('measles'), false);
+  assert.equal(wholeWordRegex('SLE').test('Juvenile SLE'), true);
+  assert.equal(wholeWordRegex('SSA/Ro52').test('anti-SSA/Ro52 antibodies'), true);
+  assert.equal(wholeWordRegex('C3 (low)').test('C3 (low)'), true);
+});
+
+test('exactMatchCondition widens a filter to every alias, and only to whole values', () => {
+  const condition = exactMatchCondition('autoantibody', 'TRIM21');
+  ['Anti-Ro52', 'ro52', 'Anti TRIM21', 'SSA/Ro52'].forEach((value) => assert.ok(matchesAny(condition, 'autoantibody', value), value));
+  ['Anti-Ro52 IgG', 'Ro60'].forEach((value) => assert.equal(matchesAny(condition, 'autoantibody', value), false, value));
+
+  // Values outside the dictionary match themselves exactly, special characters included
+  const plain = exactMatchCondition('disease', 'Sjögren (primary)');
+  assert.ok(matchesAny(plain, 'disease', 'sjögren (primary)'));
+  assert.equal(matchesAny(plain, 'disease', 'Sjögren (primary) overlap'), false);
+});
+
+test('synonymSearchConditions adds whole-word conditions for the groups a search mentions', () => {
+  const conditions = synonymSearchConditions('lupus nephritis', 'disease');
+  assert.equal(conditions.length, 3);
+  assert.ok(conditions.every((condition) => Object.keys(condition)[0] === 'disease'));
+  assert.ok(conditions.some((condition) => condition.disease.test('Juvenile SLE')));
+  assert.ok(conditions.every((condition) => !condition.disease.test('measles')));
+  assert.deepEqual(synonymSearchConditions('thyroid', 'all'), []);
+});
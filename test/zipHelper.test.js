@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { PassThrough } from 'stream';
+import { createZipWriter } from '../helpers/zipHelper.js';
+
+test('writes entries that inflate back to their content', async () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  const zip = createZipWriter(output);
+  await zip.addEntry('a.txt', 'hello zip');
+  await zip.finish();
+  const archive = Buffer.concat(chunks);
+
+  assert.equal(archive.readUInt32LE(0), 0x04034b50);
+  const nameLength = archive.readUInt16LE(26);
+  assert.equal(archive.subarray(30, 30 + nameLength).toString(), 'a.txt');
+  const endRecord = archive.subarray(archive.length - 22);
+  assert.equal(endRecord.readUInt32LE(0), 0x06054b50);
+  assert.equal(endRecord.readUInt16LE(10), 1);
+  const central = archive.subarray(endRecord.readUInt32LE(16));
+  const compressedSize = central.readUInt32LE(20);
+  const data = archive.subarray(30 + nameLength, 30 + nameLength + compressedSize);
+  assert.equal(zlib.inflateRawSync(data).toString(), 'hello zip');
+});
+
+test('rejects, without an unhandled rejection, when the output closes mid-entry', async () => {
+  const unhandled = [];
+  const onUnhandled = (error) => unhandled.push(error);
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    const output = new PassThrough({ highWaterMark: 1024 });
+    output.on('data', () => {});
+    const zip = createZipWriter(output);
+    const entry = await zip.openEntry('sheet.xml');
+    // Incompressible data keeps the pump writing to the output
+    const writeAll = async () => {
+      for (let i = 0; i < 200; i += 1) {
+        await entry.write(crypto.randomBytes(16 * 1024));
+        if (i === 10) output.destroy();
+      }
+      await entry.end();
+    };
+    await assert.rejects(writeAll(), /Output stream closed/);
+    await assert.rejects(entry.end(), /Output stream closed/);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+});